@@ -1,47 +1,18 @@
-import snowflake from "snowflake-sdk";
-import { BedrockRuntimeClient, ConverseCommand } from "@aws-sdk/client-bedrock-runtime";
-import { getSnowflakePrivateKeyParam } from "../utils/keys.js";
-import { retrieveChunks } from "../src/rag/retrieve.js";
-
-const {
-  INGEST_API_KEY,
-  AWS_ACCESS_KEY_ID,
-  AWS_SECRET_ACCESS_KEY,
-  AWS_REGION,
-  SNOWFLAKE_ACCOUNT,
-  SNOWFLAKE_USER,
-  SNOWFLAKE_WAREHOUSE,
-  SNOWFLAKE_DATABASE,
-  SNOWFLAKE_SCHEMA,
-  SNOWFLAKE_ROLE,
-} = process.env;
-
-// Debug AWS credentials (remove in production)
-console.log('AWS Credentials check:', {
-  hasAccessKey: !!AWS_ACCESS_KEY_ID,
-  hasSecretKey: !!AWS_SECRET_ACCESS_KEY,
-  region: AWS_REGION || 'us-east-1',
-  accessKeyPrefix: AWS_ACCESS_KEY_ID?.substring(0, 5) + '...'
-});
-
-// Validate AWS credentials before creating client
-if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY) {
-  throw new Error('Missing AWS credentials: AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY are required');
-}
+import { randomUUID } from "crypto";
+import { retrieve, parseRetrievalOptions } from "../src/rag/retrieve.js";
+import { formatTimestamp } from "../src/rag/transcript.js";
+import { parseCitations, verifyAnswer } from "../src/rag/citations.js";
+import { HISTORY_TURNS, carryScope, historyMessages, rewriteFollowUp } from "../src/rag/conversation.js";
+import { validateScope } from "../src/rag/filters.js";
+import { getChatModel, getEmbeddingModel, getReranker } from "../src/providers/index.js";
+import { openStorage } from "../src/storage/index.js";
+import { AuthError, authenticate } from "../src/auth/api-keys.js";
+import { accessFilter } from "../src/auth/access.js";
+import { openEventStream, wantsEventStream } from "../utils/sse.js";
 
-const bedrockClient = new BedrockRuntimeClient({
-  region: AWS_REGION || 'us-east-1',
-  credentials: {
-    accessKeyId: AWS_ACCESS_KEY_ID,
-    secretAccessKey: AWS_SECRET_ACCESS_KEY,
-  },
-  maxAttempts: 1, // Reduce retries for faster error detection
-});
-
-function authOK(req) {
-  const h = req.headers.get?.("authorization") || req.headers.authorization || "";
-  return INGEST_API_KEY && h === `Bearer ${INGEST_API_KEY}`;
-}
+// Chunks retrieved per question: `k` in the body
+const DEFAULT_K = 12;
+const MAX_K = 50;
 
 export default async function handler(req, res) {
   // Add CORS headers
@@ -54,16 +25,93 @@ export default async function handler(req, res) {
     return res.status(200).end();
   }
 
+  let storage;
   try {
     if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
-    if (!authOK(req)) return res.status(401).json({ error: "unauthorized" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "ask");
 
     const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
     const question = (body.question || "").trim();
     if (!question) return res.status(400).json({ error: "missing_question" });
 
-    const k = body.k ?? 12;
-    const scope = body.scope; // { meeting?: string, customer?: string }
+    const k = body.k ?? DEFAULT_K;
+    if (!Number.isInteger(k) || k < 1 || k > MAX_K) {
+      return res.status(400).json({ error: "invalid_k", detail: `k must be an integer from 1 to ${MAX_K}` });
+    }
+    const stream = wantsEventStream(req, body); // SSE: sources, then deltas, then done
+    const debug = body.debug === true; // include the retrieval candidate list
+
+    // Retrieval tuning: { lambda, pool_size, per_meeting_cap }
+    let retrieval;
+    try {
+      retrieval = parseRetrievalOptions(body.retrieval, k);
+    } catch (e) {
+      return res.status(400).json({ error: "invalid_retrieval_options", detail: e.message });
+    }
+
+    // Models: per-request "<provider>:<model>" names, else CHAT_MODEL / EMBED_MODEL /
+    // RERANK_MODEL ("rerank": false skips reranking)
+    let chatModel, embedModel, reranker;
+    try {
+      chatModel = getChatModel(body.model);
+      embedModel = getEmbeddingModel(body.embed_model);
+      reranker = body.rerank === false ? null : getReranker(body.rerank);
+    } catch (e) {
+      return res.status(400).json({ error: "invalid_model", detail: e.message });
+    }
+
+    // Conversation: earlier turns drive follow-up rewriting and carry their scope forward
+    let turns = [];
+    if (body.conversation_id) {
+      turns = await storage.getConversationTurns(body.conversation_id, { limit: HISTORY_TURNS });
+      // Another key's conversation is reported as missing: its history may hold notes this key can't see
+      if (!turns.length || turns.some(t => (t.KEY_ID || null) !== principal.keyId)) {
+        return res.status(404).json({ error: "conversation_not_found", detail: `No turns for conversation ${body.conversation_id}` });
+      }
+    }
+    const conversationId = body.conversation_id || randomUUID();
+    // Scope filters (src/rag/filters.js): meeting/customer substrings, date range,
+    // participants, meeting_ids, customer_ids, tags, combined with all/any
+    let scope;
+    try {
+      scope = validateScope(carryScope(body, turns));
+    } catch (e) {
+      return res.status(400).json({ error: "invalid_scope", detail: e.message });
+    }
+    const standaloneQuestion = await rewriteFollowUp({ question, turns, chatModel });
+    if (standaloneQuestion !== question) {
+      console.log('Rewrote follow-up question:', { conversationId, question, standaloneQuestion });
+    }
+
+    // Citation check of an answer (src/rag/citations.js): which retrieved sources it cites,
+    // and whether every claim is backed by a chunk it was given
+    const grounding = (answer, chunks, sources) => {
+      const check = verifyAnswer(answer, chunks);
+      if (check.invalid_citations.length) {
+        console.log('Answer cited chunks outside the context:', { conversationId, ids: check.invalid_citations });
+      }
+      const cited = new Set(check.cited_ids);
+      return {
+        cited_sources: check.cited_ids.map(id => sources.find(s => s.chunk_id === id)),
+        uncited_sources: sources.filter(s => !cited.has(s.chunk_id)),
+        grounded: check.grounded,
+        grounding: { support: check.support, claims: check.claims, invalid_citations: check.invalid_citations }
+      };
+    };
+
+    const saveTurn = ({ answer, chunkIds, model }) => storage.appendConversationTurn({
+      CONVERSATION_ID: conversationId,
+      TURN: Number(turns.at(-1)?.TURN ?? 0) + 1,
+      QUESTION: question,
+      STANDALONE_QUESTION: standaloneQuestion,
+      SCOPE: scope ? JSON.stringify(scope) : null,
+      ANSWER: answer,
+      SOURCES: JSON.stringify(chunkIds),
+      MODEL: model,
+      KEY_ID: principal.keyId
+    });
 
     // Build system seatbelts based on scope
     const system = `
@@ -72,37 +120,69 @@ ${scope?.meeting ? `If scope.meeting is set (e.g., "${scope.meeting}"), ONLY use
 ${scope?.customer ? `If scope.customer is set (e.g., "${scope.customer}"), ONLY use context whose CUSTOMER contains that value.` : ''}
 ${scope ? 'If no matching context exists, say: "I don\'t have notes for that meeting/customer."' : ''}
 ${scope ? 'Do NOT draw from meetings that don\'t match scope.' : ''}
-Return concise answers and cite CHUNK_IDs you used.
+Return concise answers. Cite the CHUNK_ID behind every statement in square brackets right after it.
+When a context block lists speakers and a time, attribute statements to the speaker and minute (e.g. "Jane at 12:40").
 `.trim();
 
-    // Retrieve chunks using the new retrieval system
-    const chunks = await retrieveChunks({ question, scope, k });
+    // Retrieve chunks using the new retrieval system. The key's access policy and customer
+    // limits are applied inside the search, whatever scope the request asked for.
+    const { chunks, candidates } = await retrieve({
+      question: standaloneQuestion,
+      scope,
+      access: await accessFilter(storage, principal),
+      k,
+      embedModel: embedModel.id,
+      rerank: reranker ? reranker.id : false,
+      options: retrieval,
+      storage
+    });
+    const debugInfo = debug ? {
+      debug: {
+        question: standaloneQuestion,
+        retrieval: { lambda: retrieval.lambda, pool_size: retrieval.poolSize, per_meeting_cap: retrieval.perMeetingCap },
+        rerank_model: reranker?.id || null,
+        candidates
+      }
+    } : {};
     
     if (chunks.length === 0) {
-      if (scope) {
-        return res.status(200).json({ 
-          ok: true, 
-          answer: `I don't have notes for that ${scope.meeting ? 'meeting' : 'customer'}.`, 
-          sources: [] 
-        });
-      } else {
-        return res.status(200).json({ 
-          ok: true, 
-          answer: "I couldn't find anything relevant to your question.", 
-          sources: [] 
-        });
+      const answer = !scope
+        ? "I couldn't find anything relevant to your question."
+        : scope.meeting || scope.customer
+          ? `I don't have notes for that ${scope.meeting ? 'meeting' : 'customer'}.`
+          : "I don't have notes matching those filters.";
+      await saveTurn({ answer, chunkIds: [], model: null });
+      if (stream) {
+        const sse = openEventStream(res);
+        sse.send("sources", { sources: [], embed_model: embedModel.id, ...debugInfo });
+        sse.send("done", { ok: true, answer, citations: [], ...grounding(answer, [], []), model: null, embed_model: embedModel.id, conversation_id: conversationId, standalone_question: standaloneQuestion });
+        return sse.close();
       }
+      return res.status(200).json({ 
+        ok: true, 
+        answer, 
+        sources: [],
+        ...grounding(answer, [], []),
+        model: null,
+        embed_model: embedModel.id,
+        conversation_id: conversationId,
+        standalone_question: standaloneQuestion,
+        ...debugInfo
+      });
     }
 
     // Build context block for the LLM
-    const contextBlock = chunks.map(c =>
-      `[${c.id} | ${c.meetingTitle} | ${c.sectionTitle}]\n${c.text}`
-    ).join("\n\n---\n\n");
+    const contextBlock = chunks.map(c => {
+      const who = c.speakers?.length ? ` | Speakers: ${c.speakers.join(", ")}` : "";
+      const when = c.startSec != null ? ` | ${formatTimestamp(c.startSec)}-${formatTimestamp(c.endSec ?? c.startSec)}` : "";
+      return `[${c.id} | ${c.meetingTitle} | ${c.sectionTitle}${who}${when}]\n${c.text}`;
+    }).join("\n\n---\n\n");
 
-    // Build Nova Pro messages
+    // Build chat messages: earlier turns, then this question with its context
+    // (the system prompt is passed separately)
     const messages = [
-      { role: "system", content: [{ text: system }] },
-      { role: "user", content: [{ text: `Question: ${question}
+      ...historyMessages(turns),
+      { role: "user", content: `Question: ${standaloneQuestion}
 
 Context:
 ${contextBlock}
@@ -110,44 +190,100 @@ ${contextBlock}
 Instructions:
 * Use ONLY the context above.
 ${scope ? '* If none is relevant to the scope, say you don\'t have notes.' : ''}
-* End with: "Sources: " followed by the CHUNK_IDs used, comma-separated.` }] }
+* After each sentence or list item, put the CHUNK_ID(s) it comes from in square brackets, e.g. "They asked for SSO [CHUNK_ID]."
+* End with: "Sources: " followed by the CHUNK_IDs used, comma-separated.` }
     ];
 
-    console.log('Calling Bedrock with:', {
-      modelId: 'amazon.nova-pro-v1:0',
-      promptLength: contextBlock.length,
-      hasClient: !!bedrockClient,
-      scope,
-      chunksCount: chunks.length
-    });
-    
-    const bedrockResponse = await bedrockClient.send(new ConverseCommand({
-      modelId: 'amazon.nova-pro-v1:0',
-      messages: messages,
-      inferenceConfig: {
-        maxTokens: 800,
-        temperature: 0.2,
-        topP: 0.9
-      }
-    }));
-
-    const responseBody = bedrockResponse;
-    const answer = responseBody?.output?.message?.content?.[0]?.text || "";
-
-    // Return answer plus lightweight citations
+    // Lightweight citations for every retrieved chunk
     const sources = chunks.map(c => ({
       chunk_id: c.id,
       meeting_id: c.meetingId,
       meeting_title: c.meetingTitle,
       customer: c.customer,
       section_title: c.sectionTitle,
+      speakers: c.speakers || [],
+      start_sec: c.startSec ?? null,
+      end_sec: c.endSec ?? null,
+      timestamp: c.startSec != null ? formatTimestamp(c.startSec) : null,
       score: c.score,
+      lexical_score: c.lexicalScore,
+      vector_score: c.vectorScore,
+      fused_score: c.fusedScore,
+      rerank_score: c.rerankScore,
+      mmr_score: c.mmrScore,
       snippet: String(c.text).slice(0, 240)
     }));
 
-    res.status(200).json({ ok: true, answer, sources });
+    console.log('Calling chat model with:', {
+      model: chatModel.id,
+      promptLength: contextBlock.length,
+      scope,
+      chunksCount: chunks.length,
+      stream
+    });
+
+    const chatOptions = {
+      system,
+      messages,
+      maxTokens: 800,
+      temperature: 0.2,
+      topP: 0.9,
+      context: chunks.map(c => ({ id: c.id, text: c.text }))
+    };
+
+    if (stream) {
+      const sse = openEventStream(res);
+      sse.send("sources", { sources, embed_model: embedModel.id, ...debugInfo });
+      let answer = "";
+      let model = chatModel.id;
+      try {
+        for await (const event of chatModel.chatStream(chatOptions)) {
+          if (event.type === "delta") {
+            answer += event.text;
+            sse.send("delta", { text: event.text });
+          } else if (event.type === "done") {
+            model = event.model;
+          }
+        }
+        await saveTurn({ answer, chunkIds: chunks.map(c => c.id), model });
+        sse.send("done", {
+          ok: true,
+          answer,
+          citations: parseCitations(answer, chunks),
+          ...grounding(answer, chunks, sources),
+          model,
+          embed_model: embedModel.id,
+          conversation_id: conversationId,
+          standalone_question: standaloneQuestion
+        });
+      } catch (e) {
+        // Headers are already sent, so failures are reported in-band
+        console.error("ask stream error:", e);
+        sse.send("error", { error: "ask_failed", detail: String(e?.message || e) });
+      }
+      return sse.close();
+    }
+    
+    const completion = await chatModel.chat(chatOptions);
+    const answer = completion.text;
+    await saveTurn({ answer, chunkIds: chunks.map(c => c.id), model: completion.model });
+
+    res.status(200).json({
+      ok: true,
+      answer,
+      sources,
+      ...grounding(answer, chunks, sources),
+      model: completion.model,
+      embed_model: embedModel.id,
+      conversation_id: conversationId,
+      standalone_question: standaloneQuestion,
+      ...debugInfo
+    });
   } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
     console.error("ask error:", e);
     res.status(500).json({ error: "ask_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
   }
 }
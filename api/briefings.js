@@ -0,0 +1,78 @@
+import { openStorage } from "../src/storage/index.js";
+import { AuthError, authenticate } from "../src/auth/api-keys.js";
+import { BriefingError, briefingModel, buildBriefing, parseBriefingRequest } from "../src/briefings/briefings.js";
+import { openEventStream, wantsEventStream } from "../utils/sse.js";
+
+// POST /api/briefings { customer_id | customer, scope?, max_meetings?, model?, format?, stream? }
+// -> a map-reduce briefing over the customer's meetings: relationship history, open
+// commitments, unresolved issues and key contacts, each claim with its citations.
+// format "markdown" returns the Markdown export as text/markdown; stream sends progress
+// events, then the briefing.
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "ask");
+
+    const body = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+    const format = body.format || "json";
+    if (format !== "json" && format !== "markdown") {
+      return res.status(400).json({ error: "invalid_format", detail: 'format must be "json" or "markdown"' });
+    }
+
+    // Bad requests get a 400 before any event stream opens
+    parseBriefingRequest(body);
+
+    let chatModel;
+    try {
+      chatModel = briefingModel(body.model);
+    } catch (e) {
+      return res.status(400).json({ error: "invalid_model", detail: e.message });
+    }
+
+    if (wantsEventStream(req, body)) {
+      const sse = openEventStream(res);
+      try {
+        const briefing = await buildBriefing(storage, principal, body, {
+          chatModel,
+          onProgress: (progress) => sse.send("progress", progress),
+        });
+        sse.send("done", { ok: true, ...briefing });
+      } catch (e) {
+        // Headers are already sent, so failures are reported in-band
+        if (!(e instanceof BriefingError)) console.error("briefing stream error:", e);
+        sse.send("error", e instanceof BriefingError
+          ? { error: e.code, detail: e.message }
+          : { error: "briefing_failed", detail: String(e?.message || e) });
+      }
+      return sse.close();
+    }
+
+    const briefing = await buildBriefing(storage, principal, body, { chatModel });
+    if (format === "markdown") {
+      res.setHeader("Content-Type", "text/markdown; charset=utf-8");
+      return res.status(200).send(briefing.markdown);
+    }
+    return res.status(200).json({ ok: true, ...briefing });
+  } catch (e) {
+    if (e instanceof AuthError || e instanceof BriefingError) {
+      return res.status(e.status).json({ error: e.code, detail: e.message });
+    }
+    console.error("briefing error:", e);
+    res.status(500).json({ error: "briefing_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,49 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { CustomerError, formatCustomer, updateCustomer } from "../../src/customers/customers.js";
+import { queueRechunk } from "../../src/jobs/jobs.js";
+
+// GET   /api/customers/:id -> the customer and its meeting ids
+// PATCH /api/customers/:id -> edit { name?, aliases?, domains?, owners? }; a rename queues a
+//                             rechunk of its meetings (job_id)
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET" && req.method !== "PATCH") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    const customerId = req.query?.id;
+    if (!customerId) return res.status(400).json({ error: "missing_arg", detail: "Provide a customer id in the path." });
+
+    if (req.method === "GET") {
+      const row = await storage.getCustomer(customerId);
+      if (!row) return res.status(404).json({ error: "customer_not_found" });
+      const meetingIds = await storage.listMeetingIdsForCustomer(customerId);
+      return res.status(200).json({ ok: true, customer: formatCustomer(row), meeting_ids: meetingIds });
+    }
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    const { customer, renamed } = await updateCustomer(storage, customerId, { name: body.name, aliases: body.aliases, domains: body.domains, owners: body.owners });
+    const jobId = renamed ? await queueRechunk(req, storage, { customerId, principal }) : null;
+    return res.status(200).json({ ok: true, customer: formatCustomer(customer), job_id: jobId });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    if (e instanceof CustomerError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("customers error:", e);
+    res.status(500).json({ error: "customers_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,48 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { CustomerError, createCustomer, formatCustomer } from "../../src/customers/customers.js";
+
+// GET  /api/customers -> every customer (?include_merged=1 to also list merged ones)
+// POST /api/customers -> create one: { name, customer_id?, aliases?, domains?, owners? }
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    await authenticate(storage, req, "admin");
+
+    if (req.method === "GET") {
+      const includeMerged = ["1", "true"].includes(String(req.query?.include_merged));
+      const rows = (await storage.listCustomers()).filter((c) => includeMerged || !c.MERGED_INTO);
+      return res.status(200).json({ ok: true, customers: rows.map(formatCustomer) });
+    }
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    const row = await createCustomer(storage, {
+      customer_id: body.customer_id,
+      name: body.name,
+      aliases: body.aliases || [],
+      domains: body.domains || [],
+      owners: body.owners || [],
+    });
+    return res.status(201).json({ ok: true, customer: formatCustomer(row) });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    if (e instanceof CustomerError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("customers error:", e);
+    res.status(500).json({ error: "customers_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
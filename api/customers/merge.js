@@ -0,0 +1,41 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { CustomerError, formatCustomer, mergeCustomers } from "../../src/customers/customers.js";
+import { queueRechunk } from "../../src/jobs/jobs.js";
+
+// POST /api/customers/merge { target_id, source_ids: [...] }
+// The sources' names become aliases of the target, and their domains and meetings move to it.
+// The target's meetings are rechunked by a backfill job (job_id) to carry its name.
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    if (!body.target_id) return res.status(400).json({ error: "missing_arg", detail: "Provide target_id and source_ids." });
+    const { customer, meetingIds } = await mergeCustomers(storage, { targetId: body.target_id, sourceIds: body.source_ids });
+    // Rechunking is incremental, so the target's own meetings keep their chunks
+    const jobId = meetingIds.length ? await queueRechunk(req, storage, { customerId: customer.CUSTOMER_ID, principal }) : null;
+    return res.status(200).json({ ok: true, customer: formatCustomer(customer), moved_meeting_ids: meetingIds, job_id: jobId });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    if (e instanceof CustomerError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("customers merge error:", e);
+    res.status(500).json({ error: "customers_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
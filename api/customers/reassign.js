@@ -0,0 +1,42 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { CustomerError, formatCustomer, reassignMeetings } from "../../src/customers/customers.js";
+import { queueRechunk } from "../../src/jobs/jobs.js";
+import { BackfillError } from "../../src/jobs/backfill.js";
+
+// POST /api/customers/reassign { meeting_ids: [...], customer_id }  (customer_id null clears it)
+// Manual assignments are locked: later ingests of those meetings keep this customer
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    if (body.customer_id === undefined) {
+      return res.status(400).json({ error: "missing_arg", detail: "Provide meeting_ids and customer_id (null to clear)." });
+    }
+    const { customer, meetingIds } = await reassignMeetings(storage, { meetingIds: body.meeting_ids, customerId: body.customer_id });
+    const jobId = await queueRechunk(req, storage, { meetingIds, principal });
+    return res.status(200).json({ ok: true, customer: customer ? formatCustomer(customer) : null, meeting_ids: meetingIds, job_id: jobId });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    if (e instanceof CustomerError || e instanceof BackfillError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("customers reassign error:", e);
+    res.status(500).json({ error: "customers_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
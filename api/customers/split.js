@@ -0,0 +1,47 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { CustomerError, formatCustomer, splitCustomer } from "../../src/customers/customers.js";
+import { queueRechunk } from "../../src/jobs/jobs.js";
+
+// POST /api/customers/split
+//   { customer_id, new_customer: { name, customer_id?, aliases?, domains? }, meeting_ids: [...] }
+// Creates the new customer, moves the listed aliases, domains and meetings to it, and
+// queues a rechunk of the moved meetings (job_id)
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    if (!body.customer_id || !body.new_customer?.name) {
+      return res.status(400).json({ error: "missing_arg", detail: "Provide customer_id and new_customer.name." });
+    }
+    const { customer, meetingIds } = await splitCustomer(storage, {
+      customerId: body.customer_id,
+      newCustomer: body.new_customer,
+      meetingIds: body.meeting_ids || [],
+    });
+    const jobId = meetingIds.length ? await queueRechunk(req, storage, { customerId: customer.CUSTOMER_ID, principal }) : null;
+    return res.status(201).json({ ok: true, customer: formatCustomer(customer), moved_meeting_ids: meetingIds, job_id: jobId });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    if (e instanceof CustomerError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("customers split error:", e);
+    res.status(500).json({ error: "customers_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,37 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { formatReceipt } from "../../src/meetings/deletion.js";
+
+// GET /api/deletions/:id -> one deletion receipt
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    await authenticate(storage, req, "admin");
+
+    const receiptId = req.query?.id;
+    if (!receiptId) return res.status(400).json({ error: "missing_arg", detail: "Provide a receipt id in the path." });
+
+    const row = await storage.getDeletionReceipt(receiptId);
+    if (!row) return res.status(404).json({ error: "receipt_not_found" });
+    return res.status(200).json({ ok: true, receipt: formatReceipt(row) });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("deletions error:", e);
+    res.status(500).json({ error: "deletions_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
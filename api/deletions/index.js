@@ -0,0 +1,34 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { formatReceipt } from "../../src/meetings/deletion.js";
+
+// GET /api/deletions[?limit=100] -> deletion receipts, newest first
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    await authenticate(storage, req, "admin");
+
+    const limit = Math.min(Math.max(Number(req.query?.limit) || 100, 1), 1000);
+    const rows = await storage.listDeletionReceipts({ limit });
+    return res.status(200).json({ ok: true, receipts: rows.map(formatReceipt) });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("deletions error:", e);
+    res.status(500).json({ error: "deletions_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,36 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+
+// DELETE /api/grants/:id -> remove a team grant
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "DELETE") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    const grantId = req.query?.id;
+    if (!grantId) return res.status(400).json({ error: "missing_arg", detail: "Provide a grant id in the path." });
+
+    if (!await storage.deleteAccessGrant(grantId)) return res.status(404).json({ error: "grant_not_found" });
+    console.log(`Access grant ${grantId} removed by ${principal.keyId || principal.name}`);
+    return res.status(200).json({ ok: true, grant_id: grantId });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("grants error:", e);
+    res.status(500).json({ error: "grants_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
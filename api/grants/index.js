@@ -0,0 +1,43 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate, normalizeTeam } from "../../src/auth/api-keys.js";
+import { createGrant, formatGrant } from "../../src/auth/access.js";
+
+// GET  /api/grants -> every team grant (?team=sales for one team)
+// POST /api/grants -> grant a team a customer's meetings or one meeting:
+//                     { team, customer_id } | { team, meeting_id }
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    if (req.method === "GET") {
+      const team = req.query?.team;
+      const rows = await storage.listAccessGrants(team ? { teams: [normalizeTeam(team)] } : {});
+      return res.status(200).json({ ok: true, grants: rows.map(formatGrant) });
+    }
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    const row = await createGrant(storage, body);
+    console.log(`Access grant ${row.GRANT_ID} for team ${row.TEAM} created by ${principal.keyId || principal.name}`);
+    return res.status(201).json({ ok: true, grant: formatGrant(row) });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("grants error:", e);
+    res.status(500).json({ error: "grants_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,46 @@
+import { openStorage } from "../src/storage/index.js";
+import { AuthError, authenticate } from "../src/auth/api-keys.js";
+import { readRawBody, validateEnvironment, validateSignature } from "../src/ingest/ingest.js";
+import { ImportError, importMeetings, parseImportBody } from "../src/ingest/bulk.js";
+
+// POST /api/import[?chunk=0] with a JSON array of /api/ingest payloads, { meetings: [...] }
+// or NDJSON (Content-Type: application/x-ndjson)
+// -> { ok, records, created, updated, duplicates, failed, results } with one result per
+// record, in order. chunk=0 saves the meetings without queueing chunk_embed jobs.
+// Signatures are checked against the raw body (see readRawBody()).
+
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Granola-Timestamp, X-Granola-Nonce, X-Granola-Signature');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    validateEnvironment();
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "ingest");
+    const rawBody = await readRawBody(req);
+    await validateSignature(storage, req, rawBody);
+
+    const entries = parseImportBody(rawBody);
+    const chunk = !["0", "false"].includes(String(req.query?.chunk));
+    const report = await importMeetings(storage, entries, { principal, req, chunk });
+    return res.status(200).json({ ok: true, ...report });
+  } catch (e) {
+    if (e instanceof AuthError || e instanceof ImportError) {
+      return res.status(e.status).json({ error: e.code, detail: e.message });
+    }
+    console.error("import error:", e);
+    res.status(500).json({ error: "import_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
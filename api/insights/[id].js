@@ -0,0 +1,58 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { MeetingError, findVisibleMeeting } from "../../src/meetings/meetings.js";
+import { InsightError, extractMeeting, extractionModel, getMeetingInsights } from "../../src/insights/insights.js";
+
+// GET  /api/insights/:meetingId -> the meeting's action items, decisions, objections,
+//      competitors, pricing and sentiment (404 outside the caller's access policy)
+// POST /api/insights/:meetingId { model? } -> extract them again now (rechunk scope, same
+//      access policy)
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, req.method === "POST" ? "rechunk" : "ask");
+
+    const meetingId = req.query?.id;
+    if (!meetingId) return res.status(400).json({ error: "missing_arg", detail: "Provide a meeting id in the path." });
+
+    if (req.method === "GET") {
+      const insights = await getMeetingInsights(storage, principal, meetingId);
+      return res.status(200).json({ ok: true, ...insights });
+    }
+
+    const body = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+    let chatModel;
+    try {
+      chatModel = extractionModel(body.model);
+    } catch (e) {
+      return res.status(400).json({ error: "invalid_model", detail: e.message });
+    }
+
+    // Same access check as GET: a meeting outside the caller's policy is reported as missing
+    await findVisibleMeeting(storage, principal, meetingId);
+
+    const result = await extractMeeting(storage, meetingId, { chatModel, keyId: principal.keyId });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    if (e instanceof AuthError || e instanceof MeetingError || e instanceof InsightError) {
+      return res.status(e.status).json({ error: e.code, detail: e.message });
+    }
+    console.error("insights error:", e);
+    res.status(500).json({ error: "insights_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
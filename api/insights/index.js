@@ -0,0 +1,38 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { MeetingError } from "../../src/meetings/meetings.js";
+import { queryInsights } from "../../src/insights/insights.js";
+
+// GET /api/insights?kind=&owner=&competitor=&sentiment=&due_from=&due_to=
+//                  &customer_id=&customer=&from=&to=&participant=&tag=&q=&limit=
+// -> extracted insights across the meetings the caller's access policy allows
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "ask");
+
+    const result = await queryInsights(storage, principal, req.query || {});
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    if (e instanceof AuthError || e instanceof MeetingError) {
+      return res.status(e.status).json({ error: e.code, detail: e.message });
+    }
+    console.error("insights error:", e);
+    res.status(500).json({ error: "insights_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
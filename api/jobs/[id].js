@@ -0,0 +1,60 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, allowsCustomer, authenticate } from "../../src/auth/api-keys.js";
+import { scopeWithinCustomers } from "../../src/rag/filters.js";
+import { getJob, runJob, formatJob, JOB_STATUS } from "../../src/jobs/jobs.js";
+
+// GET  /api/jobs/:id -> job status (poll until "succeeded")
+// POST /api/jobs/:id -> run a queued job, retry a failed one, or take over a running one
+//                        whose lease (JOB_LEASE_MS) ran out
+// Keys limited to some customers only see jobs of those customers' meetings, and backfills
+// whose scope stays within them; other jobs are reported as missing.
+// May `principal` read and run `job`?
+async function jobVisible(storage, principal, job) {
+  if (!principal.customerIds) return true;
+  if (job.MEETING_ID) return allowsCustomer(principal, (await storage.getMeeting(job.MEETING_ID))?.CUSTOMER_ID);
+  const params = job.PARAMS ? JSON.parse(job.PARAMS) : {};
+  return scopeWithinCustomers(params.scope, principal.customerIds);
+}
+
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, ["ingest", "rechunk"]);
+
+    const jobId = req.query?.id;
+    if (!jobId) return res.status(400).json({ error: "missing_arg", detail: "Provide a job id in the path." });
+
+    const job = await getJob(storage, jobId);
+    if (!job || !(await jobVisible(storage, principal, job))) return res.status(404).json({ error: "job_not_found" });
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, job: formatJob(job) });
+    }
+
+    if (job.STATUS === JOB_STATUS.SUCCEEDED) {
+      return res.status(409).json({ error: "job_already_succeeded", job: formatJob(job) });
+    }
+
+    const after = await runJob(storage, jobId, { req });
+    return res.status(200).json({ ok: after.STATUS !== JOB_STATUS.FAILED, job: formatJob(after) });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("jobs error:", e);
+    res.status(500).json({ error: "jobs_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,50 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate, formatKey, revokeKey, updateKey } from "../../src/auth/api-keys.js";
+
+// GET    /api/keys/:id -> one key, without its secret
+// PATCH  /api/keys/:id -> edit { name?, scopes?, customer_ids?, expires_at? }
+// DELETE /api/keys/:id -> revoke it (the row is kept, with REVOKED_AT set)
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (!["GET", "PATCH", "DELETE"].includes(req.method)) return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    const keyId = req.query?.id;
+    if (!keyId) return res.status(400).json({ error: "missing_arg", detail: "Provide a key id in the path." });
+
+    if (req.method === "GET") {
+      const row = await storage.getApiKey(keyId);
+      if (!row) return res.status(404).json({ error: "key_not_found" });
+      return res.status(200).json({ ok: true, api_key: formatKey(row) });
+    }
+
+    if (req.method === "DELETE") {
+      const row = await revokeKey(storage, keyId);
+      console.log(`API key ${keyId} revoked by ${principal.keyId || principal.name}`);
+      return res.status(200).json({ ok: true, api_key: formatKey(row) });
+    }
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    const row = await updateKey(storage, keyId, body);
+    return res.status(200).json({ ok: true, api_key: formatKey(row) });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("keys error:", e);
+    res.status(500).json({ error: "keys_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,41 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate, formatKey, issueKey } from "../../src/auth/api-keys.js";
+
+// GET  /api/keys -> every key (revoked ones included), without secrets
+// POST /api/keys -> issue one: { name, scopes, customer_ids?, expires_at? }
+//                   The response holds the only copy of the key; it can't be shown again.
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET" && req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    if (req.method === "GET") {
+      const rows = await storage.listApiKeys();
+      return res.status(200).json({ ok: true, keys: rows.map(formatKey) });
+    }
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    const { key, row } = await issueKey(storage, body);
+    console.log(`API key ${row.KEY_ID} (${row.NAME}) issued by ${principal.keyId || principal.name}`);
+    return res.status(201).json({ ok: true, key, api_key: formatKey(row) });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("keys error:", e);
+    res.status(500).json({ error: "keys_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,50 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { DeletionError, deleteMeeting } from "../../src/meetings/deletion.js";
+import { MeetingError, getMeetingDetail } from "../../src/meetings/meetings.js";
+
+// GET /api/meetings/:id -> the meeting's metadata, granola_summary, transcript and chunks
+// (404 for meetings outside the caller's access policy).
+//
+// DELETE /api/meetings/:id[?dry_run=1] -> delete a meeting and everything derived from it
+// (revisions, chunks, embeddings, keyword index, grants, jobs, citing conversation turns).
+// A dry run lists what would go; a real run returns its deletion receipt.
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET" && req.method !== "DELETE") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, req.method === "DELETE" ? "admin" : "ask");
+
+    const meetingId = req.query?.id;
+    if (!meetingId) return res.status(400).json({ error: "missing_arg", detail: "Provide a meeting id in the path." });
+
+    if (req.method === "GET") {
+      const meeting = await getMeetingDetail(storage, principal, meetingId);
+      return res.status(200).json({ ok: true, meeting });
+    }
+
+    const dryRun = ["1", "true"].includes(String(req.query?.dry_run));
+    const result = await deleteMeeting(storage, meetingId, { dryRun, principal });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    if (e instanceof AuthError || e instanceof DeletionError || e instanceof MeetingError) {
+      return res.status(e.status).json({ error: e.code, detail: e.message });
+    }
+    console.error("meetings error:", e);
+    res.status(500).json({ error: "meetings_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
@@ -0,0 +1,49 @@
+import { openStorage } from "../../src/storage/index.js";
+import { getEmbeddingModel } from "../../src/providers/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { DeletionError, forget } from "../../src/meetings/deletion.js";
+
+// POST /api/meetings/forget { email | participant | customer_id, mode?, dry_run?, embed_model? }
+// -> purge or anonymize every meeting of a person or customer (see src/meetings/deletion.js).
+// A dry run lists the meetings and row counts; a real run returns its deletion receipt.
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body || {};
+    const { email, participant, customer_id, mode, dry_run, embed_model } = body;
+
+    // Anonymizing re-embeds the masked meetings
+    let embedder;
+    try {
+      embedder = getEmbeddingModel(embed_model);
+    } catch (e) {
+      return res.status(400).json({ error: "invalid_model", detail: e.message });
+    }
+
+    const result = await forget(storage, { email, participant, customer_id, mode }, { dryRun: dry_run === true, principal, embedder });
+    return res.status(200).json({ ok: true, ...result });
+  } catch (e) {
+    if (e instanceof AuthError || e instanceof DeletionError) {
+      return res.status(e.status).json({ error: e.code, detail: e.message });
+    }
+    console.error("forget error:", e);
+    res.status(500).json({ error: "forget_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
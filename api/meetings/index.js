@@ -0,0 +1,37 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { MeetingError, listMeetings } from "../../src/meetings/meetings.js";
+
+// GET /api/meetings?customer_id=&customer=&from=&to=&participant=&tag=&q=&chunk_status=
+//                  &sort=&order=&limit=&cursor=
+// -> one page of the meetings the caller's access policy allows, with next_cursor
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "ask");
+
+    const page = await listMeetings(storage, principal, req.query || {});
+    return res.status(200).json({ ok: true, ...page });
+  } catch (e) {
+    if (e instanceof AuthError || e instanceof MeetingError) {
+      return res.status(e.status).json({ error: e.code, detail: e.message });
+    }
+    console.error("meetings error:", e);
+    res.status(500).json({ error: "meetings_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
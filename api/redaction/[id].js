@@ -0,0 +1,55 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+
+const counts = (value) => {
+  try {
+    return JSON.parse(value || "{}");
+  } catch {
+    return {};
+  }
+};
+
+// GET /api/redaction/:meetingId -> the meeting's redaction audit (what was redacted, when, how)
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "GET") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    await authenticate(storage, req, "admin");
+
+    const meetingId = req.query?.id;
+    if (!meetingId) return res.status(400).json({ error: "missing_arg", detail: "Provide a meeting id in the path." });
+    if (!await storage.getMeeting(meetingId)) return res.status(404).json({ error: "meeting_not_found" });
+
+    const rows = await storage.getRedactionAudit(meetingId);
+    return res.status(200).json({
+      ok: true,
+      meeting_id: meetingId,
+      audit: rows.map((r) => ({
+        stage: r.STAGE,
+        mode: r.MODE,
+        counts: counts(r.COUNTS),
+        total: Number(r.TOTAL || 0),
+        key_id: r.KEY_ID || null,
+        created_at: r.CREATED_AT ? new Date(r.CREATED_AT).toISOString() : null,
+      })),
+    });
+  } catch (e) {
+    if (e instanceof AuthError) return res.status(e.status).json({ error: e.code, detail: e.message });
+    console.error("redaction error:", e);
+    res.status(500).json({ error: "redaction_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
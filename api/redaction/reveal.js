@@ -0,0 +1,74 @@
+import { openStorage } from "../../src/storage/index.js";
+import { AuthError, authenticate } from "../../src/auth/api-keys.js";
+import { RedactionError, findTokens, revealTokens } from "../../src/redaction/redaction.js";
+
+// POST /api/redaction/reveal { meeting_id, tokens? } -> the originals behind tokenize-mode
+// tokens: `tokens`, or every token in the meeting's stored transcript and summary. Listed
+// tokens must appear there (400 token_not_in_meeting otherwise).
+// Admin only; every reveal is written to the meeting's redaction audit.
+export default async function handler(req, res) {
+  // Add CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight OPTIONS request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  let storage;
+  try {
+    if (req.method !== "POST") return res.status(405).json({ error: "method_not_allowed" });
+
+    storage = await openStorage();
+    const principal = await authenticate(storage, req, "admin");
+
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    const { meeting_id, tokens } = body || {};
+    if (!meeting_id) return res.status(400).json({ error: "missing_arg", detail: "Provide meeting_id." });
+    if (tokens != null && (!Array.isArray(tokens) || tokens.some((t) => typeof t !== "string"))) {
+      return res.status(400).json({ error: "invalid_tokens", detail: "tokens must be a list of token strings" });
+    }
+
+    const meeting = await storage.getMeeting(meeting_id);
+    if (!meeting) return res.status(404).json({ error: "meeting_not_found" });
+
+    // Without a list: every token in the stored transcript and summary. A list may only name
+    // those tokens, so a reveal (and its audit row) is always about this meeting's values.
+    const inMeeting = findTokens(`${meeting.TRANSCRIPT || ""}\n${meeting.GRANOLA_SUMMARY || ""}`);
+    const foreign = (tokens || []).filter((t) => !inMeeting.includes(t));
+    if (foreign.length) {
+      return res.status(400).json({ error: "token_not_in_meeting", detail: `Not in meeting ${meeting_id}: ${foreign.join(", ")}` });
+    }
+    const wanted = tokens || inMeeting;
+    const values = await revealTokens(storage, wanted);
+
+    const byKind = {};
+    for (const { kind } of Object.values(values)) byKind[kind] = (byKind[kind] || 0) + 1;
+    await storage.recordRedaction({
+      MEETING_ID: meeting_id,
+      STAGE: "reveal",
+      MODE: "tokenize",
+      COUNTS: JSON.stringify(byKind),
+      TOTAL: Object.keys(values).length,
+      KEY_ID: principal.keyId,
+    });
+    console.warn(`Revealed ${Object.keys(values).length} redacted value(s) of meeting ${meeting_id} for ${principal.keyId || principal.name}`);
+
+    return res.status(200).json({
+      ok: true,
+      meeting_id,
+      values,
+      not_found: wanted.filter((t) => !values[t]),
+    });
+  } catch (e) {
+    if (e instanceof AuthError || e instanceof RedactionError) {
+      return res.status(e.status).json({ error: e.code, detail: e.message });
+    }
+    console.error("redaction reveal error:", e);
+    res.status(500).json({ error: "reveal_failed", detail: String(e?.message || e) });
+  } finally {
+    storage?.close();
+  }
+}
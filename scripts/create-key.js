@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Issue an API key directly against storage, e.g. the first admin key of a deployment.
+//   node scripts/create-key.js --name <name> --scopes ask,ingest [--customers acme,globex]
+//     [--email jane@example.com] [--teams sales,cs] [--access all|policy] [--expires 2025-12-31]
+// The key is printed once; only its hash is stored.
+import { parseArgs } from "util";
+import { openStorage } from "../src/storage/index.js";
+import { SCOPES, issueKey } from "../src/auth/api-keys.js";
+
+const { values } = parseArgs({
+  options: {
+    name: { type: "string" },
+    scopes: { type: "string", default: "admin" },
+    customers: { type: "string" },
+    email: { type: "string" },
+    teams: { type: "string" },
+    access: { type: "string" },
+    expires: { type: "string" },
+  },
+});
+const split = (value) => value.split(",").map((s) => s.trim()).filter(Boolean);
+
+const storage = await openStorage();
+try {
+  const { key, row } = await issueKey(storage, {
+    name: values.name,
+    scopes: split(values.scopes),
+    customer_ids: values.customers ? split(values.customers) : null,
+    user_email: values.email || null,
+    teams: values.teams ? split(values.teams) : [],
+    ...(values.access ? { access: values.access } : {}),
+    expires_at: values.expires || null,
+  });
+  console.log(`Issued key ${row.KEY_ID} (${row.NAME}) with scopes ${JSON.parse(row.SCOPES).join(", ")} and "${row.ACCESS}" access:`);
+  console.log(key);
+} catch (e) {
+  console.error("create key failed:", e?.message || e);
+  console.error(`Scopes: ${SCOPES.join(", ")}`);
+  process.exitCode = 1;
+} finally {
+  storage.close();
+}
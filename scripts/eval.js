@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+// Offline RAG evaluation: load a fixture corpus into a local deployment, ask every question
+// of a golden set through /api/ask, and score retrieval, citations and answers.
+//   node scripts/eval.js --key <API key> [--url http://localhost:3000] [--corpus eval/corpus]
+//     [--golden eval/golden.json] [--model fake:echo] [--embed-model fake:hash] [--rerank off]
+//     [--k 1,3,5,10] [--lambda 0.7] [--pool-size 40] [--per-meeting-cap 6]
+//     [--out eval/results.json] [--baseline <earlier results.json>] [--skip-load]
+// The corpus is a directory of Granola Markdown exports or a JSON array of /api/ingest
+// payloads. It is imported, then rechunked by one backfill job with the embedding model
+// under test, and every question is scoped to the corpus meetings, so other data in the
+// store doesn't leak into the scores. See src/eval/metrics.js for what each metric means.
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync } from "fs";
+import { extname, join, relative } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { signingSecrets, signRequest } from "../src/auth/signatures.js";
+import { parseGranolaMarkdown } from "../src/ingest/markdown.js";
+import { andScope } from "../src/rag/filters.js";
+import { compareRuns, parseGoldenSet, scoreQuestion, summarize, unmatchedPhrases } from "../src/eval/metrics.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const { values } = parseArgs({
+  options: {
+    url: { type: "string", default: "http://localhost:3000" },
+    key: { type: "string", default: "" },
+    secret: { type: "string", default: signingSecrets()[0] || "" },
+    corpus: { type: "string", default: join(root, "eval/corpus") },
+    golden: { type: "string", default: join(root, "eval/golden.json") },
+    model: { type: "string" },
+    "embed-model": { type: "string" },
+    rerank: { type: "string" },
+    k: { type: "string", default: "1,3,5,10" },
+    lambda: { type: "string" },
+    "pool-size": { type: "string" },
+    "per-meeting-cap": { type: "string" },
+    out: { type: "string", default: join(root, "eval/results.json") },
+    baseline: { type: "string" },
+    "skip-load": { type: "boolean", default: false },
+  },
+});
+
+if (!values.key) {
+  console.error("--key is required: an API key with the ingest, rechunk and ask scopes");
+  process.exit(1);
+}
+
+const ks = values.k.split(",").map(Number);
+if (!ks.length || ks.some((k) => !Number.isInteger(k) || k < 1 || k > 50)) {
+  console.error("--k must be a comma-separated list of integers from 1 to 50 (the /api/ask limit), e.g. 1,3,5,10");
+  process.exit(1);
+}
+const maxK = Math.max(...ks);
+
+// Paths in the results are relative to the repo, so runs from different checkouts compare
+const shown = (path) => relative(root, path).split("\\").join("/");
+
+// <path> -> /api/ingest payloads
+function readCorpus(path) {
+  if (statSync(path).isDirectory()) {
+    return readdirSync(path)
+      .filter((f) => extname(f).toLowerCase() === ".md")
+      .sort()
+      .map((f) => parseGranolaMarkdown(readFileSync(join(path, f), "utf8"), { fallbackId: f.replace(/\.md$/i, "") }));
+  }
+  const parsed = JSON.parse(readFileSync(path, "utf8"));
+  if (!Array.isArray(parsed)) throw new Error(`${path}: expected a JSON array of meetings`);
+  return parsed;
+}
+
+// One API call -> the JSON reply; exits on network errors and non-2xx replies
+async function api(method, path, body) {
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+  const headers = {
+    Authorization: `Bearer ${values.key}`,
+    "Content-Type": "application/json",
+    ...(payload && values.secret && path.startsWith("/api/import") ? signRequest(payload, { secret: values.secret }) : {}),
+  };
+  let res;
+  let reply;
+  try {
+    res = await fetch(new URL(path, values.url), { method, headers, body: payload });
+    reply = await res.json().catch(() => null);
+  } catch (e) {
+    reply = { error: "request_failed", detail: e?.message || String(e) };
+  }
+  if (!res?.ok) {
+    console.error(`${method} ${path} failed (${res?.status ?? "no response"}): ${reply?.error || ""} ${reply?.detail || ""}`.trim());
+    process.exit(1);
+  }
+  return reply;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Poll a job until it finishes. A job that stops moving is POSTed: one left queued (no job
+// runner picked it up) runs here, and one left running is taken over once its lease
+// (JOB_LEASE_MS on the server) runs out.
+async function waitForJob(jobId, { timeoutMs = 30 * 60 * 1000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  let seen = null;
+  let idleSince = Date.now();
+  while (Date.now() < deadline) {
+    const { job } = await api("GET", `/api/jobs/${encodeURIComponent(jobId)}`);
+    if (job.status === "succeeded") return job;
+    if (job.status === "failed") throw new Error(`Job ${jobId} failed: ${job.error}`);
+    const state = `${job.status} ${job.updated_at}`;
+    if (state !== seen) {
+      seen = state;
+      idleSince = Date.now();
+    } else if (Date.now() - idleSince > 5000) {
+      await api("POST", `/api/jobs/${encodeURIComponent(jobId)}`);
+      idleSince = Date.now();
+    }
+    await sleep(1000);
+  }
+  throw new Error(`Job ${jobId} did not finish in ${timeoutMs / 1000}s`);
+}
+
+const corpus = readCorpus(values.corpus);
+const meetingIds = corpus.map((m) => m.meeting_id);
+const golden = parseGoldenSet(JSON.parse(readFileSync(values.golden, "utf8")));
+const unknown = golden.flatMap((q) => q.expectedMeetings.filter((id) => !meetingIds.includes(id)).map((id) => `${q.id}: ${id}`));
+if (unknown.length) {
+  console.error(`Golden questions expect meetings that are not in the corpus:\n  ${unknown.join("\n  ")}`);
+  process.exit(1);
+}
+
+if (!values["skip-load"]) {
+  const imported = await api("POST", "/api/import?chunk=0", corpus);
+  const failed = imported.results.filter((r) => r.status === "failed");
+  if (failed.length) {
+    for (const r of failed) console.error(`${r.meeting_id ?? `record ${r.record}`}: ${r.error}: ${r.detail}`);
+    process.exit(1);
+  }
+  console.log(`Corpus: ${imported.created} created, ${imported.updated} updated, ${imported.duplicates} unchanged`);
+
+  // Rechunked every run: chunker changes show up even when the transcripts didn't change
+  const { job_id } = await api("POST", "/api/rechunk", {
+    backfill: { scope: { meeting_ids: meetingIds } },
+    ...(values["embed-model"] ? { embed_model: values["embed-model"] } : {}),
+  });
+  const { progress } = await waitForJob(job_id);
+  if (progress.failed) {
+    for (const f of progress.failures) console.error(`${f.meeting_id}: ${f.error}`);
+    process.exit(1);
+  }
+  console.log(`Chunked ${progress.succeeded} meeting(s): ${progress.chunks} chunks (${progress.kept} kept, ${progress.added} new)`);
+}
+
+// CHUNK_ID -> { chunkId, meetingId, text, label }. Results name chunks "<meeting_id>#<idx>",
+// which stay the same across stores while the chunker does.
+const chunks = new Map();
+for (const id of meetingIds) {
+  const { meeting } = await api("GET", `/api/meetings/${encodeURIComponent(id)}`);
+  for (const c of meeting.chunks) {
+    chunks.set(c.chunk_id, { chunkId: c.chunk_id, meetingId: id, text: c.text, label: `${id}#${c.idx}` });
+  }
+}
+for (const q of golden) {
+  const stale = unmatchedPhrases(q, [...chunks.values()]);
+  if (stale.length) console.warn(`Warning: ${q.id}: no chunk of its expected meetings contains ${stale.map((p) => `"${p}"`).join(", ")}`);
+}
+
+const retrieval = Object.fromEntries(
+  [["lambda", values.lambda], ["pool_size", values["pool-size"]], ["per_meeting_cap", values["per-meeting-cap"]]]
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => [k, Number(v)])
+);
+const rerank = values.rerank == null ? undefined : ["off", "false", "none"].includes(values.rerank) ? false : values.rerank;
+const label = (id) => chunks.get(id)?.label || id;
+
+const rows = [];
+let served = {};
+for (const q of golden) {
+  const reply = await api("POST", "/api/ask", {
+    question: q.question,
+    scope: andScope(q.scope, { meeting_ids: meetingIds }),
+    k: maxK,
+    ...(values.model ? { model: values.model } : {}),
+    ...(values["embed-model"] ? { embed_model: values["embed-model"] } : {}),
+    ...(rerank !== undefined ? { rerank } : {}),
+    ...(Object.keys(retrieval).length ? { retrieval } : {}),
+  });
+  served = { model: reply.model ?? served.model ?? null, embed_model: reply.embed_model };
+
+  const retrieved = reply.sources.map((s) => chunks.get(s.chunk_id)
+    || { chunkId: s.chunk_id, meetingId: s.meeting_id, text: s.snippet, label: s.chunk_id });
+  const cited = (reply.cited_sources || []).map((s) => s.chunk_id);
+  const scores = scoreQuestion(q, {
+    retrieved,
+    cited,
+    invalidCitations: reply.grounding?.invalid_citations || [],
+    grounded: reply.grounded,
+    answer: reply.answer,
+  }, ks);
+
+  // Chunk ids in the answer become labels too, so answers diff across stores
+  let answer = String(reply.answer || "");
+  for (const [id, c] of chunks) answer = answer.split(id).join(c.label);
+
+  rows.push({
+    id: q.id,
+    question: q.question,
+    ...scores,
+    retrieved: retrieved.map((c) => c.label),
+    cited: cited.map(label),
+    answer,
+  });
+  console.log(`${q.id}: recall@${maxK} ${scores[`recall@${maxK}`]}, mrr ${scores.mrr}, citations ${scores.citation_accuracy}, similarity ${scores.answer_similarity}${scores.missed.length ? `, missed ${scores.missed.length}` : ""}`);
+}
+
+// Stable content and key order only (no timestamps), so two results files diff line by line
+const results = {
+  config: {
+    corpus: shown(values.corpus),
+    golden: shown(values.golden),
+    meetings: meetingIds.length,
+    chunks: chunks.size,
+    k: ks,
+    model: served.model,
+    embed_model: served.embed_model,
+    rerank: rerank === undefined ? "default" : rerank,
+    retrieval: Object.keys(retrieval).length ? retrieval : "default",
+  },
+  summary: summarize(rows, ks),
+  questions: rows,
+};
+writeFileSync(values.out, JSON.stringify(results, null, 2) + "\n");
+
+const table = (header, lines) => {
+  const widths = header.map((h, i) => Math.max(h.length, ...lines.map((l) => String(l[i]).length)));
+  for (const line of [header, ...lines]) console.log(line.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd());
+};
+const fmt = (v) => (v == null ? "-" : typeof v === "number" && v > 0 && !Number.isInteger(v) ? v.toFixed(3) : String(v));
+
+console.log("");
+table(["metric", "value"], Object.entries(results.summary).map(([m, v]) => [m, fmt(v)]));
+console.log(`\nResults written to ${values.out}`);
+
+if (values.baseline) {
+  if (!existsSync(values.baseline)) {
+    console.error(`Baseline ${values.baseline} not found`);
+    process.exit(1);
+  }
+  const diff = compareRuns(JSON.parse(readFileSync(values.baseline, "utf8")), results);
+  const signed = (d) => (d == null ? "-" : d > 0 ? `+${d.toFixed(3)}` : d.toFixed(3));
+  console.log(`\nCompared with ${values.baseline}:`);
+  table(["metric", "baseline", "current", "delta"], diff.summary.map((r) => [r.metric, fmt(r.baseline), fmt(r.current), signed(r.delta)]));
+  for (const q of diff.questions) {
+    if (q.added || q.removed) {
+      console.log(`${q.id}: ${q.added ? "new question" : "no longer in the golden set"}`);
+      continue;
+    }
+    console.log(`${q.id}: ${q.changes.map((c) => `${c.metric} ${fmt(c.baseline)} -> ${fmt(c.current)}`).join(", ")}`);
+  }
+  if (!diff.questions.length) console.log("No question changed.");
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Load historical meetings through POST /api/import, --batch records per request.
+//   node scripts/import.js <path> [--url http://localhost:3000/api/import] [--key <API key>]
+//     [--batch 100] [--secret <signing secret>] [--no-chunk] [--report report.json]
+// <path> is an NDJSON file (.ndjson, .jsonl), a JSON array (.json), or a directory or .zip
+// of Granola Markdown exports (.md). Every failed or duplicate record is printed with the
+// file (and line) it came from, then the totals; --report saves the full report as JSON.
+// Imports are idempotent, so rerunning after a failed request picks up where it stopped.
+import { readdirSync, readFileSync, statSync, writeFileSync } from "fs";
+import { extname, join, relative, sep } from "path";
+import { parseArgs } from "util";
+import { signingSecrets, signRequest } from "../src/auth/signatures.js";
+import { parseGranolaMarkdown } from "../src/ingest/markdown.js";
+import { readZip } from "../src/ingest/zip.js";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    url: { type: "string", default: "http://localhost:3000/api/import" },
+    key: { type: "string", default: process.env.INGEST_API_KEY || "" },
+    secret: { type: "string", default: signingSecrets()[0] || "" },
+    batch: { type: "string", default: "100" },
+    "no-chunk": { type: "boolean", default: false },
+    report: { type: "string" },
+  },
+});
+
+const path = positionals[0];
+const batchSize = Number(values.batch);
+if (!path || !Number.isInteger(batchSize) || batchSize < 1) {
+  console.error("Usage: node scripts/import.js <file.ndjson | file.json | dir | export.zip> [--key <API key>] [--batch 100]");
+  process.exit(1);
+}
+
+// Markdown exports are named by their path inside the export unless they carry an id
+const markdown = (name, text) => ({
+  source: name,
+  record: parseGranolaMarkdown(text, { fallbackId: name.replace(/\.md$/i, "") }),
+});
+
+// <path> -> [{ source, record } | { source, error, detail }] in file order
+function readRecords(path) {
+  if (statSync(path).isDirectory()) {
+    const walk = (dir) => readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap((d) => (d.isDirectory() ? walk(join(dir, d.name)) : [join(dir, d.name)]));
+    return walk(path)
+      .filter((f) => extname(f).toLowerCase() === ".md")
+      .map((f) => markdown(relative(path, f).split(sep).join("/"), readFileSync(f, "utf8")));
+  }
+
+  const ext = extname(path).toLowerCase();
+  if (ext === ".zip") {
+    return readZip(readFileSync(path))
+      .filter((f) => extname(f.name).toLowerCase() === ".md")
+      .map((f) => markdown(f.name, f.data.toString("utf8")));
+  }
+  if (ext === ".json") {
+    const parsed = JSON.parse(readFileSync(path, "utf8"));
+    const list = Array.isArray(parsed) ? parsed : parsed?.meetings;
+    if (!Array.isArray(list)) throw new Error(`${path}: expected a JSON array of meetings or { meetings: [...] }`);
+    return list.map((record, i) => ({ source: `${path}[${i}]`, record }));
+  }
+  return readFileSync(path, "utf8").split(/\r?\n/).flatMap((line, i) => {
+    if (!line.trim()) return [];
+    try {
+      return [{ source: `${path}:${i + 1}`, record: JSON.parse(line) }];
+    } catch (e) {
+      return [{ source: `${path}:${i + 1}`, error: "invalid_json", detail: e.message }];
+    }
+  });
+}
+
+const items = readRecords(path);
+const report = items.filter((it) => it.error).map(({ source, error, detail }) => ({ source, status: "failed", error, detail }));
+const toSend = items.filter((it) => !it.error);
+console.log(`Importing ${toSend.length} record(s) from ${path} to ${values.url}`);
+
+const url = new URL(values.url);
+if (values["no-chunk"]) url.searchParams.set("chunk", "0");
+
+let sent = 0;
+let stopped = false;
+for (let start = 0; start < toSend.length; start += batchSize) {
+  const batch = toSend.slice(start, start + batchSize);
+  // Compact JSON: the exact bytes that are signed and sent
+  const body = JSON.stringify(batch.map((it) => it.record));
+  const headers = {
+    Authorization: `Bearer ${values.key}`,
+    "Content-Type": "application/json",
+    ...(values.secret ? signRequest(body, { secret: values.secret }) : {}),
+  };
+
+  let res;
+  let reply;
+  try {
+    res = await fetch(url, { method: "POST", headers, body });
+    reply = await res.json().catch(() => null);
+  } catch (e) {
+    reply = { error: "request_failed", detail: e?.message || String(e) };
+  }
+  if (!res?.ok || !Array.isArray(reply?.results)) {
+    console.error(`Request for records ${start + 1}-${start + batch.length} failed (${res?.status ?? "no response"}): ${reply?.error || ""} ${reply?.detail || ""}`.trim());
+    console.error("Stopped. Fix the problem and run the import again; records already imported come back as duplicates.");
+    stopped = true;
+    break;
+  }
+  sent += batch.length;
+  for (const result of reply.results) {
+    const { record, line, ...rest } = result;
+    report.push({ source: batch[record - 1].source, ...rest });
+  }
+  console.log(`Records ${start + 1}-${start + batch.length}: ${reply.created} created, ${reply.updated} updated, ${reply.duplicates} duplicate(s), ${reply.failed} failed`);
+}
+
+for (const r of report) {
+  if (r.status === "failed") console.log(`${r.source}: failed ${r.error}: ${r.detail}`);
+  else if (r.status === "duplicate") console.log(`${r.source}: duplicate (${r.detail})`);
+}
+const count = (status) => report.filter((r) => r.status === status).length;
+console.log(`Done: ${count("created")} created, ${count("updated")} updated, ${count("duplicate")} duplicate(s), ${count("failed")} failed${stopped ? `, ${toSend.length - sent} not sent` : ""}`);
+if (values.report) writeFileSync(values.report, JSON.stringify(report, null, 2));
+if (stopped || count("failed")) process.exitCode = 1;
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Apply pending schema migrations, or print the planned DDL with --dry-run.
+//   node scripts/migrate.js [--dry-run]
+import { openStorage } from "../src/storage/index.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const storage = await openStorage({ migrate: false });
+try {
+  const plan = await storage.migrate({ dryRun });
+  if (!plan.length) {
+    console.log("Schema is up to date.");
+  }
+  for (const m of plan) {
+    console.log(`-- ${dryRun ? "Pending" : "Applied"} migration ${m.version}: ${m.name}`);
+    if (!m.statements) {
+      console.log("-- (statements computed at apply time, from the schema the migrations before it leave)\n");
+      continue;
+    }
+    if (!m.statements.length) console.log("-- (no changes needed for the current schema)");
+    for (const sql of m.statements) console.log(`${sql.trim()};\n`);
+  }
+} catch (e) {
+  console.error("migration failed:", e?.message || e);
+  process.exitCode = 1;
+} finally {
+  storage.close();
+}
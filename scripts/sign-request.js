@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Build a signed /api/ingest delivery for local testing, and print it as a curl command
+// or send it with --send.
+//   node scripts/sign-request.js <payload.json> [--url http://localhost:3000/api/ingest]
+//     [--key <API key>] [--secret <signing secret>] [--timestamp <unix seconds>] [--nonce <nonce>] [--send]
+// --secret defaults to the first INGEST_SIGNING_SECRETS entry, --key to INGEST_API_KEY.
+// Reuse --nonce, or pass an old --timestamp, to check that replays and stale deliveries fail.
+import { readFileSync } from "fs";
+import { parseArgs } from "util";
+import { signingSecrets, signRequest } from "../src/auth/signatures.js";
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    url: { type: "string", default: "http://localhost:3000/api/ingest" },
+    key: { type: "string", default: process.env.INGEST_API_KEY || "" },
+    secret: { type: "string", default: signingSecrets()[0] || "" },
+    timestamp: { type: "string" },
+    nonce: { type: "string" },
+    send: { type: "boolean", default: false },
+  },
+});
+
+if (!positionals[0] || !values.secret) {
+  console.error("Usage: node scripts/sign-request.js <payload.json> [--secret <secret>] [--key <API key>] [--send]");
+  process.exit(1);
+}
+
+// Compact JSON: the exact bytes that are signed and sent
+const body = JSON.stringify(JSON.parse(readFileSync(positionals[0], "utf8")));
+const headers = {
+  Authorization: `Bearer ${values.key}`,
+  "Content-Type": "application/json",
+  ...signRequest(body, {
+    secret: values.secret,
+    ...(values.timestamp ? { timestamp: Number(values.timestamp) } : {}),
+    ...(values.nonce ? { nonce: values.nonce } : {}),
+  }),
+};
+
+if (!values.send) {
+  const quote = (s) => `'${s.replace(/'/g, `'\\''`)}'`;
+  console.log([
+    `curl -X POST ${quote(values.url)}`,
+    ...Object.entries(headers).map(([k, v]) => `  -H ${quote(`${k}: ${v}`)}`),
+    `  --data-raw ${quote(body)}`,
+  ].join(" \\\n"));
+} else {
+  const res = await fetch(values.url, { method: "POST", headers, body });
+  console.log(res.status, await res.text());
+  if (!res.ok) process.exitCode = 1;
+}
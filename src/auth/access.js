@@ -0,0 +1,95 @@
+import { randomUUID } from "crypto";
+import { andScope } from "../rag/filters.js";
+import { AuthError, normalizeTeam } from "./api-keys.js";
+
+// Row-level access for retrieval. A key with "policy" access (see ./api-keys.js) sees a
+// meeting when any of these holds:
+//
+//   participant   its USER_EMAIL is among the meeting's participant emails
+//   owner         its USER_EMAIL is an owner of the meeting's customer (CUSTOMERS.OWNER_EMAILS)
+//   team grant    one of its TEAMS has an ACCESS_GRANTS row for the meeting or its customer
+//
+// accessFilter() turns that into a scope filter (./filters.js schema) that retrieval ANDs
+// into the search, so the storage adapters apply it in the same WHERE clause as the
+// request's own scope: chunks outside it are never fetched, prompted or returned.
+// A key limited to some customers (CUSTOMER_IDS) is narrowed to them on top of this.
+
+const list = (value) => {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// API shape of an ACCESS_GRANTS row
+export function formatGrant(row) {
+  return {
+    grant_id: row.GRANT_ID,
+    team: row.TEAM,
+    customer_id: row.CUSTOMER_ID || null,
+    meeting_id: row.MEETING_ID || null,
+  };
+}
+
+// Grant a team every meeting of a customer, or one meeting
+export async function createGrant(storage, { team, customer_id, meeting_id }) {
+  if (typeof team !== "string" || !team.trim()) throw new AuthError("invalid_grant", "team is required", 400);
+  if (!customer_id === !meeting_id) {
+    throw new AuthError("invalid_grant", "Provide exactly one of customer_id or meeting_id", 400);
+  }
+  if (customer_id && !await storage.getCustomer(customer_id)) {
+    throw new AuthError("customer_not_found", `No customer ${customer_id}`, 404);
+  }
+  if (meeting_id && !await storage.getMeeting(meeting_id)) {
+    throw new AuthError("meeting_not_found", `No meeting ${meeting_id}`, 404);
+  }
+  const row = {
+    GRANT_ID: randomUUID(),
+    TEAM: normalizeTeam(team),
+    CUSTOMER_ID: customer_id || null,
+    MEETING_ID: meeting_id || null,
+  };
+  await storage.saveAccessGrant(row);
+  return row;
+}
+
+/**
+ * Scope filter for what the caller may retrieve, or undefined when nothing is hidden.
+ * Lists may be empty (which matches nothing), so the result is only for andScope(), not
+ * for validateScope().
+ */
+export async function accessFilter(storage, principal) {
+  const limit = principal.customerIds ? { customer_ids: principal.customerIds } : undefined;
+  if (principal.access !== "policy") return limit;
+
+  const email = principal.userEmail;
+  const customers = await storage.listCustomers();
+  const owned = email
+    ? customers.filter((c) => list(c.OWNER_EMAILS).includes(email)).map((c) => c.CUSTOMER_ID)
+    : [];
+  const grants = principal.teams.length ? await storage.listAccessGrants({ teams: principal.teams }) : [];
+
+  // Grants and ownership on a merged customer carry over to the one it was merged into
+  const survivor = new Map(customers.filter((c) => c.MERGED_INTO).map((c) => [c.CUSTOMER_ID, c.MERGED_INTO]));
+  const follow = (id) => {
+    const seen = new Set();
+    while (survivor.has(id) && !seen.has(id)) {
+      seen.add(id);
+      id = survivor.get(id);
+    }
+    return id;
+  };
+  const customerIds = [...new Set([...owned, ...grants.map((g) => g.CUSTOMER_ID).filter(Boolean)].map(follow))];
+  const meetingIds = [...new Set(grants.map((g) => g.MEETING_ID).filter(Boolean))];
+
+  const policy = {
+    any: [
+      ...(email ? [{ participants: [email] }] : []),
+      { customer_ids: customerIds },
+      { meeting_ids: meetingIds },
+    ],
+  };
+  return andScope(policy, limit);
+}
@@ -0,0 +1,242 @@
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+
+// Per-user API keys. A key looks like "gsk_<key id>_<secret>"; API_KEYS stores only a
+// SHA-256 hash of it, looked up by the key id. Each key carries scopes, an optional list
+// of customers it is limited to, an optional expiry, and is revoked rather than deleted
+// so LAST_USED_AT and the audit trail survive. USER_EMAIL, TEAMS and ACCESS identify the
+// caller to the row-level access policy in ./access.js.
+//
+// The old shared INGEST_API_KEY was published in the chat page, so it is refused unless
+// ALLOW_INGEST_API_KEY=1 opts back in while a sender (e.g. an existing Zapier zap) moves
+// over, and even then it may only ingest. Rotate it first: the old value is in git history.
+
+export const SCOPES = ["ingest", "rechunk", "ask", "admin"];
+
+// "all": every meeting; "policy": only meetings the access policy grants (./access.js)
+export const ACCESS_MODES = ["all", "policy"];
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const PREFIX = "gsk";
+
+// Only write LAST_USED_AT when the stored value is older than this
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Errors handlers turn into 401/403 responses
+export class AuthError extends Error {
+  constructor(code, detail, status = 401) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export function hashKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex");
+}
+
+function sameHash(a, b) {
+  const x = Buffer.from(String(a || ""), "hex");
+  const y = Buffer.from(String(b || ""), "hex");
+  return x.length === y.length && x.length > 0 && timingSafeEqual(x, y);
+}
+
+function bearer(req) {
+  const h = req.headers.get?.("authorization") || req.headers.authorization || "";
+  return h.startsWith("Bearer ") ? h.slice(7).trim() : "";
+}
+
+const list = (value) => {
+  try {
+    const parsed = JSON.parse(value || "null");
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+const iso = (value) => (value ? new Date(value).toISOString() : null);
+
+// API shape of an API_KEYS row (never includes the hash)
+export function formatKey(row) {
+  return {
+    key_id: row.KEY_ID,
+    name: row.NAME,
+    scopes: list(row.SCOPES) || [],
+    customer_ids: list(row.CUSTOMER_IDS),
+    user_email: row.USER_EMAIL || null,
+    teams: list(row.TEAMS) || [],
+    access: row.ACCESS || "all",
+    expires_at: iso(row.EXPIRES_AT),
+    revoked_at: iso(row.REVOKED_AT),
+    last_used_at: iso(row.LAST_USED_AT),
+    created_at: iso(row.CREATED_AT),
+  };
+}
+
+// Check { name, scopes, customer_ids, user_email, teams, access, expires_at } from a
+// request; partial for updates
+function checkKeyFields(fields, { partial = false } = {}) {
+  const problems = [];
+  const out = {};
+
+  if (fields.name != null || !partial) {
+    if (typeof fields.name !== "string" || !fields.name.trim()) problems.push("name: must be a non-empty string");
+    else out.NAME = fields.name.trim();
+  }
+  if (fields.scopes != null || !partial) {
+    const scopes = Array.isArray(fields.scopes) ? fields.scopes : [];
+    const unknown = scopes.filter((s) => !SCOPES.includes(s));
+    if (!scopes.length || unknown.length) problems.push(`scopes: must be a non-empty list of ${SCOPES.join(", ")}`);
+    else out.SCOPES = JSON.stringify([...new Set(scopes)]);
+  }
+  if (fields.customer_ids !== undefined) {
+    const ids = fields.customer_ids;
+    if (ids !== null && (!Array.isArray(ids) || !ids.length || ids.some((id) => typeof id !== "string" || !id.trim()))) {
+      problems.push("customer_ids: must be a non-empty list of customer ids, or null for every customer");
+    } else {
+      out.CUSTOMER_IDS = ids ? JSON.stringify([...new Set(ids.map((id) => id.trim()))]) : null;
+    }
+  }
+  if (fields.user_email !== undefined) {
+    if (fields.user_email !== null && (typeof fields.user_email !== "string" || !EMAIL.test(fields.user_email.trim()))) {
+      problems.push("user_email: must be an email address, or null");
+    } else {
+      out.USER_EMAIL = fields.user_email ? fields.user_email.trim().toLowerCase() : null;
+    }
+  }
+  if (fields.teams !== undefined) {
+    const teams = fields.teams ?? [];
+    if (!Array.isArray(teams) || teams.some((t) => typeof t !== "string" || !t.trim())) {
+      problems.push("teams: must be a list of team names");
+    } else {
+      out.TEAMS = JSON.stringify([...new Set(teams.map(normalizeTeam))]);
+    }
+  }
+  if (fields.access !== undefined) {
+    if (!ACCESS_MODES.includes(fields.access)) problems.push(`access: must be one of ${ACCESS_MODES.join(", ")}`);
+    else out.ACCESS = fields.access;
+  }
+  if (fields.expires_at !== undefined) {
+    if (fields.expires_at !== null && Number.isNaN(Date.parse(fields.expires_at))) {
+      problems.push("expires_at: must be an ISO 8601 timestamp, or null for no expiry");
+    } else {
+      out.EXPIRES_AT = fields.expires_at ? new Date(fields.expires_at).toISOString() : null;
+    }
+  }
+
+  if (problems.length) throw new AuthError("invalid_key", problems.join("; "), 400);
+  return out;
+}
+
+export function normalizeTeam(team) {
+  return String(team).trim().toLowerCase();
+}
+
+const isAdmin = (row) => (list(row.SCOPES) || []).includes("admin");
+
+// Admin keys manage keys, customers and grants, so they must not be limited themselves
+function checkAdminUnrestricted(row) {
+  if (isAdmin(row) && list(row.CUSTOMER_IDS)) {
+    throw new AuthError("invalid_key", "admin keys cannot be limited to customers", 400);
+  }
+  if (isAdmin(row) && row.ACCESS === "policy") {
+    throw new AuthError("invalid_key", 'admin keys always have "all" access', 400);
+  }
+}
+
+// -> { key, row }. The plaintext key is returned here once and never stored. New keys
+// other than admin keys default to "policy" access.
+export async function issueKey(storage, fields) {
+  const keyId = randomBytes(6).toString("hex");
+  const key = `${PREFIX}_${keyId}_${randomBytes(32).toString("base64url")}`;
+  const checked = checkKeyFields(fields);
+  const row = {
+    KEY_ID: keyId,
+    CUSTOMER_IDS: null,
+    USER_EMAIL: null,
+    TEAMS: JSON.stringify([]),
+    ACCESS: isAdmin(checked) ? "all" : "policy",
+    EXPIRES_AT: null,
+    ...checked,
+    KEY_HASH: hashKey(key),
+    REVOKED_AT: null,
+  };
+  checkAdminUnrestricted(row);
+  await storage.saveApiKey(row);
+  return { key, row };
+}
+
+async function requireKey(storage, keyId) {
+  const row = keyId ? await storage.getApiKey(keyId) : null;
+  if (!row) throw new AuthError("key_not_found", `No API key ${keyId}`, 404);
+  return row;
+}
+
+export async function updateKey(storage, keyId, fields) {
+  const row = await requireKey(storage, keyId);
+  const next = { ...row, ...checkKeyFields(fields, { partial: true }) };
+  checkAdminUnrestricted(next);
+  await storage.saveApiKey(next);
+  return next;
+}
+
+export async function revokeKey(storage, keyId) {
+  const row = await requireKey(storage, keyId);
+  if (row.REVOKED_AT) return row;
+  const next = { ...row, REVOKED_AT: new Date().toISOString() };
+  await storage.saveApiKey(next);
+  return next;
+}
+
+/**
+ * Authenticate the request's bearer key for one of `scopes` (admin keys pass any scope).
+ * -> { keyId, name, scopes, customerIds, userEmail, teams, access } where customerIds is
+ * null for every customer and access is "all" or "policy".
+ * Throws AuthError: 401 unauthorized | key_revoked | key_expired, 403 insufficient_scope.
+ */
+export async function authenticate(storage, req, scopes) {
+  const wanted = [].concat(scopes);
+  const key = bearer(req);
+  if (!key) throw new AuthError("unauthorized", 'Send an API key as "Authorization: Bearer <key>"');
+
+  const legacy = process.env.ALLOW_INGEST_API_KEY === "1" && process.env.INGEST_API_KEY;
+  if (legacy && sameHash(hashKey(key), hashKey(legacy))) {
+    if (!wanted.includes("ingest")) {
+      throw new AuthError("insufficient_scope", "INGEST_API_KEY may only ingest; use an issued key", 403);
+    }
+    console.warn("Request authenticated with the shared INGEST_API_KEY; issue a per-user key instead");
+    return { keyId: null, name: "INGEST_API_KEY", scopes: ["ingest"], customerIds: null, userEmail: null, teams: [], access: "policy" };
+  }
+
+  const [prefix, keyId] = key.split("_");
+  const row = prefix === PREFIX && keyId ? await storage.getApiKey(keyId) : null;
+  if (!row || !sameHash(hashKey(key), row.KEY_HASH)) throw new AuthError("unauthorized", "Invalid API key");
+  if (row.REVOKED_AT) throw new AuthError("key_revoked", `API key ${keyId} was revoked`);
+  if (row.EXPIRES_AT && new Date(row.EXPIRES_AT).getTime() <= Date.now()) {
+    throw new AuthError("key_expired", `API key ${keyId} expired at ${iso(row.EXPIRES_AT)}`);
+  }
+
+  const granted = list(row.SCOPES) || [];
+  if (!granted.includes("admin") && !wanted.some((s) => granted.includes(s))) {
+    throw new AuthError("insufficient_scope", `API key ${keyId} needs the ${wanted.join(" or ")} scope`, 403);
+  }
+
+  if (!row.LAST_USED_AT || Date.now() - new Date(row.LAST_USED_AT).getTime() > TOUCH_INTERVAL_MS) {
+    await storage.touchApiKey(keyId);
+  }
+  return {
+    keyId,
+    name: row.NAME,
+    scopes: granted,
+    customerIds: list(row.CUSTOMER_IDS),
+    userEmail: row.USER_EMAIL || null,
+    teams: list(row.TEAMS) || [],
+    access: granted.includes("admin") ? "all" : row.ACCESS || "all",
+  };
+}
+
+// Whether a key limited to some customers may touch a meeting of `customerId`
+export function allowsCustomer(principal, customerId) {
+  return !principal.customerIds || principal.customerIds.includes(customerId);
+}
@@ -0,0 +1,92 @@
+import { createHmac, randomUUID, timingSafeEqual } from "crypto";
+import { AuthError } from "./api-keys.js";
+
+// HMAC-SHA256 webhook signatures for /api/ingest, on top of the bearer key. Enabled by
+// setting INGEST_SIGNING_SECRETS (comma-separated: list the new secret next to the old
+// one while senders rotate). A signed delivery carries:
+//
+//   X-Granola-Timestamp   unix seconds when it was signed
+//   X-Granola-Nonce       unique per delivery
+//   X-Granola-Signature   v1=<hex HMAC-SHA256 of "<timestamp>.<nonce>.<body>">, or several
+//                         comma-separated v1= values (one per secret)
+//
+// Deliveries older than INGEST_SIGNATURE_TOLERANCE_SEC (default 300) are stale, and a nonce
+// is accepted once: storage keeps it until it would be stale anyway.
+
+export const TIMESTAMP_HEADER = "x-granola-timestamp";
+export const NONCE_HEADER = "x-granola-nonce";
+export const SIGNATURE_HEADER = "x-granola-signature";
+
+const DEFAULT_TOLERANCE_SEC = 300;
+
+export function signingSecrets() {
+  return (process.env.INGEST_SIGNING_SECRETS || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function toleranceSec() {
+  const n = Number(process.env.INGEST_SIGNATURE_TOLERANCE_SEC);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TOLERANCE_SEC;
+}
+
+export function computeSignature(secret, { timestamp, nonce, body }) {
+  return createHmac("sha256", secret).update(`${timestamp}.${nonce}.${body}`).digest("hex");
+}
+
+// Headers for a signed delivery of `body` (the exact string that will be sent)
+export function signRequest(body, { secret, timestamp = Math.floor(Date.now() / 1000), nonce = randomUUID() } = {}) {
+  return {
+    "X-Granola-Timestamp": String(timestamp),
+    "X-Granola-Nonce": nonce,
+    "X-Granola-Signature": `v1=${computeSignature(secret, { timestamp, nonce, body })}`,
+  };
+}
+
+function header(req, name) {
+  const value = req.headers.get?.(name) ?? req.headers[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+const sameHex = (a, b) => {
+  const x = Buffer.from(a, "hex");
+  const y = Buffer.from(b, "hex");
+  return x.length === y.length && x.length > 0 && timingSafeEqual(x, y);
+};
+
+/**
+ * Verify a delivery's signature against every active secret, then claim its nonce.
+ * `body` is the raw request body as sent. Throws AuthError (401): signature_missing,
+ * signature_timestamp_invalid, signature_expired, signature_invalid, signature_replayed.
+ */
+export async function verifySignature(storage, req, body, { secrets = signingSecrets(), now = Date.now() } = {}) {
+  const timestamp = header(req, TIMESTAMP_HEADER);
+  const nonce = header(req, NONCE_HEADER);
+  const signature = header(req, SIGNATURE_HEADER);
+  if (!timestamp || !nonce || !signature) {
+    throw new AuthError(
+      "signature_missing",
+      "Signed deliveries need X-Granola-Timestamp, X-Granola-Nonce and X-Granola-Signature headers"
+    );
+  }
+
+  if (!/^\d+$/.test(timestamp)) {
+    throw new AuthError("signature_timestamp_invalid", "X-Granola-Timestamp must be unix seconds");
+  }
+  const tolerance = toleranceSec();
+  const age = now / 1000 - Number(timestamp);
+  if (Math.abs(age) > tolerance) {
+    throw new AuthError("signature_expired", `Delivery timestamp is ${Math.round(age)}s off; the limit is ${tolerance}s`);
+  }
+
+  const candidates = signature.split(",").map((s) => s.trim()).filter((s) => s.startsWith("v1=")).map((s) => s.slice(3));
+  const valid = secrets.some((secret) => {
+    const expected = computeSignature(secret, { timestamp, nonce, body });
+    return candidates.some((c) => /^[0-9a-f]+$/i.test(c) && sameHex(c, expected));
+  });
+  if (!valid) throw new AuthError("signature_invalid", "X-Granola-Signature doesn't match the body for any active secret");
+
+  // Only checked after the signature, so unsigned junk can't fill the nonce store
+  const expiresAt = new Date((Number(timestamp) + tolerance) * 1000).toISOString();
+  if (!await storage.claimNonce(nonce, { expiresAt })) {
+    throw new AuthError("signature_replayed", `Nonce ${nonce} was already used`);
+  }
+}
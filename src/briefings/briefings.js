@@ -0,0 +1,315 @@
+import { getChatModel } from "../providers/index.js";
+import { andScope, validateScope } from "../rag/filters.js";
+import { accessFilter } from "../auth/access.js";
+import { currentCustomer } from "../customers/customers.js";
+import { estimateTokens } from "../rag/transcript.js";
+import { batchByTokens, batchChunks, chatContext, chunkBlock, citedIds, cleanDate, cleanText, parseJsonReply } from "../rag/prompting.js";
+
+// Customer briefings: map-reduce summarization over every meeting with a customer, for
+// questions /api/ask can't answer from its top-k chunks ("everything with Acme").
+//
+// The customer's meetings are picked with the same scope filters as retrieval (its
+// customer_ids, or a substring of the CUSTOMER name) ANDed with the caller's access
+// policy. Map reads each meeting's chunks in date order and writes a brief with four
+// sections. Reduce merges consecutive briefs, oldest first, until one is left, so
+// commitments met and issues resolved in later meetings drop out. Every claim keeps the
+// CHUNK_IDs it came from; claims citing nothing the model was shown are dropped.
+
+export const SECTIONS = ["relationship_history", "open_commitments", "unresolved_issues", "key_contacts"];
+
+const SECTION_TITLES = {
+  relationship_history: "Relationship history",
+  open_commitments: "Open commitments",
+  unresolved_issues: "Unresolved issues",
+  key_contacts: "Key contacts",
+};
+
+const DEFAULT_MAX_MEETINGS = 100;
+const MAX_MEETINGS = 500;
+const DEFAULT_BATCH_TOKENS = 6000;
+
+// Errors the routes turn into 4xx responses
+export class BriefingError extends Error {
+  constructor(code, detail, status = 400) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// A per-request model name, else BRIEFING_MODEL, else CHAT_MODEL
+export function briefingModel(name) {
+  return getChatModel(name || process.env.BRIEFING_MODEL);
+}
+
+const dateOf = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+/**
+ * Validate a POST /api/briefings body:
+ *   { customer_id | customer, scope?, max_meetings? }
+ * -> { customerId, customer, scope, maxMeetings }. Throws BriefingError 400.
+ */
+export function parseBriefingRequest(body = {}) {
+  const customerId = typeof body.customer_id === "string" ? body.customer_id.trim() : "";
+  const customer = typeof body.customer === "string" ? body.customer.trim() : "";
+  if (!customerId && !customer) {
+    throw new BriefingError("missing_customer", "Provide customer_id, or customer (part of the customer name).");
+  }
+
+  let scope;
+  try {
+    scope = validateScope(body.scope);
+  } catch (e) {
+    throw new BriefingError("invalid_scope", e.message);
+  }
+
+  const maxMeetings = body.max_meetings == null ? DEFAULT_MAX_MEETINGS : Number(body.max_meetings);
+  if (!Number.isInteger(maxMeetings) || maxMeetings < 1 || maxMeetings > MAX_MEETINGS) {
+    throw new BriefingError("invalid_max_meetings", `max_meetings must be an integer from 1 to ${MAX_MEETINGS}`);
+  }
+  return { customerId: customerId || null, customer: customer || null, scope, maxMeetings };
+}
+
+const SYSTEM = `
+You write account briefings for account managers preparing for a customer call.
+Use ONLY the material you are given. Every item must cite the CHUNK_IDs it came from.
+Reply with one JSON object and nothing else.
+`.trim();
+
+const SHAPE = `{
+  "relationship_history": [{ "text": "what happened or changed in the relationship", "sources": ["CHUNK_ID"] }],
+  "open_commitments": [{ "text": "...", "owner": "person or null", "due_date": "YYYY-MM-DD or null", "sources": ["CHUNK_ID"] }],
+  "unresolved_issues": [{ "text": "...", "sources": ["CHUNK_ID"] }],
+  "key_contacts": [{ "name": "...", "role": "role or null", "sources": ["CHUNK_ID"] }]
+}`;
+
+function mapPrompt(customer, meeting, chunks) {
+  return `Brief on one meeting with ${customer}: "${meeting.TITLE || "Untitled meeting"}" (${dateOf(meeting.DATETIME) || "undated"}).
+
+Context:
+${chunks.map(chunkBlock).join("\n\n---\n\n")}
+
+Instructions:
+* Reply with JSON with exactly these keys:
+${SHAPE}
+* Commitments are things either side promised to do. Issues are problems, objections or open questions.
+* Use [] for sections with nothing to report.`;
+}
+
+function reducePrompt(customer, briefs) {
+  const parts = briefs.map((b) => `### ${b.label}\n${JSON.stringify(b.sections)}`).join("\n\n");
+  return `Merge meeting briefs on ${customer} into one account briefing.
+
+Briefs, oldest first:
+${parts}
+
+Instructions:
+* Reply with JSON with the same keys as the briefs:
+${SHAPE}
+* relationship_history: the story of the relationship in date order. Merge repeats.
+* open_commitments: only commitments that no later brief shows as done.
+* unresolved_issues: only issues that no later brief shows as resolved.
+* key_contacts: one entry per person, with their latest role.
+* Keep the sources of every item you keep or merge. Cite only CHUNK_IDs from the briefs.`;
+}
+
+// A reply -> sections of claims citing `chunkIds`, and how many claims cited nothing valid
+function readBrief(reply, chunkIds) {
+  const sections = {};
+  let dropped = 0;
+  for (const section of SECTIONS) {
+    sections[section] = [];
+    for (const raw of Array.isArray(reply?.[section]) ? reply[section] : []) {
+      const entry = typeof raw === "string" ? { text: raw } : raw || {};
+      const claim = section === "key_contacts"
+        ? { name: cleanText(entry.name), role: cleanText(entry.role) }
+        : { text: cleanText(entry.text) };
+      if (!(claim.text || claim.name)) continue;
+      if (section === "open_commitments") Object.assign(claim, { owner: cleanText(entry.owner), due_date: cleanDate(entry.due_date) });
+      claim.sources = citedIds(entry.sources, chunkIds);
+      if (!claim.sources.length) {
+        dropped++;
+        continue;
+      }
+      sections[section].push(claim);
+    }
+  }
+  return { sections, dropped };
+}
+
+const emptySections = () => Object.fromEntries(SECTIONS.map((s) => [s, []]));
+
+const sourcesOf = (brief) => SECTIONS.flatMap((s) => brief.sections[s].flatMap((c) => c.sources));
+
+// Map: one brief per meeting (several calls for a long one, their sections concatenated)
+async function mapMeeting(storage, { customer, meeting, chatModel, budget }) {
+  const chunks = await storage.listChunks(meeting.MEETING_ID);
+  const date = dateOf(meeting.DATETIME) || "undated";
+  const brief = { label: `${date}: ${meeting.TITLE || meeting.MEETING_ID}`, from: date, to: date, sections: emptySections() };
+  let dropped = 0;
+  for (const group of batchChunks(chunks, budget)) {
+    const completion = await chatModel.chat({
+      system: SYSTEM,
+      messages: [{ role: "user", content: mapPrompt(customer, meeting, group) }],
+      maxTokens: 1500,
+      temperature: 0.2,
+      topP: 0.9,
+      context: chatContext(group),
+      json: JSON.parse(SHAPE),
+    });
+    const read = readBrief(parseJsonReply(completion.text, "briefing model"), new Set(group.map((c) => c.CHUNK_ID)));
+    for (const s of SECTIONS) brief.sections[s].push(...read.sections[s]);
+    dropped += read.dropped;
+  }
+  return { brief, chunks, dropped };
+}
+
+// Reduce: consecutive briefs, at least two per call, merged until one is left. `chunks`
+// (CHUNK_ID -> row) gives the chat call the chunks the briefs cite as its context.
+async function reduceBriefs(briefs, { customer, chunks, chatModel, budget, onProgress }) {
+  let round = 0;
+  let dropped = 0;
+  while (briefs.length > 1) {
+    round++;
+    const groups = batchByTokens(briefs, budget, (b) => estimateTokens(JSON.stringify(b.sections)));
+    // A group of one would come back unchanged; merge it with its neighbour
+    for (let i = groups.length - 1; i >= 0 && groups.length > 1; i--) {
+      if (groups[i].length > 1) continue;
+      const at = i > 0 ? i - 1 : 0;
+      groups.splice(at, 2, [...groups[at], ...groups[at + 1]]);
+    }
+    onProgress?.({ stage: "reduce", round, groups: groups.length });
+
+    const merged = [];
+    for (const group of groups) {
+      const completion = await chatModel.chat({
+        system: SYSTEM,
+        messages: [{ role: "user", content: reducePrompt(customer, group) }],
+        maxTokens: 2500,
+        temperature: 0.2,
+        topP: 0.9,
+        context: chatContext([...new Set(group.flatMap(sourcesOf))].map((id) => chunks.get(id))),
+        json: JSON.parse(SHAPE),
+      });
+      const read = readBrief(parseJsonReply(completion.text, "briefing model"), new Set(group.flatMap(sourcesOf)));
+      dropped += read.dropped;
+      const from = group[0].from;
+      const to = group.at(-1).to;
+      merged.push({ label: `Meetings from ${from} to ${to}`, from, to, sections: read.sections });
+    }
+    briefs = merged;
+  }
+  return { brief: briefs[0], dropped };
+}
+
+/**
+ * Build a briefing on one customer from every meeting the caller may see.
+ * `onProgress` receives { stage: "map", meeting_id, done, total } and { stage: "reduce", round, groups }.
+ * -> { customer, meetings, truncated, model, relationship_history, open_commitments,
+ *      unresolved_issues, key_contacts, uncited_dropped, markdown }
+ * Throws BriefingError 400, or 404 customer_not_found.
+ */
+export async function buildBriefing(storage, principal, body, { chatModel = briefingModel(), onProgress } = {}) {
+  const request = parseBriefingRequest(body);
+
+  let customer;
+  let customerScope;
+  if (request.customerId) {
+    // Meetings of merged customers moved to the survivor, so brief on that one
+    const row = await currentCustomer(storage, request.customerId);
+    if (!row) throw new BriefingError("customer_not_found", `No customer ${request.customerId}`, 404);
+    customer = { customer_id: row.CUSTOMER_ID, name: row.NAME };
+    customerScope = { customer_ids: [row.CUSTOMER_ID] };
+  } else {
+    customer = { customer_id: null, name: request.customer };
+    customerScope = { customer: request.customer };
+  }
+
+  // Newest `maxMeetings`, briefed oldest first
+  const rows = await storage.listMeetings({
+    scope: andScope(andScope(customerScope, request.scope), await accessFilter(storage, principal)),
+    sort: "datetime",
+    order: "desc",
+    limit: request.maxMeetings + 1,
+  });
+  const truncated = rows.length > request.maxMeetings;
+  const meetings = rows.slice(0, request.maxMeetings).reverse();
+
+  const budget = Number(process.env.BRIEFING_BATCH_TOKENS) || DEFAULT_BATCH_TOKENS;
+  const cited = new Map(); // CHUNK_ID -> meeting it belongs to
+  const chunks = new Map(); // CHUNK_ID -> chunk row
+  const briefs = [];
+  let dropped = 0;
+  for (const [i, meeting] of meetings.entries()) {
+    const mapped = await mapMeeting(storage, { customer: customer.name, meeting, chatModel, budget });
+    for (const c of mapped.chunks) {
+      cited.set(c.CHUNK_ID, meeting);
+      chunks.set(c.CHUNK_ID, c);
+    }
+    if (SECTIONS.some((s) => mapped.brief.sections[s].length)) briefs.push(mapped.brief);
+    dropped += mapped.dropped;
+    onProgress?.({ stage: "map", meeting_id: meeting.MEETING_ID, done: i + 1, total: meetings.length });
+  }
+  const reduced = await reduceBriefs(briefs, { customer: customer.name, chunks, chatModel, budget, onProgress });
+  dropped += reduced.dropped;
+  if (dropped) console.warn(`Dropped ${dropped} uncited briefing claim(s) for customer "${customer.name}"`);
+
+  const sections = reduced.brief?.sections || emptySections();
+  const citation = (chunkId) => {
+    const m = cited.get(chunkId);
+    return { chunk_id: chunkId, meeting_id: m.MEETING_ID, meeting_title: m.TITLE || null, meeting_date: dateOf(m.DATETIME) };
+  };
+  const briefing = {
+    customer,
+    meetings: meetings.map((m) => ({ meeting_id: m.MEETING_ID, title: m.TITLE || null, date: dateOf(m.DATETIME) })),
+    truncated,
+    model: chatModel.id,
+    ...Object.fromEntries(SECTIONS.map((s) => [
+      s,
+      sections[s].map(({ sources, ...claim }) => ({ ...claim, citations: sources.map(citation) })),
+    ])),
+    uncited_dropped: dropped,
+  };
+  console.log(`Briefed customer "${customer.name}" from ${meetings.length} meeting(s) with ${chatModel.id}`);
+  return { ...briefing, markdown: briefingMarkdown(briefing) };
+}
+
+// Markdown export: the four sections, each claim followed by numbered citations that
+// resolve to meeting, date and chunk at the end
+export function briefingMarkdown(briefing) {
+  const notes = new Map(); // chunk_id -> footnote number
+  const refs = (citations) => citations
+    .map((c) => {
+      if (!notes.has(c.chunk_id)) notes.set(c.chunk_id, { n: notes.size + 1, ...c });
+      return `[^${notes.get(c.chunk_id).n}]`;
+    })
+    .join("");
+
+  const lines = [`# Briefing: ${briefing.customer.name}`, ""];
+  const dates = briefing.meetings.map((m) => m.date).filter(Boolean);
+  lines.push(briefing.meetings.length
+    ? `Based on ${briefing.meetings.length} meeting(s)${dates.length ? `, ${dates[0]} to ${dates.at(-1)}` : ""}${briefing.truncated ? " (older meetings left out)" : ""}.`
+    : "No meetings found for this customer.");
+
+  for (const section of SECTIONS) {
+    lines.push("", `## ${SECTION_TITLES[section]}`, "");
+    const claims = briefing[section];
+    if (!claims.length) lines.push("_Nothing to report._");
+    for (const c of claims) {
+      if (section === "key_contacts") {
+        lines.push(`- **${c.name}**${c.role ? `, ${c.role}` : ""} ${refs(c.citations)}`);
+      } else {
+        const extra = [c.owner && `owner: ${c.owner}`, c.due_date && `due ${c.due_date}`].filter(Boolean).join(", ");
+        lines.push(`- ${c.text}${extra ? ` (${extra})` : ""} ${refs(c.citations)}`);
+      }
+    }
+  }
+
+  if (notes.size) {
+    lines.push("");
+    for (const c of notes.values()) {
+      lines.push(`[^${c.n}]: ${c.meeting_title || c.meeting_id}, ${c.meeting_date || "undated"} (chunk ${c.chunk_id})`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,311 @@
+// Customer entity resolution. CUSTOMERS holds one row per canonical customer with its
+// aliases and email domains; meetings point at it through MEETINGS.CUSTOMER_ID and
+// chunks carry copies of the id and display name (CHUNKS.CUSTOMER_ID / CUSTOMER).
+//
+// Ingest resolves a meeting's customer, in order, from: an explicit customer_id, the
+// payload's `customer` field, participant email domains, then a name or alias in the
+// title. Admin routes (api/customers/*) merge, split and reassign. Moving meetings sets
+// their chunks' CUSTOMER_ID at once, for access filters; the routes then queue a rechunk
+// (queueRechunk() in ../jobs/jobs.js), which rewrites the customer name in chunk text.
+
+// Errors the admin routes turn into 4xx responses
+export class CustomerError extends Error {
+  constructor(code, detail, status = 400) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Chunk display name for meetings without a customer
+export const UNKNOWN_CUSTOMER = "Unknown Customer";
+
+// Shared inboxes, not company domains
+const FREE_MAIL_DOMAINS = new Set([
+  "gmail.com", "googlemail.com", "outlook.com", "hotmail.com", "live.com", "yahoo.com",
+  "icloud.com", "me.com", "aol.com", "proton.me", "protonmail.com",
+]);
+
+const SUFFIXES = /(\s+Inc\.?|\s+LLC|\s+Corp\.?|\s+Company|\s+Ltd\.?|\s+Group|\s+Technologies|\s+Systems)$/i;
+
+// Display name from a free-text customer value, e.g. "Acme Inc (EMEA) - renewal" -> "Acme"
+export function canonicalName(raw) {
+  const rawCustomer = String(raw || "").trim();
+  if (!rawCustomer) return null;
+  let customer;
+
+  // Pattern 1: "Company Name (additional info) - more details" → extract "Company Name"
+  const companyPattern = rawCustomer.match(/^([^(]+?)(?:\s*\([^)]*\))?(?:\s*[-–—]\s*)/);
+  if (companyPattern) {
+    customer = companyPattern[1].trim();
+  }
+  // Pattern 2: "Company Name (additional info)" → extract "Company Name"
+  else if (rawCustomer.includes('(')) {
+    customer = rawCustomer.split('(')[0].trim();
+  }
+  // Pattern 3: "Company Name - additional info" → extract "Company Name"
+  else if (rawCustomer.includes(' - ')) {
+    customer = rawCustomer.split(' - ')[0].trim();
+  }
+  // Pattern 4: "Company Name: additional info" → extract "Company Name"
+  else if (rawCustomer.includes(':')) {
+    customer = rawCustomer.split(':')[0].trim();
+  }
+  // If no patterns match, use the raw value but clean it up
+  else {
+    customer = rawCustomer.replace(/\s+/g, ' ').trim();
+  }
+
+  // Final cleanup - remove common company suffixes and the comma before them ("Acme, Inc.")
+  customer = customer.replace(SUFFIXES, '').replace(/[\s,]+$/, '').replace(/\s+/g, ' ').trim();
+
+  // If we ended up with something too short, fall back to raw value
+  return customer.length < 2 ? rawCustomer : customer;
+}
+
+// Comparison key: "Acme, Inc." and "ACME" -> "acme"; "Acme Logistics" stays distinct
+export function customerKey(name) {
+  const canonical = canonicalName(name);
+  return canonical ? canonical.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim() : "";
+}
+
+function slugify(name) {
+  return customerKey(name).replace(/\s+/g, "-") || "customer";
+}
+
+// Lowercased email addresses in a participants list or its stored JSON
+export function participantEmails(participants) {
+  const found = String(participants || "").toLowerCase().match(/[^\s"@,;<>]+@[^\s"@,;<>]+\.[^\s"@,;<>]+/g) || [];
+  return [...new Set(found)];
+}
+
+// Domains that identify our own side of a meeting (comma-separated INTERNAL_EMAIL_DOMAINS)
+function internalDomains() {
+  return new Set((process.env.INTERNAL_EMAIL_DOMAINS || "").split(",").map((d) => d.trim().toLowerCase()).filter(Boolean));
+}
+
+export function normalizeDomain(domain) {
+  return String(domain).trim().toLowerCase().replace(/^@/, "");
+}
+
+const list = (value) => {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+const union = (...lists) => [...new Set(lists.flat())];
+
+// API shape of a CUSTOMERS row
+export function formatCustomer(row) {
+  return {
+    customer_id: row.CUSTOMER_ID,
+    name: row.NAME,
+    aliases: list(row.ALIASES),
+    domains: list(row.DOMAINS),
+    merged_into: row.MERGED_INTO || null,
+    owners: list(row.OWNER_EMAILS),
+  };
+}
+
+// Follow MERGED_INTO links to the surviving customer
+export async function currentCustomer(storage, customerId) {
+  const seen = new Set();
+  let row = await storage.getCustomer(customerId);
+  while (row?.MERGED_INTO && !seen.has(row.CUSTOMER_ID)) {
+    seen.add(row.CUSTOMER_ID);
+    row = await storage.getCustomer(row.MERGED_INTO);
+  }
+  return row;
+}
+
+async function requireCustomer(storage, customerId) {
+  const row = customerId ? await storage.getCustomer(customerId) : null;
+  if (!row) throw new CustomerError("customer_not_found", `No customer ${customerId}`, 404);
+  if (row.MERGED_INTO) {
+    throw new CustomerError("customer_merged", `Customer ${customerId} was merged into ${row.MERGED_INTO}`, 409);
+  }
+  return row;
+}
+
+async function uniqueId(storage, name) {
+  const base = slugify(name);
+  let id = base;
+  for (let n = 2; await storage.getCustomer(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+// Request lists (aliases, domains, meeting ids) -> the list; anything else is a 400
+function requireList(value, name, code) {
+  if (!Array.isArray(value)) throw new CustomerError(code, `${name} must be a list`);
+  return value;
+}
+
+// Account owners see every meeting of the customer under "policy" access (src/auth/access.js)
+function normalizeOwners(owners) {
+  if (!Array.isArray(owners) || owners.some((o) => typeof o !== "string" || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(o.trim()))) {
+    throw new CustomerError("invalid_customer", "owners must be a list of email addresses");
+  }
+  return union(owners.map((o) => o.trim().toLowerCase()));
+}
+
+export async function createCustomer(storage, { customer_id, name, aliases = [], domains = [], owners = [] }) {
+  const display = canonicalName(name);
+  if (!display) throw new CustomerError("invalid_customer", "name is required");
+  requireList(aliases, "aliases", "invalid_customer");
+  requireList(domains, "domains", "invalid_customer");
+  if (customer_id && await storage.getCustomer(customer_id)) {
+    throw new CustomerError("customer_exists", `Customer ${customer_id} already exists`, 409);
+  }
+  const row = {
+    CUSTOMER_ID: customer_id || await uniqueId(storage, display),
+    NAME: display,
+    ALIASES: JSON.stringify(union(aliases.map(String)).filter((a) => customerKey(a) !== customerKey(display))),
+    DOMAINS: JSON.stringify(union(domains.map(normalizeDomain))),
+    MERGED_INTO: null,
+    OWNER_EMAILS: JSON.stringify(normalizeOwners(owners)),
+  };
+  await storage.saveCustomer(row);
+  return row;
+}
+
+// Rename or edit aliases/domains/owners -> { customer, renamed }. After a rename, the
+// customer's meetings need a rechunk to carry the new name.
+export async function updateCustomer(storage, customerId, { name, aliases, domains, owners }) {
+  const row = await requireCustomer(storage, customerId);
+  if (aliases != null) requireList(aliases, "aliases", "invalid_customer");
+  if (domains != null) requireList(domains, "domains", "invalid_customer");
+  const next = {
+    ...row,
+    NAME: name != null ? canonicalName(name) || row.NAME : row.NAME,
+    ALIASES: aliases != null ? JSON.stringify(union(aliases.map(String))) : row.ALIASES,
+    DOMAINS: domains != null ? JSON.stringify(union(domains.map(normalizeDomain))) : row.DOMAINS,
+    OWNER_EMAILS: owners != null ? JSON.stringify(normalizeOwners(owners)) : row.OWNER_EMAILS,
+  };
+  await storage.saveCustomer(next);
+  return { customer: next, renamed: next.NAME !== row.NAME };
+}
+
+// ---- resolution at ingest ----
+// -> { customerId, name, source, create } (all null when nothing matched). Read-only: an
+// explicit customer_id or `customer` value that isn't known yet comes back with the id it
+// would get and `create`, the createCustomer() fields, so the caller can check access to
+// that id before anything is written.
+export async function resolveCustomer(storage, { customerId, customer, title, participants }) {
+  if (customerId) {
+    const row = await currentCustomer(storage, customerId);
+    if (row) return { customerId: row.CUSTOMER_ID, name: row.NAME, source: "customer_id", create: null };
+    const create = { customer_id: customerId, name: customer || customerId, aliases: customer ? [customer] : [] };
+    return { customerId, name: canonicalName(create.name), source: "customer_id", create };
+  }
+
+  const customers = (await storage.listCustomers()).filter((c) => !c.MERGED_INTO);
+  const names = (c) => [c.NAME, ...list(c.ALIASES)].map(customerKey).filter(Boolean);
+
+  if (customer && customerKey(customer)) {
+    const key = customerKey(customer);
+    const row = customers.find((c) => names(c).includes(key));
+    if (row) return { customerId: row.CUSTOMER_ID, name: row.NAME, source: "customer", create: null };
+    const name = canonicalName(customer);
+    const id = await uniqueId(storage, name);
+    return { customerId: id, name, source: "customer", create: { customer_id: id, name: customer, aliases: [customer] } };
+  }
+
+  const internal = internalDomains();
+  const domains = participantEmails(participants)
+    .map((e) => e.split("@")[1])
+    .filter((d) => !internal.has(d) && !FREE_MAIL_DOMAINS.has(d));
+  if (domains.length) {
+    // Most participants wins when several customers' domains show up
+    const byDomain = customers
+      .map((c) => ({ c, hits: domains.filter((d) => list(c.DOMAINS).includes(d)).length }))
+      .filter((m) => m.hits > 0)
+      .sort((a, b) => b.hits - a.hits);
+    if (byDomain.length) return { customerId: byDomain[0].c.CUSTOMER_ID, name: byDomain[0].c.NAME, source: "domain", create: null };
+  }
+
+  if (title) {
+    // Whole-word match of a name or alias; the longest one wins ("Acme Logistics" over "Acme")
+    const padded = ` ${String(title).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `;
+    const byTitle = customers
+      .map((c) => ({ c, len: Math.max(0, ...names(c).filter((n) => padded.includes(` ${n} `)).map((n) => n.length)) }))
+      .filter((m) => m.len > 0)
+      .sort((a, b) => b.len - a.len);
+    if (byTitle.length) return { customerId: byTitle[0].c.CUSTOMER_ID, name: byTitle[0].c.NAME, source: "title", create: null };
+  }
+
+  return { customerId: null, name: null, source: null, create: null };
+}
+
+// ---- admin operations ----
+// Fold `sourceIds` into `targetId`: names become aliases, domains and meetings move over
+export async function mergeCustomers(storage, { targetId, sourceIds }) {
+  if (!Array.isArray(sourceIds) || !sourceIds.length) {
+    throw new CustomerError("invalid_merge", "source_ids must be a non-empty list");
+  }
+  if (sourceIds.includes(targetId)) throw new CustomerError("invalid_merge", "target_id is also in source_ids");
+
+  const target = await requireCustomer(storage, targetId);
+  const sources = [];
+  for (const id of sourceIds) sources.push(await requireCustomer(storage, id));
+
+  const merged = {
+    ...target,
+    ALIASES: JSON.stringify(union(list(target.ALIASES), ...sources.map((s) => [s.NAME, ...list(s.ALIASES)]))),
+    DOMAINS: JSON.stringify(union(list(target.DOMAINS), ...sources.map((s) => list(s.DOMAINS)))),
+    OWNER_EMAILS: JSON.stringify(union(list(target.OWNER_EMAILS), ...sources.map((s) => list(s.OWNER_EMAILS)))),
+  };
+  await storage.saveCustomer(merged);
+
+  const moved = [];
+  for (const source of sources) {
+    const meetingIds = await storage.listMeetingIdsForCustomer(source.CUSTOMER_ID);
+    await storage.assignCustomer(meetingIds, { customerId: targetId });
+    moved.push(...meetingIds);
+    await storage.saveCustomer({ ...source, MERGED_INTO: targetId });
+  }
+  return { customer: merged, meetingIds: moved };
+}
+
+// Carve a new customer out of `customerId`, taking the listed aliases, domains and meetings
+export async function splitCustomer(storage, { customerId, newCustomer, meetingIds = [] }) {
+  requireList(meetingIds, "meeting_ids", "invalid_split");
+  requireList(newCustomer?.aliases ?? [], "new_customer.aliases", "invalid_split");
+  requireList(newCustomer?.domains ?? [], "new_customer.domains", "invalid_split");
+  const source = await requireCustomer(storage, customerId);
+  const owned = new Set(await storage.listMeetingIdsForCustomer(customerId));
+  const foreign = meetingIds.filter((id) => !owned.has(id));
+  if (foreign.length) {
+    throw new CustomerError("invalid_split", `Meetings not assigned to ${customerId}: ${foreign.join(", ")}`);
+  }
+
+  const aliases = (newCustomer?.aliases || []).map(String);
+  const domains = (newCustomer?.domains || []).map(normalizeDomain);
+  const created = await createCustomer(storage, { ...newCustomer, aliases, domains });
+
+  const movedAliases = new Set([created.NAME, ...aliases].map(customerKey));
+  await storage.saveCustomer({
+    ...source,
+    ALIASES: JSON.stringify(list(source.ALIASES).filter((a) => !movedAliases.has(customerKey(a)))),
+    DOMAINS: JSON.stringify(list(source.DOMAINS).filter((d) => !domains.includes(d))),
+  });
+
+  // Locked, so a later re-ingest doesn't resolve them back to the old customer
+  await storage.assignCustomer(meetingIds, { customerId: created.CUSTOMER_ID, locked: true });
+  return { customer: created, meetingIds };
+}
+
+// Point meetings at a customer by hand (customerId null clears it). Locks the mapping.
+export async function reassignMeetings(storage, { meetingIds, customerId }) {
+  if (!Array.isArray(meetingIds) || !meetingIds.length) {
+    throw new CustomerError("invalid_reassign", "meeting_ids must be a non-empty list");
+  }
+  for (const id of meetingIds) {
+    if (!await storage.getMeeting(id)) throw new CustomerError("meeting_not_found", `No meeting ${id}`, 404);
+  }
+  const target = customerId ? await requireCustomer(storage, customerId) : null;
+  await storage.assignCustomer(meetingIds, { customerId: target?.CUSTOMER_ID ?? null, locked: true });
+  return { customer: target, meetingIds };
+}
@@ -0,0 +1,429 @@
+import { exec } from "../../utils/snowflake.js";
+
+// Ordered, append-only list of schema migrations. Never edit or reorder an
+// applied migration; add a new one instead. Statements must not drop data:
+// use CREATE ... IF NOT EXISTS, ADD COLUMN IF NOT EXISTS, and copy-then-rename
+// for type changes. `up` is either a list of statements or an async function
+// (conn) => statements, for migrations that depend on the current schema.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_meetings",
+    up: [
+      `CREATE TABLE IF NOT EXISTS MEETINGS (
+        MEETING_ID TEXT NOT NULL,
+        TITLE TEXT,
+        DATETIME TIMESTAMP_TZ,
+        PARTICIPANTS TEXT,
+        NOTE_URL TEXT,
+        GRANOLA_SUMMARY TEXT,
+        TRANSCRIPT TEXT,
+        CUSTOMER TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+      // Tables created before CUSTOMER was part of the schema
+      `ALTER TABLE MEETINGS ADD COLUMN IF NOT EXISTS CUSTOMER TEXT`,
+    ],
+  },
+  {
+    version: 2,
+    name: "meetings_text_columns",
+    // Early deployments stored PARTICIPANTS/TRANSCRIPT as ARRAY/VARIANT. Keep the
+    // old column as *_LEGACY and copy its JSON into a fresh TEXT column.
+    up: async (conn) => {
+      const cols = await columnTypes(conn, "MEETINGS");
+      const statements = [];
+      for (const col of ["PARTICIPANTS", "TRANSCRIPT"]) {
+        if (cols[col] && cols[col] !== "TEXT") {
+          statements.push(
+            `ALTER TABLE MEETINGS RENAME COLUMN ${col} TO ${col}_LEGACY`,
+            `ALTER TABLE MEETINGS ADD COLUMN ${col} TEXT`,
+            `UPDATE MEETINGS SET ${col} = TO_JSON(${col}_LEGACY) WHERE ${col}_LEGACY IS NOT NULL`
+          );
+        }
+      }
+      return statements;
+    },
+  },
+  {
+    version: 3,
+    name: "meeting_revisions",
+    up: [
+      `ALTER TABLE MEETINGS ADD COLUMN IF NOT EXISTS CONTENT_HASH TEXT`,
+      `ALTER TABLE MEETINGS ADD COLUMN IF NOT EXISTS REVISION NUMBER DEFAULT 1`,
+      `ALTER TABLE MEETINGS ADD COLUMN IF NOT EXISTS UPDATED_AT TIMESTAMP_TZ`,
+      `CREATE TABLE IF NOT EXISTS MEETING_REVISIONS (
+        MEETING_ID TEXT NOT NULL,
+        REVISION NUMBER NOT NULL,
+        CONTENT_HASH TEXT NOT NULL,
+        TITLE TEXT,
+        DATETIME TIMESTAMP_TZ,
+        PARTICIPANTS TEXT,
+        NOTE_URL TEXT,
+        GRANOLA_SUMMARY TEXT,
+        TRANSCRIPT TEXT,
+        CUSTOMER TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+    ],
+  },
+  {
+    version: 4,
+    name: "create_chunks",
+    up: [
+      `CREATE TABLE IF NOT EXISTS CHUNKS (
+        CHUNK_ID TEXT NOT NULL,
+        MEETING_ID TEXT NOT NULL,
+        IDX NUMBER,
+        TEXT TEXT,
+        MEETING_TITLE TEXT,
+        MEETING_DATE TEXT,
+        CUSTOMER TEXT,
+        SECTION_ID NUMBER,
+        SECTION_TITLE TEXT,
+        TOKEN_COUNT NUMBER,
+        CONTENT_HASH TEXT,
+        START_SEC FLOAT,
+        END_SEC FLOAT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+      `ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS START_SEC FLOAT`,
+      `ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS END_SEC FLOAT`,
+    ],
+  },
+  {
+    version: 5,
+    name: "chunks_embed_1024",
+    up: [`ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS EMBED_1024 VECTOR(FLOAT, 1024)`],
+  },
+  {
+    version: 6,
+    name: "create_jobs",
+    up: [
+      `CREATE TABLE IF NOT EXISTS JOBS (
+        JOB_ID TEXT NOT NULL,
+        JOB_TYPE TEXT NOT NULL,
+        MEETING_ID TEXT,
+        STATUS TEXT NOT NULL,
+        ATTEMPTS NUMBER DEFAULT 0,
+        RESULT TEXT,
+        ERROR TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP(),
+        UPDATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP(),
+        STARTED_AT TIMESTAMP_TZ,
+        FINISHED_AT TIMESTAMP_TZ
+      )`,
+    ],
+  },
+  {
+    version: 7,
+    name: "chunks_speakers",
+    up: [`ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS SPEAKERS TEXT`],
+  },
+  {
+    version: 8,
+    name: "chunks_embed_model",
+    // Rows embedded before this column existed used Cortex arctic-embed
+    up: [
+      `ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS EMBED_MODEL TEXT`,
+      `UPDATE CHUNKS SET EMBED_MODEL = 'snowflake:snowflake-arctic-embed-l-v2.0' WHERE EMBED_1024 IS NOT NULL AND EMBED_MODEL IS NULL`,
+    ],
+  },
+  {
+    version: 9,
+    name: "create_conversation_turns",
+    up: [
+      `CREATE TABLE IF NOT EXISTS CONVERSATION_TURNS (
+        CONVERSATION_ID TEXT NOT NULL,
+        TURN NUMBER NOT NULL,
+        QUESTION TEXT,
+        STANDALONE_QUESTION TEXT,
+        SCOPE TEXT,
+        ANSWER TEXT,
+        SOURCES TEXT,
+        MODEL TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+    ],
+  },
+  {
+    version: 10,
+    name: "create_chunk_terms",
+    // Keyword index for BM25. The backfill tokenizes like src/rag/lexical.js:
+    // lowercase runs of [a-z0-9].
+    up: [
+      `ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS TERM_COUNT NUMBER`,
+      `CREATE TABLE IF NOT EXISTS CHUNK_TERMS (
+        CHUNK_ID TEXT NOT NULL,
+        MEETING_ID TEXT NOT NULL,
+        TERM TEXT NOT NULL,
+        TF NUMBER NOT NULL
+      )`,
+      `INSERT INTO CHUNK_TERMS (CHUNK_ID, MEETING_ID, TERM, TF)
+       SELECT c.CHUNK_ID, c.MEETING_ID, t.VALUE::STRING, COUNT(*)
+         FROM CHUNKS c,
+              LATERAL SPLIT_TO_TABLE(TRIM(REGEXP_REPLACE(LOWER(c.TEXT), '[^a-z0-9]+', ' ')), ' ') t
+        WHERE t.VALUE <> ''
+          AND c.CHUNK_ID NOT IN (SELECT DISTINCT CHUNK_ID FROM CHUNK_TERMS)
+        GROUP BY c.CHUNK_ID, c.MEETING_ID, t.VALUE::STRING`,
+      `UPDATE CHUNKS
+          SET TERM_COUNT = ARRAY_SIZE(SPLIT(TRIM(REGEXP_REPLACE(LOWER(TEXT), '[^a-z0-9]+', ' ')), ' '))
+        WHERE TERM_COUNT IS NULL`,
+    ],
+  },
+  {
+    version: 11,
+    name: "scope_filter_columns",
+    // Structured scope filters (src/rag/filters.js) run against CHUNKS alone, so chunks
+    // carry copies of the meeting's customer id, tags and participant emails
+    up: [
+      `ALTER TABLE MEETINGS ADD COLUMN IF NOT EXISTS CUSTOMER_ID TEXT`,
+      `ALTER TABLE MEETINGS ADD COLUMN IF NOT EXISTS TAGS TEXT`,
+      `ALTER TABLE MEETING_REVISIONS ADD COLUMN IF NOT EXISTS CUSTOMER_ID TEXT`,
+      `ALTER TABLE MEETING_REVISIONS ADD COLUMN IF NOT EXISTS TAGS TEXT`,
+      `ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS CUSTOMER_ID TEXT`,
+      `ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS TAGS TEXT`,
+      `ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS PARTICIPANT_EMAILS TEXT`,
+      `UPDATE CHUNKS c
+          SET PARTICIPANT_EMAILS = TO_JSON(REGEXP_SUBSTR_ALL(LOWER(m.PARTICIPANTS), '[^ "@,;<>]+@[^ "@,;<>]+[.][^ "@,;<>]+'))
+         FROM (
+           SELECT MEETING_ID, PARTICIPANTS
+             FROM MEETINGS
+           QUALIFY ROW_NUMBER() OVER (PARTITION BY MEETING_ID ORDER BY COALESCE(UPDATED_AT, CREATED_AT) DESC) = 1
+         ) m
+        WHERE c.MEETING_ID = m.MEETING_ID
+          AND c.PARTICIPANT_EMAILS IS NULL`,
+    ],
+  },
+  {
+    version: 12,
+    name: "create_customers",
+    // Canonical customers for entity resolution (src/customers/customers.js). A merged
+    // customer keeps its row with MERGED_INTO set, so old ids still resolve.
+    up: [
+      `CREATE TABLE IF NOT EXISTS CUSTOMERS (
+        CUSTOMER_ID TEXT NOT NULL,
+        NAME TEXT NOT NULL,
+        ALIASES TEXT,
+        DOMAINS TEXT,
+        MERGED_INTO TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP(),
+        UPDATED_AT TIMESTAMP_TZ
+      )`,
+      // Set when an admin assigns the customer by hand; ingest then stops re-resolving it
+      `ALTER TABLE MEETINGS ADD COLUMN IF NOT EXISTS CUSTOMER_LOCKED BOOLEAN DEFAULT FALSE`,
+    ],
+  },
+  {
+    version: 13,
+    name: "create_api_keys",
+    // Per-user API keys (src/auth/api-keys.js). Only a SHA-256 hash of each key is kept;
+    // revoked keys stay so their usage history remains.
+    up: [
+      `CREATE TABLE IF NOT EXISTS API_KEYS (
+        KEY_ID TEXT NOT NULL,
+        NAME TEXT NOT NULL,
+        KEY_HASH TEXT NOT NULL,
+        SCOPES TEXT NOT NULL,
+        CUSTOMER_IDS TEXT,
+        EXPIRES_AT TIMESTAMP_TZ,
+        REVOKED_AT TIMESTAMP_TZ,
+        LAST_USED_AT TIMESTAMP_TZ,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP(),
+        UPDATED_AT TIMESTAMP_TZ
+      )`,
+    ],
+  },
+  {
+    version: 14,
+    name: "access_policies",
+    // Row-level access for /api/ask (src/auth/access.js). A key's ACCESS is "all" or
+    // "policy"; keys issued before this migration keep seeing everything (NULL = "all").
+    up: [
+      `ALTER TABLE API_KEYS ADD COLUMN IF NOT EXISTS USER_EMAIL TEXT`,
+      `ALTER TABLE API_KEYS ADD COLUMN IF NOT EXISTS TEAMS TEXT`,
+      `ALTER TABLE API_KEYS ADD COLUMN IF NOT EXISTS ACCESS TEXT`,
+      `ALTER TABLE CUSTOMERS ADD COLUMN IF NOT EXISTS OWNER_EMAILS TEXT`,
+      `CREATE TABLE IF NOT EXISTS ACCESS_GRANTS (
+        GRANT_ID TEXT NOT NULL,
+        TEAM TEXT NOT NULL,
+        CUSTOMER_ID TEXT,
+        MEETING_ID TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+      // Follow-ups may only continue a conversation started with the same key
+      `ALTER TABLE CONVERSATION_TURNS ADD COLUMN IF NOT EXISTS KEY_ID TEXT`,
+    ],
+  },
+  {
+    version: 15,
+    name: "create_webhook_nonces",
+    // Nonces of signed ingest deliveries (src/auth/signatures.js), kept until they expire
+    up: [
+      `CREATE TABLE IF NOT EXISTS WEBHOOK_NONCES (
+        NONCE TEXT NOT NULL,
+        EXPIRES_AT TIMESTAMP_TZ NOT NULL,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+    ],
+  },
+  {
+    version: 16,
+    name: "create_redaction_tables",
+    // PII/secret redaction (src/redaction/redaction.js): one audit row per redaction run,
+    // and the encrypted originals behind tokenize-mode tokens
+    up: [
+      `CREATE TABLE IF NOT EXISTS REDACTION_AUDIT (
+        MEETING_ID TEXT NOT NULL,
+        STAGE TEXT NOT NULL,
+        MODE TEXT NOT NULL,
+        COUNTS TEXT,
+        TOTAL NUMBER,
+        KEY_ID TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+      `CREATE TABLE IF NOT EXISTS REDACTION_VAULT (
+        TOKEN TEXT NOT NULL,
+        KIND TEXT NOT NULL,
+        CIPHERTEXT TEXT NOT NULL,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+    ],
+  },
+  {
+    version: 17,
+    name: "create_deletion_receipts",
+    // One row per meeting deletion or forget run (src/meetings/deletion.js). CRITERIA holds
+    // hashes of forgotten emails/names, never the values themselves.
+    up: [
+      `CREATE TABLE IF NOT EXISTS DELETION_RECEIPTS (
+        RECEIPT_ID TEXT NOT NULL,
+        ACTION TEXT NOT NULL,
+        MODE TEXT NOT NULL,
+        CRITERIA TEXT,
+        MEETING_IDS TEXT,
+        COUNTS TEXT,
+        KEY_ID TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+    ],
+  },
+  {
+    version: 18,
+    name: "create_insight_tables",
+    // Structured meeting intelligence (src/insights/insights.js): one run per meeting, and
+    // its items (action items, decisions, objections, competitors, pricing, sentiment),
+    // each citing the CHUNK_IDs it came from
+    up: [
+      `CREATE TABLE IF NOT EXISTS MEETING_INSIGHTS (
+        MEETING_ID TEXT NOT NULL,
+        REVISION NUMBER,
+        MODEL TEXT,
+        COUNTS TEXT,
+        KEY_ID TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+      `CREATE TABLE IF NOT EXISTS INSIGHT_ITEMS (
+        INSIGHT_ID TEXT NOT NULL,
+        MEETING_ID TEXT NOT NULL,
+        IDX NUMBER,
+        KIND TEXT NOT NULL,
+        TEXT TEXT,
+        OWNER TEXT,
+        DUE_DATE DATE,
+        COMPETITOR TEXT,
+        SENTIMENT TEXT,
+        SOURCES TEXT,
+        CREATED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )`,
+    ],
+  },
+  {
+    version: 19,
+    name: "backfill_jobs",
+    // Resumable backfills (src/jobs/backfill.js): a job's parameters and its cursor and
+    // counts so far, and the chunker version behind each chunk so outdated ones can be found
+    up: [
+      `ALTER TABLE JOBS ADD COLUMN IF NOT EXISTS PARAMS TEXT`,
+      `ALTER TABLE JOBS ADD COLUMN IF NOT EXISTS PROGRESS TEXT`,
+      `ALTER TABLE CHUNKS ADD COLUMN IF NOT EXISTS CHUNKER_VERSION TEXT`,
+    ],
+  },
+];
+
+async function columnTypes(conn, table) {
+  const rows = await exec(
+    conn,
+    `SELECT COLUMN_NAME, DATA_TYPE
+       FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_NAME = ?
+        AND TABLE_SCHEMA = CURRENT_SCHEMA()`,
+    [table]
+  );
+  return Object.fromEntries(rows.map((r) => [r.COLUMN_NAME, r.DATA_TYPE]));
+}
+
+async function appliedVersions(conn) {
+  const tables = await exec(
+    conn,
+    `SELECT COUNT(*) AS N
+       FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_NAME = 'SCHEMA_MIGRATIONS'
+        AND TABLE_SCHEMA = CURRENT_SCHEMA()`
+  );
+  if (!(Number(tables[0]?.N) > 0)) return new Set();
+
+  const rows = await exec(conn, `SELECT VERSION FROM SCHEMA_MIGRATIONS`);
+  return new Set(rows.map((r) => Number(r.VERSION)));
+}
+
+/**
+ * Apply pending migrations in version order and record each in SCHEMA_MIGRATIONS.
+ * With { dryRun: true } nothing is written; the planned DDL is returned instead.
+ * Returns [{ version, name, statements }] for every pending migration. A dry run doesn't
+ * call function `up` steps: their statements depend on the schema the earlier pending
+ * migrations leave behind, so they are null ("computed at apply time").
+ */
+export async function runMigrations(conn, { dryRun = false } = {}) {
+  const applied = await appliedVersions(conn);
+  const pending = MIGRATIONS
+    .filter((m) => !applied.has(m.version))
+    .sort((a, b) => a.version - b.version);
+
+  if (!dryRun && pending.length) {
+    await exec(conn, `
+      CREATE TABLE IF NOT EXISTS SCHEMA_MIGRATIONS (
+        VERSION NUMBER NOT NULL,
+        NAME TEXT NOT NULL,
+        APPLIED_AT TIMESTAMP_TZ DEFAULT CURRENT_TIMESTAMP()
+      )
+    `);
+  }
+
+  const plan = [];
+  for (const m of pending) {
+    if (dryRun) {
+      plan.push({ version: m.version, name: m.name, statements: typeof m.up === "function" ? null : m.up });
+      continue;
+    }
+    const statements = typeof m.up === "function" ? await m.up(conn) : m.up;
+    plan.push({ version: m.version, name: m.name, statements });
+
+    for (const sql of statements) await exec(conn, sql);
+    await exec(conn, `INSERT INTO SCHEMA_MIGRATIONS (VERSION, NAME) VALUES (?, ?)`, [m.version, m.name]);
+    console.log(`Applied migration ${m.version} (${m.name})`);
+  }
+  return plan;
+}
+
+// Migrate once per warm serverless instance; handlers call this before touching tables
+let schemaReady = null;
+export function ensureSchema(conn) {
+  if (!schemaReady) {
+    schemaReady = runMigrations(conn).catch((e) => {
+      schemaReady = null;
+      throw e;
+    });
+  }
+  return schemaReady;
+}
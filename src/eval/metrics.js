@@ -0,0 +1,168 @@
+import { queryTerms } from "../rag/lexical.js";
+import { validateScope } from "../rag/filters.js";
+
+// Offline RAG evaluation (scripts/eval.js): golden set parsing, per-question scores and run
+// summaries. Everything here is pure, so two runs over the same corpus compare cleanly.
+//
+// Relevance comes from the golden set, not from chunk ids, which change whenever a corpus
+// is loaded into a new store. A question lists the meetings that answer it, and optionally
+// phrases ("expected_chunks") that the answering chunks contain. A retrieved chunk is
+// relevant when it belongs to an expected meeting and, if phrases are given, contains one.
+
+/**
+ * Golden set JSON -> [{ id, question, scope, expectedMeetings, expectedChunks, referenceAnswer }]
+ * sorted by id. Throws with the entry's index on invalid entries.
+ */
+export function parseGoldenSet(json) {
+  if (!Array.isArray(json)) throw new Error("golden set must be a JSON array of questions");
+  const seen = new Set();
+  const entries = json.map((q, i) => {
+    const at = `golden[${i}]`;
+    const strings = (value, name, required) => {
+      if (value == null && !required) return [];
+      if (!Array.isArray(value) || (required && !value.length) || value.some((v) => typeof v !== "string" || !v.trim())) {
+        throw new Error(`${at}.${name} must be ${required ? "a non-empty" : "an"} array of strings`);
+      }
+      return value.map((v) => v.trim());
+    };
+    if (!q || typeof q !== "object") throw new Error(`${at} must be an object`);
+    if (typeof q.id !== "string" || !q.id.trim()) throw new Error(`${at}.id must be a string`);
+    if (seen.has(q.id)) throw new Error(`${at}.id "${q.id}" is used twice`);
+    seen.add(q.id);
+    if (typeof q.question !== "string" || !q.question.trim()) throw new Error(`${at}.question must be a string`);
+    let scope;
+    try {
+      scope = validateScope(q.scope);
+    } catch (e) {
+      throw new Error(`${at}.${e.message}`);
+    }
+    return {
+      id: q.id.trim(),
+      question: q.question.trim(),
+      scope,
+      expectedMeetings: strings(q.expected_meetings, "expected_meetings", true),
+      expectedChunks: strings(q.expected_chunks, "expected_chunks", false),
+      referenceAnswer: typeof q.reference_answer === "string" ? q.reference_answer.trim() : null,
+    };
+  });
+  return entries.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+const normalize = (text) => String(text || "").toLowerCase().replace(/\s+/g, " ");
+
+// What a question needs retrieved: its phrases when it has them, else its meetings
+function targets(entry) {
+  return entry.expectedChunks.length
+    ? entry.expectedChunks.map((phrase) => ({ label: phrase, phrase: normalize(phrase) }))
+    : entry.expectedMeetings.map((meetingId) => ({ label: meetingId, meetingId }));
+}
+
+// Does chunk { meetingId, text } cover `target`?
+function covers(entry, target, chunk) {
+  if (!chunk || !entry.expectedMeetings.includes(chunk.meetingId)) return false;
+  return target.phrase ? normalize(chunk.text).includes(target.phrase) : chunk.meetingId === target.meetingId;
+}
+
+// Phrases of `entry` that no chunk of its expected meetings contains (a stale golden set)
+export function unmatchedPhrases(entry, chunks) {
+  return targets(entry)
+    .filter((t) => t.phrase && !chunks.some((c) => covers(entry, t, c)))
+    .map((t) => t.label);
+}
+
+// Token F1 between an answer and the reference, over non-stopword terms. Citation markers
+// and the Sources line are left out.
+export function answerSimilarity(answer, reference) {
+  if (!reference) return null;
+  const clean = String(answer || "").replace(/\n?[ \t]*Sources?\s*:[^\n]*\s*$/i, "").replace(/\[[^\[\]\n]*\]/g, " ");
+  const got = queryTerms(clean);
+  const want = new Set(queryTerms(reference));
+  const common = got.filter((t) => want.has(t)).length;
+  if (!common) return 0;
+  const precision = common / got.length;
+  const recall = common / want.size;
+  return (2 * precision * recall) / (precision + recall);
+}
+
+const round = (n) => (n == null ? null : Math.round(n * 1000) / 1000);
+
+/**
+ * Score one /api/ask response against its golden entry.
+ *   retrieved: [{ chunkId, meetingId, text, label }] in ranking order (the response's `sources`)
+ *   cited: chunk ids the answer cites; invalidCitations: cited ids that weren't in the context
+ *   ks: the cutoffs to report recall at
+ * -> { "recall@<k>" for each k, mrr, citation_accuracy, grounded, answer_similarity, missed }
+ */
+export function scoreQuestion(entry, { retrieved, cited, invalidCitations = [], grounded, answer }, ks) {
+  const wanted = targets(entry);
+  const relevant = (chunk) => wanted.some((t) => covers(entry, t, chunk));
+  const foundWithin = (k) => wanted.filter((t) => retrieved.slice(0, k).some((c) => covers(entry, t, c))).length;
+
+  const firstHit = retrieved.findIndex(relevant);
+  const byId = new Map(retrieved.map((c) => [c.chunkId, c]));
+  const citedTotal = cited.length + invalidCitations.length;
+
+  return {
+    ...Object.fromEntries(ks.map((k) => [`recall@${k}`, round(foundWithin(k) / wanted.length)])),
+    mrr: round(firstHit < 0 ? 0 : 1 / (firstHit + 1)),
+    // Share of citations that point at a relevant chunk; an answer that cites nothing scores 0
+    citation_accuracy: round(citedTotal ? cited.filter((id) => relevant(byId.get(id))).length / citedTotal : 0),
+    grounded: Boolean(grounded),
+    answer_similarity: round(answerSimilarity(answer, entry.referenceAnswer)),
+    missed: wanted.filter((t) => !retrieved.some((c) => covers(entry, t, c))).map((t) => t.label),
+  };
+}
+
+/**
+ * Per-question results -> mean of every metric, with `grounded` as the share of grounded
+ * answers. Questions without a reference answer are left out of answer_similarity.
+ */
+export function summarize(results, ks) {
+  const mean = (values) => {
+    const present = values.filter((v) => v != null);
+    return present.length ? round(present.reduce((n, v) => n + Number(v), 0) / present.length) : null;
+  };
+  return {
+    questions: results.length,
+    ...Object.fromEntries(ks.map((k) => [`recall@${k}`, mean(results.map((r) => r[`recall@${k}`]))])),
+    mrr: mean(results.map((r) => r.mrr)),
+    citation_accuracy: mean(results.map((r) => r.citation_accuracy)),
+    grounded: mean(results.map((r) => (r.grounded ? 1 : 0))),
+    answer_similarity: mean(results.map((r) => r.answer_similarity)),
+  };
+}
+
+/**
+ * Two results files -> { summary: [{ metric, baseline, current, delta }],
+ *   questions: [{ id, changes: [{ metric, baseline, current, delta }] }] }
+ * Only metrics that moved are listed per question, and only those both runs report (runs
+ * with different --k lists share the other metrics); questions on one side only show up
+ * with `added` or `removed`.
+ */
+export function compareRuns(baseline, current) {
+  const metrics = (...rows) => [...new Set(rows.flatMap((row) => Object.keys(row || {})
+    .filter((k) => typeof row[k] === "number" || typeof row[k] === "boolean")))];
+  const change = (metric, a, b) => {
+    const before = a?.[metric] ?? null;
+    const after = b?.[metric] ?? null;
+    const delta = typeof before === "number" && typeof after === "number" ? round(after - before) : null;
+    return { metric, baseline: before, current: after, delta };
+  };
+
+  const summary = metrics(baseline.summary, current.summary).map((m) => change(m, baseline.summary, current.summary));
+
+  const before = new Map((baseline.questions || []).map((q) => [q.id, q]));
+  const after = new Map((current.questions || []).map((q) => [q.id, q]));
+  const ids = [...new Set([...before.keys(), ...after.keys()])].sort();
+  const questions = ids.flatMap((id) => {
+    if (!before.has(id)) return [{ id, added: true, changes: [] }];
+    if (!after.has(id)) return [{ id, removed: true, changes: [] }];
+    const a = before.get(id);
+    const b = after.get(id);
+    const changes = metrics(a, b)
+      .map((m) => change(m, a, b))
+      .filter((c) => c.baseline != null && c.current != null && c.baseline !== c.current);
+    return changes.length ? [{ id, changes }] : [];
+  });
+  return { summary, questions };
+}
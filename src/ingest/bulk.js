@@ -0,0 +1,194 @@
+import { AuthError } from "../auth/api-keys.js";
+import { dispatchJob, enqueueJob, JOB_TYPES } from "../jobs/jobs.js";
+import { normalizeParticipants, prepareMeeting, validatePayload } from "./ingest.js";
+
+// Bulk import (POST /api/import, scripts/import.js) for loading historical meetings.
+// Every record goes through the same validation, customer resolution, redaction and
+// content hashing as /api/ingest. Stored meetings are read and written in batches, over
+// the request's one storage connection. A bad record never fails the rest: each record
+// gets its own entry in the report.
+
+const DEFAULT_MAX_RECORDS = 1000;
+const DEFAULT_BATCH_SIZE = 100;
+const DISPATCH_WAVE = 10;
+
+// Errors the route turns into 4xx responses (whole-request problems, not per-record ones)
+export class ImportError extends Error {
+  constructor(code, detail, status = 400) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isRecord = (value) => value && typeof value === "object" && !Array.isArray(value);
+
+const entry = (line, value) => (isRecord(value)
+  ? { line, record: value }
+  : { line, error: "invalid_record", detail: "Each record must be a JSON object" });
+
+// A body that is one JSON object (over any number of lines) -> that object, else null
+function wholeObject(text) {
+  if (!text.trimStart().startsWith("{")) return null;
+  try {
+    const value = JSON.parse(text);
+    return isRecord(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split an import body into records. Accepts a JSON array, { meetings: [...] }, or NDJSON
+ * (one JSON object per line; blank lines are skipped), as a string, Buffer or parsed JSON.
+ * -> [{ line, record } | { line, error, detail }], `line` being the NDJSON line (null for arrays)
+ * Throws ImportError 400 invalid_body, empty_import; 413 too_many_records.
+ */
+export function parseImportBody(body) {
+  const text = Buffer.isBuffer(body) ? body.toString("utf8") : body;
+  // { meetings: [...] }, pretty-printed or not
+  const object = typeof text === "string" ? wholeObject(text) : null;
+  let entries;
+  if (typeof text !== "string") {
+    const list = Array.isArray(text) ? text : text?.meetings;
+    if (!Array.isArray(list)) throw new ImportError("invalid_body", "Send a JSON array of meetings, { meetings: [...] } or NDJSON");
+    entries = list.map((value) => entry(null, value));
+  } else if (Array.isArray(object?.meetings)) {
+    entries = object.meetings.map((value) => entry(null, value));
+  } else if (text.trimStart().startsWith("[")) {
+    let list;
+    try {
+      list = JSON.parse(text);
+    } catch (e) {
+      throw new ImportError("invalid_body", `Body is not a valid JSON array: ${e.message}`);
+    }
+    entries = list.map((value) => entry(null, value));
+  } else {
+    entries = [];
+    for (const [i, line] of text.split(/\r?\n/).entries()) {
+      if (!line.trim()) continue;
+      let value;
+      try {
+        value = JSON.parse(line);
+      } catch (e) {
+        entries.push({ line: i + 1, error: "invalid_json", detail: e.message });
+        continue;
+      }
+      // A single-line { meetings: [...] } body
+      if (isRecord(value) && Array.isArray(value.meetings) && !value.meeting_id) {
+        entries.push(...value.meetings.map((m) => entry(null, m)));
+      } else {
+        entries.push(entry(i + 1, value));
+      }
+    }
+  }
+
+  if (!entries.length) throw new ImportError("empty_import", "The body holds no records");
+  const max = Number(process.env.IMPORT_MAX_RECORDS) || DEFAULT_MAX_RECORDS;
+  if (entries.length > max) {
+    throw new ImportError("too_many_records", `${entries.length} records sent; split imports into requests of at most ${max}`, 413);
+  }
+  return entries;
+}
+
+/**
+ * Import parsed records (parseImportBody()) in order. A record whose meeting is stored
+ * with the same content, or repeats an earlier record of this import, is a duplicate.
+ * Created and updated meetings get a chunk_embed job unless `chunk` is false, dispatched
+ * once every record is saved.
+ * -> { records, created, updated, duplicates, failed, results: [{ record, line, meeting_id,
+ *      status: "created" | "updated" | "duplicate" | "failed", revision, customer_id, job_id,
+ *      error, detail }] }
+ */
+export async function importMeetings(storage, entries, { principal, req, chunk = true } = {}) {
+  const batchSize = Number(process.env.IMPORT_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+  const results = entries.map(({ line }, i) => ({ record: i + 1, line, meeting_id: null, status: null }));
+  const fail = (result, error, detail) => Object.assign(result, { status: "failed", error, detail });
+
+  // meeting id -> { row, record } last written by this import, so repeats compare against it
+  const imported = new Map();
+  const jobIds = [];
+
+  for (let start = 0; start < entries.length; start += batchSize) {
+    const indexes = [...Array(Math.min(batchSize, entries.length - start)).keys()].map((k) => start + k);
+    const ids = [...new Set(indexes.map((i) => entries[i].record?.meeting_id).filter((id) => typeof id === "string" && id))];
+    const stored = new Map((await storage.getMeetings(ids)).map((r) => [r.MEETING_ID, r]));
+
+    let pending = []; // { i, row } awaiting saveMeetings()
+    const flush = async () => {
+      const saving = pending;
+      pending = [];
+      if (!saving.length) return;
+      try {
+        await storage.saveMeetings(saving.map((p) => p.row));
+      } catch (e) {
+        console.error(`Import batch of ${saving.length} meeting(s) failed to save:`, e);
+        for (const p of saving) {
+          fail(results[p.i], "save_failed", String(e?.message || e));
+          imported.delete(p.row.MEETING_ID);
+        }
+        return;
+      }
+      if (!chunk) return;
+      for (const p of saving) {
+        results[p.i].job_id = await enqueueJob(storage, { type: JOB_TYPES.CHUNK_EMBED, meetingId: p.row.MEETING_ID });
+        jobIds.push(results[p.i].job_id);
+      }
+    };
+
+    for (const i of indexes) {
+      const result = results[i];
+      const { record, error, detail } = entries[i];
+      if (error) {
+        fail(result, error, detail);
+        continue;
+      }
+      result.meeting_id = record.meeting_id ?? null;
+      try {
+        const participants = normalizeParticipants.call({ body: record }, record.participants);
+        validatePayload(record);
+
+        const id = record.meeting_id;
+        // A batch's MERGE may hold each meeting once
+        if (pending.some((p) => p.row.MEETING_ID === id)) await flush();
+        const earlier = imported.get(id);
+        const current = earlier?.row ?? stored.get(id) ?? null;
+        const { action, revision, customerId, row } = await prepareMeeting(storage, record, participants, principal, current);
+
+        Object.assign(result, { status: action === "unchanged" ? "duplicate" : action, revision, customer_id: customerId });
+        if (row) {
+          imported.set(id, { row: { ...row, CUSTOMER_LOCKED: current?.CUSTOMER_LOCKED }, record: result.record });
+          pending.push({ i, row });
+        } else {
+          result.detail = earlier ? `Same content as record ${earlier.record} of this import` : `Same content as stored revision ${revision}`;
+        }
+      } catch (e) {
+        if (e instanceof AuthError) fail(result, e.code, e.message);
+        else if (/^(Missing required|Invalid)/.test(e.message)) fail(result, "invalid_record", e.message);
+        else {
+          console.error(`Import of record ${result.record} failed:`, e);
+          fail(result, "import_failed", String(e?.message || e));
+        }
+      }
+    }
+    await flush();
+  }
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  const summary = {
+    records: results.length,
+    created: count("created"),
+    updated: count("updated"),
+    duplicates: count("duplicate"),
+    failed: count("failed"),
+  };
+  console.log(`Imported ${summary.records} record(s): ${summary.created} created, ${summary.updated} updated, ${summary.duplicates} duplicate(s), ${summary.failed} failed`);
+
+  // Jobs start in waves, so a large import neither waits on each trigger in turn nor
+  // starts hundreds of invocations at once. Inline jobs share this connection: one at a time.
+  const wave = process.env.JOBS_INLINE === "1" ? 1 : DISPATCH_WAVE;
+  for (let k = 0; k < jobIds.length; k += wave) {
+    await Promise.all(jobIds.slice(k, k + wave).map((jobId) => dispatchJob(req, storage, jobId)));
+  }
+  return { ...summary, results };
+}
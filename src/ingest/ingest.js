@@ -0,0 +1,191 @@
+import { createHash } from 'crypto';
+import { normalizeTag } from "../rag/filters.js";
+import { createCustomer, resolveCustomer } from "../customers/customers.js";
+import { AuthError, allowsCustomer } from "../auth/api-keys.js";
+import { signingSecrets, verifySignature } from "../auth/signatures.js";
+import { redactMeeting } from "../redaction/redaction.js";
+
+// Meeting ingest shared by POST /api/ingest (one meeting per request) and the bulk
+// import (./bulk.js): payload validation, normalization, content hashing and the
+// revisioned upsert on MEETING_ID.
+
+// Validate required environment variables
+export function validateEnvironment() {
+  const required = [];
+  if ((process.env.STORAGE_BACKEND || 'snowflake') === 'snowflake') {
+    required.push(
+      'SNOWFLAKE_ACCOUNT',
+      'SNOWFLAKE_USER',
+      'SNOWFLAKE_WAREHOUSE',
+      'SNOWFLAKE_DATABASE',
+      'SNOWFLAKE_SCHEMA',
+      'SNOWFLAKE_ROLE'
+    );
+  }
+
+  const missing = required.filter(key => !process.env[key]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+// The request body exactly as sent, so signatures are checked against the signed bytes.
+// @vercel/node has already buffered and (lazily) parsed JSON bodies into req.body, but it
+// replays the raw bytes to "data"/"end" listeners, so read those and never req.body: a
+// re-serialized parse would change whitespace, key order and number formatting.
+export function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Validate the webhook signature and nonce of `rawBody` (see readRawBody()) when
+// INGEST_SIGNING_SECRETS is set (throws AuthError)
+export async function validateSignature(storage, req, rawBody) {
+  if (!signingSecrets().length) return;
+  await verifySignature(storage, req, rawBody);
+}
+
+// Validate request payload
+export function validatePayload(payload) {
+  const missing = [];
+  if (!payload.meeting_id) missing.push('meeting_id');
+  if (!payload.transcript) missing.push('transcript');
+  if (missing.length > 0) {
+    throw new Error(`Missing required fields: ${missing.join(', ')}`);
+  }
+  if (payload.customer_id != null && typeof payload.customer_id !== 'string') {
+    throw new Error('Invalid customer_id: must be a string');
+  }
+  if (payload.tags != null && typeof payload.tags !== 'string' && !Array.isArray(payload.tags)) {
+    throw new Error('Invalid tags: must be a list or a comma-separated string');
+  }
+}
+
+// Tags are matched case-insensitively by /api/ask scope filters
+function normalizeTags(input) {
+  const list = typeof input === 'string' ? input.split(/[,;]\s*/) : Array.isArray(input) ? input : [];
+  return [...new Set(list.map(normalizeTag).filter(Boolean))].sort();
+}
+
+// Normalize participants input to always return a JSON array
+export function normalizeParticipants(input) {
+  if (Array.isArray(input)) {
+    return input.map(v => String(v).trim()).filter(Boolean);
+  }
+  if (typeof input === 'string') {
+    return input.split(/[,;]\s*/).map(s => s.trim()).filter(Boolean);
+  }
+  // also accept accidentally sent "participants[]"
+  if (input == null && this && typeof this.body === 'object') {
+    const alt = this.body?.['participants[]'];
+    if (Array.isArray(alt)) return alt.map(s => String(s).trim()).filter(Boolean);
+    if (typeof alt === 'string') return alt.split(/[,;]\s*/).map(s => s.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+// Build the column values stored for a meeting, in MEETINGS column order
+function buildMeetingRecord(payload, participantsArr) {
+  // Convert complex types to JSON strings for TEXT storage and provide defaults for undefined values
+  return {
+    meeting_id: payload.meeting_id,
+    title: payload.title || null,
+    datetime: payload.datetime || null,
+    participants: JSON.stringify(participantsArr),   // Store normalized participants as JSON string
+    note_url: payload.note_url || null,
+    granola_summary: payload.granola_summary || null,
+    transcript: JSON.stringify(payload.transcript),  // Store as JSON string in TEXT column
+    customer: payload.customer || null,
+    // Optional fields are left out when absent so older meetings keep their content hash
+    ...(payload.customer_id ? { customer_id: payload.customer_id } : {}),
+    ...(normalizeTags(payload.tags).length ? { tags: JSON.stringify(normalizeTags(payload.tags)) } : {}),
+  };
+}
+
+// SHA-256 over every stored field, so Zapier retries of the same note hash identically.
+// Taken before redaction, so changing the redaction config doesn't make every retry an update.
+function computeContentHash(record) {
+  const { meeting_id, ...content } = record;
+  return createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Everything an upsert does short of writing MEETINGS: compare content hashes against
+// `current` (the stored MEETINGS row, or null), resolve the customer and redact.
+// Returns { action: "created" | "updated" | "unchanged", revision, customerId, row }, where
+// `row` is the MEETINGS row to save (null when unchanged).
+// A key limited to some customers may only write meetings of those customers.
+export async function prepareMeeting(storage, payload, participantsArr, principal, current) {
+  const record = buildMeetingRecord(payload, participantsArr);
+  const contentHash = computeContentHash(record);
+
+  if (current && !allowsCustomer(principal, current.CUSTOMER_ID)) {
+    throw new AuthError('customer_not_allowed', `API key may not update meeting ${record.meeting_id}`, 403);
+  }
+  if (current && current.CONTENT_HASH === contentHash) {
+    return { action: 'unchanged', revision: Number(current.REVISION || 1), customerId: current.CUSTOMER_ID || null, row: null };
+  }
+
+  // A customer assigned by an admin sticks; otherwise resolve it from this payload
+  const customer = current?.CUSTOMER_LOCKED
+    ? { customerId: current.CUSTOMER_ID, source: 'locked' }
+    : await resolveCustomer(storage, {
+        customerId: payload.customer_id,
+        customer: payload.customer,
+        title: payload.title,
+        participants: participantsArr,
+      });
+  console.log(`Meeting ${record.meeting_id} customer: ${customer.customerId || 'none'} (${customer.source || 'unresolved'})`);
+  if (!allowsCustomer(principal, customer.customerId)) {
+    throw new AuthError('customer_not_allowed', `API key may not ingest meetings for customer ${customer.customerId || '(none)'}`, 403);
+  }
+  // Only now that the key may use it: a customer this payload names for the first time
+  if (customer.create) await createCustomer(storage, customer.create);
+
+  // PII and secrets never reach MEETINGS or MEETING_REVISIONS (see src/redaction)
+  const { values: redacted } = await redactMeeting(storage, {
+    meetingId: record.meeting_id,
+    stage: 'ingest',
+    values: { transcript: payload.transcript, granola_summary: record.granola_summary },
+    keyId: principal.keyId,
+  });
+
+  const revision = current ? Number(current.REVISION || 1) + 1 : 1;
+  return {
+    action: current ? 'updated' : 'created',
+    revision,
+    customerId: customer.customerId,
+    row: {
+      MEETING_ID: record.meeting_id,
+      TITLE: record.title,
+      DATETIME: record.datetime,
+      PARTICIPANTS: record.participants,
+      NOTE_URL: record.note_url,
+      GRANOLA_SUMMARY: redacted.granola_summary,
+      TRANSCRIPT: JSON.stringify(redacted.transcript),
+      CUSTOMER: record.customer,
+      CUSTOMER_ID: customer.customerId,
+      TAGS: record.tags || null,
+      CONTENT_HASH: contentHash,
+      REVISION: revision,
+    },
+  };
+}
+
+// Upsert a meeting on MEETING_ID, recording every stored version in MEETING_REVISIONS.
+// Returns { action: "created" | "updated" | "unchanged", revision, customerId }.
+export async function upsertMeeting(storage, payload, participantsArr, principal) {
+  const current = await storage.getMeeting(payload.meeting_id);
+  const { row, ...result } = await prepareMeeting(storage, payload, participantsArr, principal, current);
+  if (row) {
+    try {
+      await storage.saveMeeting(row);
+    } catch (err) {
+      throw new Error(`Failed to upsert meeting: ${err.message}`);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,96 @@
+// Granola Markdown exports -> /api/ingest payloads (used by scripts/import.js).
+//
+// An export may open with front matter ("---" fenced "key: value" lines), then has a
+// "# Title" heading, "**Label:** value" metadata lines, and "## " sections. The section
+// whose heading mentions the transcript becomes `transcript`; everything else in the body
+// (notes, summary, action items) becomes `granola_summary`.
+
+// Front matter and metadata labels -> payload fields
+const FIELDS = {
+  id: "meeting_id",
+  meeting_id: "meeting_id",
+  granola_id: "meeting_id",
+  title: "title",
+  date: "datetime",
+  datetime: "datetime",
+  created_at: "datetime",
+  participants: "participants",
+  attendees: "participants",
+  customer: "customer",
+  company: "customer",
+  customer_id: "customer_id",
+  tags: "tags",
+  url: "note_url",
+  link: "note_url",
+  note_url: "note_url",
+};
+
+const fieldOf = (label) => FIELDS[label.trim().toLowerCase().replace(/[\s-]+/g, "_")];
+
+// "[a, b]", "a, b" or a quoted string -> the bare value
+const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, "$2");
+const listOf = (value) => value.trim().replace(/^\[(.*)\]$/, "$1").split(/[,;]/).map(unquote).filter(Boolean);
+
+// "**Date:** ...", "Date: ..." or "- Participants: ..." before the first section
+const META = /^\s*(?:[-*]\s+)?\**([A-Za-z][\w -]*?)\**\s*:\s*\**\s*(.+)$/;
+
+/**
+ * A Granola Markdown export -> an /api/ingest payload. `fallbackId` is the meeting_id of
+ * exports that don't carry one (use something stable, such as the file's path in the export).
+ */
+export function parseGranolaMarkdown(text, { fallbackId } = {}) {
+  const fields = {};
+  const set = (label, value) => {
+    const field = fieldOf(label);
+    if (!field || fields[field] != null || !value.trim()) return false;
+    fields[field] = field === "participants" || field === "tags" ? listOf(value) : unquote(value);
+    return true;
+  };
+
+  let lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  if (lines[0]?.trim() === "---") {
+    const end = lines.indexOf("---", 1);
+    if (end > 0) {
+      for (const line of lines.slice(1, end)) {
+        const m = line.match(/^([\w -]+):\s*(.*)$/);
+        if (m) set(m[1], m[2]);
+      }
+      lines = lines.slice(end + 1);
+    }
+  }
+
+  const summary = [];
+  const transcript = [];
+  let section = null; // null before the first "## " heading
+  for (const line of lines) {
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading?.[1] === "#" && section === null) {
+      fields.title ??= heading[2];
+      continue;
+    }
+    if (heading && heading[1].length <= 2) {
+      section = /transcript/i.test(heading[2]) ? "transcript" : "summary";
+      if (section === "summary") summary.push(line);
+      continue;
+    }
+    if (section === null) {
+      const meta = line.match(META);
+      if (meta && set(meta[1], meta[2])) continue;
+    }
+    (section === "transcript" ? transcript : summary).push(line);
+  }
+
+  const date = fields.datetime ? new Date(fields.datetime) : null;
+  return {
+    meeting_id: fields.meeting_id || fallbackId,
+    title: fields.title || null,
+    datetime: date && !Number.isNaN(date.getTime()) ? date.toISOString() : null,
+    participants: fields.participants || [],
+    note_url: fields.note_url || null,
+    granola_summary: summary.join("\n").trim() || null,
+    transcript: transcript.join("\n").trim() || null,
+    ...(fields.customer ? { customer: fields.customer } : {}),
+    ...(fields.customer_id ? { customer_id: fields.customer_id } : {}),
+    ...(fields.tags?.length ? { tags: fields.tags } : {}),
+  };
+}
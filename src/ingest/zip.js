@@ -0,0 +1,52 @@
+import { inflateRawSync } from "zlib";
+
+// Just enough of the zip format to read Granola export archives (scripts/import.js):
+// stored and deflated entries, found through the central directory. No zip64 or encryption.
+
+const EOCD = 0x06054b50;
+const CENTRAL = 0x02014b50;
+const LOCAL = 0x04034b50;
+
+/**
+ * The files in a zip archive -> [{ name, data: Buffer }] in archive order (directories
+ * and macOS "__MACOSX/" metadata left out). Throws on archives it can't read.
+ */
+export function readZip(buffer) {
+  // The end-of-central-directory record sits in the last 22 bytes + up to 64 KiB of comment
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip archive");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let at = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || at === 0xffffffff) throw new Error("zip64 archives are not supported");
+
+  const files = [];
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(at) !== CENTRAL) throw new Error("Corrupt zip central directory");
+    const flags = buffer.readUInt16LE(at + 8);
+    const method = buffer.readUInt16LE(at + 10);
+    const size = buffer.readUInt32LE(at + 20);
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const extraLength = buffer.readUInt16LE(at + 30);
+    const commentLength = buffer.readUInt16LE(at + 32);
+    const offset = buffer.readUInt32LE(at + 42);
+    const name = buffer.toString(flags & 0x800 ? "utf8" : "latin1", at + 46, at + 46 + nameLength);
+    at += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/") || name.startsWith("__MACOSX/")) continue;
+    if (flags & 0x1) throw new Error(`${name}: encrypted zip entries are not supported`);
+    if (buffer.readUInt32LE(offset) !== LOCAL) throw new Error(`${name}: corrupt zip entry`);
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const raw = buffer.subarray(start, start + size);
+    if (method === 0) files.push({ name, data: raw });
+    else if (method === 8) files.push({ name, data: inflateRawSync(raw) });
+    else throw new Error(`${name}: unsupported zip compression method ${method}`);
+  }
+  return files;
+}
@@ -0,0 +1,309 @@
+import { v4 as uuidv4 } from "uuid";
+import { getChatModel } from "../providers/index.js";
+import { batchChunks, chatContext, chunkBlock, citedIds, cleanDate, cleanText, parseJsonReply } from "../rag/prompting.js";
+import { andScope } from "../rag/filters.js";
+import { accessFilter } from "../auth/access.js";
+import { MeetingError, filterScope, findVisibleMeeting, queryParams } from "../meetings/meetings.js";
+
+// Structured meeting intelligence. After a meeting is chunked, a chat model reads its
+// chunks and pulls out action items (owner, due date), decisions, objections, competitor
+// mentions, pricing discussions and the overall sentiment. Every item cites the CHUNK_IDs
+// it came from, and items that cite nothing the model was shown are dropped. The model
+// reads chunks rather than the stored transcript, so redacted values never reach it.
+//
+// Long meetings are read in batches of whole chunks (EXTRACTION_BATCH_TOKENS). Items from
+// all batches are kept, and the batch sentiments are combined into one.
+
+export const KINDS = ["action_item", "decision", "objection", "competitor", "pricing", "sentiment"];
+export const SENTIMENTS = ["positive", "neutral", "negative", "mixed"];
+
+const DEFAULT_BATCH_TOKENS = 6000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Reply keys -> item kinds (sentiment is a single object, handled on its own)
+const REPLY_KINDS = {
+  action_items: "action_item",
+  decisions: "decision",
+  objections: "objection",
+  competitors: "competitor",
+  pricing: "pricing",
+};
+
+// Errors the routes turn into 4xx responses
+export class InsightError extends Error {
+  constructor(code, detail, status = 400) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// EXTRACTION=on runs extraction after every ingest-triggered chunking job
+export function extractionEnabled() {
+  return ["on", "1", "true"].includes(String(process.env.EXTRACTION || "").toLowerCase());
+}
+
+// A per-request model name, else EXTRACTION_MODEL, else CHAT_MODEL
+export function extractionModel(name) {
+  return getChatModel(name || process.env.EXTRACTION_MODEL);
+}
+
+const list = (value) => {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const dateOf = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const SYSTEM = `
+You extract structured data from meeting notes for an account team.
+Use ONLY the context blocks you are given. Every item must cite the CHUNK_IDs it came from.
+Reply with one JSON object and nothing else.
+`.trim();
+
+const SHAPE = `{
+  "action_items": [{ "text": "...", "owner": "person or null", "due_date": "YYYY-MM-DD or null", "sources": ["CHUNK_ID"] }],
+  "decisions": [{ "text": "...", "sources": ["CHUNK_ID"] }],
+  "objections": [{ "text": "...", "sources": ["CHUNK_ID"] }],
+  "competitors": [{ "name": "...", "text": "what was said about them", "sources": ["CHUNK_ID"] }],
+  "pricing": [{ "text": "...", "sources": ["CHUNK_ID"] }],
+  "sentiment": { "value": "positive | neutral | negative | mixed", "text": "one sentence on why", "sources": ["CHUNK_ID"] }
+}`;
+
+function prompt(meeting, chunks) {
+  const date = dateOf(meeting.DATETIME) || "unknown";
+  const blocks = chunks.map(chunkBlock).join("\n\n---\n\n");
+
+  return `Extract meeting intelligence from "${meeting.TITLE || "Untitled meeting"}" (${date}).
+
+Context:
+${blocks}
+
+Instructions:
+* Reply with JSON with exactly these keys:
+${SHAPE}
+* Use [] for kinds with nothing to report.
+* Resolve relative due dates ("next Friday") against the meeting date.`;
+}
+
+// One batch's reply -> { items, sentiment, dropped }, keeping only citations of `chunkIds`
+function readReply(reply, chunkIds) {
+  const cite = (sources) => citedIds(sources, chunkIds);
+  const items = [];
+  let dropped = 0;
+  for (const [key, kind] of Object.entries(REPLY_KINDS)) {
+    for (const raw of Array.isArray(reply?.[key]) ? reply[key] : []) {
+      const entry = typeof raw === "string" ? { text: raw } : raw || {};
+      const competitor = kind === "competitor" ? cleanText(entry.name ?? entry.competitor) : null;
+      const text = cleanText(entry.text) || competitor;
+      if (!text) continue;
+      const sources = cite(entry.sources);
+      if (!sources.length) {
+        dropped++;
+        continue;
+      }
+      items.push({
+        kind,
+        text,
+        owner: kind === "action_item" ? cleanText(entry.owner) : null,
+        due_date: kind === "action_item" ? cleanDate(entry.due_date) : null,
+        competitor,
+        sentiment: null,
+        sources,
+      });
+    }
+  }
+
+  const s = typeof reply?.sentiment === "string" ? { value: reply.sentiment } : reply?.sentiment;
+  const value = String(s?.value || "").toLowerCase();
+  const sentiment = SENTIMENTS.includes(value) ? { value, text: cleanText(s.text), sources: cite(s.sources) } : null;
+  return { items, sentiment, dropped };
+}
+
+// Batch sentiments -> one: agreement stands, positive + negative is "mixed", and a
+// neutral batch gives way to an opinionated one
+function combineSentiment(found) {
+  found = found.filter(Boolean);
+  if (!found.length) return null;
+  const values = new Set(found.map((s) => s.value));
+  const value = values.size === 1
+    ? found[0].value
+    : values.has("mixed") || (values.has("positive") && values.has("negative"))
+      ? "mixed"
+      : [...values].find((v) => v !== "neutral");
+  return {
+    value,
+    text: found.find((s) => s.value === value)?.text || found[0].text,
+    sources: [...new Set(found.flatMap((s) => s.sources))],
+  };
+}
+
+// Overlapping chunks make neighbouring batches repeat items; keep one, with all citations
+function dedupe(items) {
+  const byKey = new Map();
+  for (const item of items) {
+    const key = `${item.kind}|${item.text.toLowerCase()}`;
+    const seen = byKey.get(key);
+    if (seen) seen.sources = [...new Set([...seen.sources, ...item.sources])];
+    else byKey.set(key, { ...item });
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Extract one meeting's insights from its chunks, replacing any earlier extraction.
+ * -> { meeting_id, items, counts, uncited_dropped, batches, model }
+ * Throws InsightError 404 meeting_not_found.
+ */
+export async function extractMeeting(storage, meetingId, { chatModel = extractionModel(), keyId = null } = {}) {
+  const meeting = await storage.getMeeting(meetingId);
+  if (!meeting) throw new InsightError("meeting_not_found", `No meeting ${meetingId}`, 404);
+
+  const chunks = await storage.listChunks(meetingId);
+  if (!chunks.length) return { meeting_id: meetingId, items: 0, skipped: "no_chunks" };
+
+  const budget = Number(process.env.EXTRACTION_BATCH_TOKENS) || DEFAULT_BATCH_TOKENS;
+  const groups = batchChunks(chunks, budget);
+  const replies = [];
+  for (const group of groups) {
+    const completion = await chatModel.chat({
+      system: SYSTEM,
+      messages: [{ role: "user", content: prompt(meeting, group) }],
+      maxTokens: 1500,
+      temperature: 0,
+      topP: 1,
+      context: chatContext(group),
+      json: JSON.parse(SHAPE),
+    });
+    replies.push(readReply(parseJsonReply(completion.text, "extraction model"), new Set(group.map((c) => c.CHUNK_ID))));
+  }
+
+  const sentiment = combineSentiment(replies.map((r) => r.sentiment));
+  const items = [
+    ...dedupe(replies.flatMap((r) => r.items)),
+    ...(sentiment ? [{ kind: "sentiment", text: sentiment.text, owner: null, due_date: null, competitor: null, sentiment: sentiment.value, sources: sentiment.sources }] : []),
+  ];
+  const counts = Object.fromEntries(KINDS.map((k) => [k, items.filter((i) => i.kind === k).length]));
+  const dropped = replies.reduce((n, r) => n + r.dropped, 0);
+
+  await storage.saveInsights(meetingId, {
+    run: {
+      MEETING_ID: meetingId,
+      REVISION: Number(meeting.REVISION || 1),
+      MODEL: chatModel.id,
+      COUNTS: JSON.stringify(counts),
+      KEY_ID: keyId,
+    },
+    items: items.map((item, idx) => ({
+      INSIGHT_ID: uuidv4(),
+      MEETING_ID: meetingId,
+      IDX: idx,
+      KIND: item.kind,
+      TEXT: item.text,
+      OWNER: item.owner,
+      DUE_DATE: item.due_date,
+      COMPETITOR: item.competitor,
+      SENTIMENT: item.sentiment,
+      SOURCES: JSON.stringify(item.sources),
+    })),
+  });
+
+  if (dropped) console.warn(`Dropped ${dropped} uncited insight(s) from meeting ${meetingId}`);
+  console.log(`Extracted ${items.length} insight(s) from meeting ${meetingId} with ${chatModel.id} in ${groups.length} call(s)`);
+  return { meeting_id: meetingId, items: items.length, counts, uncited_dropped: dropped, batches: groups.length, model: chatModel.id };
+}
+
+// API shape of a listInsightItems() row
+export function formatInsight(row) {
+  return {
+    insight_id: row.INSIGHT_ID,
+    kind: row.KIND,
+    text: row.TEXT || null,
+    owner: row.OWNER || null,
+    due_date: row.DUE_DATE ? dateOf(row.DUE_DATE) : null,
+    competitor: row.COMPETITOR || null,
+    sentiment: row.SENTIMENT || null,
+    sources: list(row.SOURCES),
+    meeting_id: row.MEETING_ID,
+    meeting_title: row.MEETING_TITLE || null,
+    meeting_date: row.MEETING_DATE || null,
+    customer_id: row.CUSTOMER_ID || null,
+    customer: row.CUSTOMER || null,
+  };
+}
+
+/**
+ * A meeting's insights grouped by kind, if the caller may see the meeting.
+ * `extraction` is null until the meeting has been extracted, and `stale` once the meeting
+ * has a newer revision than the one extracted.
+ */
+export async function getMeetingInsights(storage, principal, meetingId) {
+  const meeting = await findVisibleMeeting(storage, principal, meetingId);
+  const run = await storage.getInsightRun(meetingId);
+  const rows = await storage.listInsightItems({ scope: { meeting_ids: [meetingId] }, limit: MAX_LIMIT });
+  const items = rows.map(formatInsight).map(({ meeting_id, meeting_title, meeting_date, customer_id, customer, ...item }) => item);
+  const of = (kind) => items.filter((i) => i.kind === kind);
+
+  return {
+    meeting_id: meetingId,
+    meeting_title: meeting.TITLE || null,
+    extraction: run
+      ? {
+          revision: Number(run.REVISION || 1),
+          model: run.MODEL || null,
+          counts: JSON.parse(run.COUNTS || "{}"),
+          created_at: run.CREATED_AT ? new Date(run.CREATED_AT).toISOString() : null,
+          stale: Number(run.REVISION || 1) < Number(meeting.REVISION || 1),
+        }
+      : null,
+    action_items: of("action_item"),
+    decisions: of("decision"),
+    objections: of("objection"),
+    competitors: of("competitor"),
+    pricing: of("pricing"),
+    sentiment: of("sentiment")[0] || null,
+  };
+}
+
+/**
+ * Insights across the meetings the caller may see. Query parameters: the meeting filters
+ * (customer_id, customer, from, to, participant, tag, q), plus
+ *   kind (comma-separated), owner, competitor (substrings), sentiment,
+ *   due_from, due_to (YYYY-MM-DD, action items), limit
+ * -> { insights }, newest meetings first. Throws MeetingError 400 invalid_filter.
+ */
+export async function queryInsights(storage, principal, query) {
+  const q = queryParams(query);
+  const scope = filterScope(q);
+
+  const kinds = q.kind ? String(q.kind).split(",").map((k) => k.trim()).filter(Boolean) : null;
+  const unknown = (kinds || []).filter((k) => !KINDS.includes(k));
+  if (unknown.length) throw new MeetingError("invalid_filter", `kind must be one of ${KINDS.join(", ")}`);
+  if (q.sentiment && !SENTIMENTS.includes(q.sentiment)) {
+    throw new MeetingError("invalid_filter", `sentiment must be one of ${SENTIMENTS.join(", ")}`);
+  }
+  for (const key of ["due_from", "due_to"]) {
+    if (q[key] && !cleanDate(q[key])) throw new MeetingError("invalid_filter", `${key} must be a YYYY-MM-DD date`);
+  }
+  const limit = q.limit == null ? DEFAULT_LIMIT : Number(q.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new MeetingError("invalid_filter", `limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  const rows = await storage.listInsightItems({
+    scope: andScope(scope, await accessFilter(storage, principal)),
+    kinds,
+    owner: q.owner || null,
+    competitor: q.competitor || null,
+    sentiment: q.sentiment || null,
+    dueFrom: q.due_from || null,
+    dueTo: q.due_to || null,
+    limit,
+  });
+  return { insights: rows.map(formatInsight) };
+}
@@ -0,0 +1,165 @@
+import { andScope, validateScope } from "../rag/filters.js";
+import { CHUNKER_VERSION, chunkMeeting } from "../rag/chunking.js";
+import { getEmbeddingModel } from "../providers/index.js";
+import { CHUNK_STATUSES } from "../meetings/meetings.js";
+
+// Resumable backfills (POST /api/rechunk with `backfill`): chunk and embed every meeting
+// matching some filters, as one tracked `backfill` job. Each run of the job handles one
+// batch, oldest meetings first, and saves its cursor and counts to the job (see runJob()
+// in ./jobs.js). The next batch runs in a fresh invocation, so no invocation runs into a
+// timeout, and a failed job picks up after the last batch it finished.
+
+const DEFAULT_BATCH_SIZE = 25;
+const MAX_BATCH_SIZE = 200;
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+// Failed meetings listed in the progress (the newest ones); `failed` counts all of them
+const MAX_FAILURES = 50;
+
+// Errors the routes turn into 4xx responses
+export class BackfillError extends Error {
+  constructor(code, detail, status = 400) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const integer = (value, name, fallback, max) => {
+  if (value == null) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > max) {
+    throw new BackfillError("invalid_backfill", `${name} must be an integer from 1 to ${max}`);
+  }
+  return n;
+};
+
+/**
+ * Validate the `backfill` options of a POST /api/rechunk body:
+ *   { since?, customer_id?, chunk_status?, outdated?, scope?, batch_size?, concurrency? }
+ * -> the job's PARAMS, with the key's customer restriction folded into `scope`.
+ * Throws BackfillError 400 invalid_backfill.
+ */
+export function parseBackfillRequest(options, { principal, embedModel }) {
+  const o = options === true ? {} : options;
+  if (!o || typeof o !== "object" || Array.isArray(o)) {
+    throw new BackfillError("invalid_backfill", "backfill must be an object of filters and options");
+  }
+  if (o.since != null && Number.isNaN(Date.parse(o.since))) {
+    throw new BackfillError("invalid_backfill", "since must be an ISO 8601 date");
+  }
+  if (o.customer_id != null && (typeof o.customer_id !== "string" || !o.customer_id.trim())) {
+    throw new BackfillError("invalid_backfill", "customer_id must be a string");
+  }
+  if (o.chunk_status != null && !CHUNK_STATUSES.includes(o.chunk_status)) {
+    throw new BackfillError("invalid_backfill", `chunk_status must be one of ${CHUNK_STATUSES.join(", ")}`);
+  }
+  if (o.outdated != null && typeof o.outdated !== "boolean") {
+    throw new BackfillError("invalid_backfill", "outdated must be true or false");
+  }
+
+  let scope;
+  try {
+    scope = validateScope(o.scope);
+  } catch (e) {
+    throw new BackfillError("invalid_backfill", e.message);
+  }
+  if (o.customer_id) scope = andScope(scope, { customer_ids: [o.customer_id.trim()] });
+  // Keys limited to some customers only backfill those customers' meetings
+  if (principal.customerIds) scope = andScope(scope, { customer_ids: principal.customerIds });
+
+  return {
+    since: o.since ? new Date(o.since).toISOString() : null,
+    customer_id: o.customer_id?.trim() || null,
+    chunk_status: o.chunk_status || null,
+    outdated: o.outdated === true,
+    scope: scope || null,
+    embed_model: embedModel,
+    batch_size: integer(o.batch_size, "batch_size", DEFAULT_BATCH_SIZE, MAX_BATCH_SIZE),
+    concurrency: integer(o.concurrency, "concurrency", DEFAULT_CONCURRENCY, MAX_CONCURRENCY),
+    key_id: principal.keyId,
+  };
+}
+
+// Job PARAMS -> listMeetings()/countMeetings() filters
+function meetingFilters(params) {
+  return {
+    scope: params.scope || undefined,
+    chunkStatus: params.chunk_status || undefined,
+    createdSince: params.since || undefined,
+    // Chunks not embedded with this job's model, or cut by an older chunker
+    outdated: params.outdated ? { embedModel: params.embed_model, chunkerVersion: CHUNKER_VERSION } : undefined,
+  };
+}
+
+// The PROGRESS a backfill starts from; `total` is the number of matching meetings at the start
+export async function initialProgress(storage, params) {
+  return {
+    total: await storage.countMeetings(meetingFilters(params)),
+    processed: 0,
+    succeeded: 0,
+    skipped: 0,
+    failed: 0,
+    chunks: 0,
+    kept: 0,
+    added: 0,
+    removed: 0,
+    batches: 0,
+    cursor: null,
+    failures: [],
+    done: false,
+  };
+}
+
+// Run `fn` over `items`, at most `limit` at a time
+async function eachLimit(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Job runner: chunk and embed the next batch of meetings after the job's cursor.
+ * -> { progress, more } with `more` true while meetings are left
+ */
+export async function runBackfillBatch(storage, job) {
+  const params = JSON.parse(job.PARAMS);
+  const progress = JSON.parse(job.PROGRESS);
+  const embedder = getEmbeddingModel(params.embed_model);
+
+  // Oldest first: keyset pages over CREATED_AT stay stable while meetings are ingested or rechunked
+  const rows = await storage.listMeetings({
+    ...meetingFilters(params),
+    sort: "created_at",
+    order: "asc",
+    after: progress.cursor,
+    limit: params.batch_size,
+  });
+
+  await eachLimit(rows, params.concurrency, async (row) => {
+    try {
+      const result = await chunkMeeting(storage, row.MEETING_ID, { embedder });
+      if (result.skipped) progress.skipped++;
+      else progress.succeeded++;
+      progress.chunks += result.chunks;
+      // Chunk diff totals; older progress (from before they were counted) starts them at 0
+      for (const k of ["kept", "added", "removed"]) progress[k] = (progress[k] || 0) + (result[k] || 0);
+    } catch (e) {
+      console.error(`Backfill ${job.JOB_ID}: meeting ${row.MEETING_ID} failed:`, e);
+      progress.failed++;
+      progress.failures = [...progress.failures, { meeting_id: row.MEETING_ID, error: String(e?.message || e) }].slice(-MAX_FAILURES);
+    }
+    progress.processed++;
+    // Renew the job's lease, so a long batch isn't mistaken for a dead one (see runJob())
+    await storage.touchJob(job.JOB_ID);
+  });
+
+  const last = rows.at(-1);
+  if (last) progress.cursor = { key: last.SORT_KEY, id: last.MEETING_ID };
+  progress.batches++;
+  progress.done = rows.length < params.batch_size;
+  console.log(`Backfill ${job.JOB_ID}: batch ${progress.batches}, ${progress.processed}/${progress.total} meeting(s) processed`);
+  return { progress, more: !progress.done };
+}
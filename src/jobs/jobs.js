@@ -0,0 +1,181 @@
+import { v4 as uuidv4 } from "uuid";
+import { chunkMeeting } from "../rag/chunking.js";
+import { extractMeeting, extractionEnabled } from "../insights/insights.js";
+import { getEmbeddingModel } from "../providers/index.js";
+import { initialProgress, parseBackfillRequest, runBackfillBatch } from "./backfill.js";
+
+// Job lifecycle: queued -> running -> succeeded | failed (failed jobs can be re-run)
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+export const JOB_TYPES = {
+  CHUNK_EMBED: "chunk_embed",
+  EXTRACT: "extract",
+  BACKFILL: "backfill",
+};
+
+// ---- data access ----
+export async function enqueueJob(storage, { type, meetingId, params, progress }) {
+  const jobId = uuidv4();
+  await storage.createJob({ jobId, type, meetingId, status: JOB_STATUS.QUEUED, params, progress });
+  return jobId;
+}
+
+export function getJob(storage, jobId) {
+  return storage.getJob(jobId);
+}
+
+// Shape a JOBS row for API responses
+export function formatJob(row) {
+  return {
+    job_id: row.JOB_ID,
+    type: row.JOB_TYPE,
+    meeting_id: row.MEETING_ID,
+    status: row.STATUS,
+    attempts: Number(row.ATTEMPTS || 0),
+    result: row.RESULT ? JSON.parse(row.RESULT) : null,
+    error: row.ERROR || null,
+    params: row.PARAMS ? JSON.parse(row.PARAMS) : null,
+    progress: row.PROGRESS ? JSON.parse(row.PROGRESS) : null,
+    created_at: row.CREATED_AT,
+    updated_at: row.UPDATED_AT,
+    started_at: row.STARTED_AT,
+    finished_at: row.FINISHED_AT,
+  };
+}
+
+// JOB_LEASE_MS: a running job not touched (UPDATED_AT) for this long is taken to have died
+// with its invocation, e.g. at the function timeout, and can be claimed again. Keep it above
+// the function timeout.
+const DEFAULT_JOB_LEASE_MS = 15 * 60 * 1000;
+
+export function jobLeaseMs() {
+  const n = Number(process.env.JOB_LEASE_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_JOB_LEASE_MS;
+}
+
+// Claim a queued or failed job, or a running one whose lease ran out; false if another
+// invocation holds it
+function claimJob(storage, jobId) {
+  return storage.claimJob(jobId, {
+    to: JOB_STATUS.RUNNING,
+    from: [JOB_STATUS.QUEUED, JOB_STATUS.FAILED],
+    leaseMs: jobLeaseMs(),
+  });
+}
+
+const runners = {
+  // With EXTRACTION=on, a successful chunking queues insight extraction as its own job,
+  // so a failed extraction can be retried without chunking again
+  [JOB_TYPES.CHUNK_EMBED]: async (storage, job) => {
+    const result = await chunkMeeting(storage, job.MEETING_ID);
+    if (extractionEnabled() && result.chunks > 0) {
+      result.extract_job_id = await enqueueJob(storage, { type: JOB_TYPES.EXTRACT, meetingId: job.MEETING_ID });
+    }
+    return result;
+  },
+  [JOB_TYPES.EXTRACT]: (storage, job) => extractMeeting(storage, job.MEETING_ID),
+  [JOB_TYPES.BACKFILL]: runBackfillBatch,
+};
+
+// Run a job to completion in this invocation. Work is read from MEETINGS, so
+// retrying a failed job never needs the transcript to be sent again.
+//
+// Runners returning { progress, more } (backfills) do one slice per run: the progress is
+// saved, and while `more` is true the job goes back to queued and the next slice is
+// dispatched with `req`. A failed slice keeps the progress of the ones before it.
+export async function runJob(storage, jobId, { req } = {}) {
+  const job = await getJob(storage, jobId);
+  if (!job) throw new Error("job_not_found");
+
+  const runner = runners[job.JOB_TYPE];
+  if (!runner) throw new Error(`unknown_job_type: ${job.JOB_TYPE}`);
+
+  if (!(await claimJob(storage, jobId))) {
+    console.log(`Job ${jobId} is ${job.STATUS}; not running it again`);
+    return getJob(storage, jobId);
+  }
+  if (job.STATUS === JOB_STATUS.RUNNING) {
+    console.warn(`Job ${jobId} was running with no update since ${job.UPDATED_AT}; running it again`);
+  }
+
+  let result;
+  try {
+    result = await runner(storage, job);
+    if (result?.progress) {
+      await storage.saveJobProgress(jobId, { progress: result.progress, status: result.more ? JOB_STATUS.QUEUED : null });
+    }
+    if (!result?.more) await storage.finishJob(jobId, { status: JOB_STATUS.SUCCEEDED, result: result?.progress ?? result });
+  } catch (e) {
+    console.error(`Job ${jobId} failed:`, e);
+    await storage.finishJob(jobId, { status: JOB_STATUS.FAILED, error: String(e?.message || e) });
+  }
+  // Follow-up jobs run in the same invocation, once their input is in place
+  if (result?.extract_job_id) await runJob(storage, result.extract_job_id);
+  if (result?.more) await dispatchJob(req, storage, jobId);
+  return getJob(storage, jobId);
+}
+
+// Kick off a job in its own serverless invocation via POST /api/jobs/:id, authenticated
+// with the caller's own API key. We only wait long enough for the request to go out,
+// not for the job itself.
+export async function triggerJob(req, jobId, { timeoutMs = 1500 } = {}) {
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  const proto = req.headers["x-forwarded-proto"] || (host?.startsWith("localhost") ? "http" : "https");
+  const authorization = req.headers.get?.("authorization") || req.headers.authorization;
+  if (!host || !authorization) return;
+
+  try {
+    await fetch(`${proto}://${host}/api/jobs/${encodeURIComponent(jobId)}`, {
+      method: "POST",
+      headers: { Authorization: authorization },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (e) {
+    // A timeout here is expected: the job keeps running server-side
+    if (e?.name !== "TimeoutError" && e?.name !== "AbortError") {
+      console.warn(`Could not trigger job ${jobId}:`, e?.message || e);
+    }
+  }
+}
+
+// Queue a backfill job with validated PARAMS (see parseBackfillRequest()) and start it -> job id
+export async function startBackfill(req, storage, params) {
+  const progress = await initialProgress(storage, params);
+  const jobId = await enqueueJob(storage, { type: JOB_TYPES.BACKFILL, params, progress });
+  console.log(`Backfill ${jobId} queued for ${progress.total} meeting(s)`);
+  await dispatchJob(req, storage, jobId);
+  return jobId;
+}
+
+// Rechunk the meetings a customer change touched: every chunk's text header names the
+// customer, so the text and embeddings must be rebuilt, not just the columns. Pass a
+// `customerId` (all of its meetings) or `meetingIds`. -> job id, null with no meetings
+export async function queueRechunk(req, storage, { customerId, meetingIds, principal }) {
+  let scope;
+  if (customerId) {
+    scope = { customer_ids: [customerId] };
+  } else {
+    if (!meetingIds?.length) return null;
+    // Scope lists hold at most 100 ids
+    const lists = [];
+    for (let i = 0; i < meetingIds.length; i += 100) lists.push({ meeting_ids: meetingIds.slice(i, i + 100) });
+    scope = lists.length === 1 ? lists[0] : { any: lists };
+  }
+  const params = parseBackfillRequest({ scope }, { principal, embedModel: getEmbeddingModel().id });
+  return startBackfill(req, storage, params);
+}
+
+// Start a freshly queued job. JOBS_INLINE=1 runs it in this invocation instead, which
+// suits tests and a single-process local setup (STORAGE_BACKEND=memory).
+export async function dispatchJob(req, storage, jobId) {
+  if (process.env.JOBS_INLINE === "1") {
+    await runJob(storage, jobId, { req });
+    return;
+  }
+  await triggerJob(req, jobId);
+}
@@ -0,0 +1,316 @@
+import { createHash, randomUUID } from "crypto";
+import { chunkMeeting } from "../rag/chunking.js";
+import { getEmbeddingModel } from "../providers/index.js";
+import { placeholdersFor, redactMeeting, termsConfig, tokenFor } from "../redaction/redaction.js";
+import { extractMeeting, extractionEnabled } from "../insights/insights.js";
+
+// Meeting deletion and "forget" (right to be forgotten). Deleting a meeting removes it
+// from every table keyed by meeting (see storage.deleteMeetings), including conversation
+// turns whose answers cited it. Forgetting a person (email or participant name) or a
+// customer finds every meeting that mentions them and either:
+//
+//   purge       deletes those meetings outright
+//   anonymize   keeps them, but masks every mention, drops the person from the participant
+//               list (or unlinks the customer), deletes the unmasked revision history,
+//               extracted insights and conversation turns, and rechunks + re-embeds from
+//               the masked transcript
+//
+// Placeholders that hash/tokenize redaction left for the person count as mentions, and
+// anonymizing turns them into the plain mask ([EMAIL]). Either way the person's redaction
+// vault entries are deleted, so tokens left anywhere else can no longer be revealed. Every run that changes something writes a receipt
+// to DELETION_RECEIPTS; emails and names appear there only as SHA-256 hashes. Dry runs
+// return the same plan without touching anything.
+
+export const FORGET_MODES = ["purge", "anonymize"];
+
+// Errors the routes turn into 4xx responses
+export class DeletionError extends Error {
+  constructor(code, detail, status = 400) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const list = (value) => {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const parsed = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+const sha256 = (value) => createHash("sha256").update(value.trim().toLowerCase()).digest("hex");
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const wholeWord = (term) => new RegExp(`(?<![\\w])${escape(term)}(?![\\w])`, "i");
+
+// Every string inside a stored field (JSON transcripts included), for whole-word checks
+function textOf(value) {
+  const v = typeof value === "string" ? parsed(value) : value;
+  if (typeof v === "string") return v;
+  if (Array.isArray(v)) return v.map(textOf).join("\n");
+  if (v && typeof v === "object") return Object.values(v).map(textOf).join("\n");
+  return "";
+}
+
+// API shape of a DELETION_RECEIPTS row
+export function formatReceipt(row) {
+  return {
+    receipt_id: row.RECEIPT_ID,
+    action: row.ACTION,
+    mode: row.MODE,
+    criteria: parsed(row.CRITERIA || "{}"),
+    meeting_ids: list(row.MEETING_IDS),
+    counts: parsed(row.COUNTS || "{}"),
+    key_id: row.KEY_ID || null,
+    created_at: row.CREATED_AT ? new Date(row.CREATED_AT).toISOString() : null,
+  };
+}
+
+async function writeReceipt(storage, { action, mode, criteria, meetingIds, counts, principal }) {
+  const row = {
+    RECEIPT_ID: randomUUID(),
+    ACTION: action,
+    MODE: mode,
+    CRITERIA: JSON.stringify(criteria),
+    MEETING_IDS: JSON.stringify(meetingIds),
+    COUNTS: JSON.stringify(counts),
+    KEY_ID: principal.keyId,
+  };
+  await storage.saveDeletionReceipt(row);
+  console.log(`Deletion receipt ${row.RECEIPT_ID}: ${action}/${mode} of ${meetingIds.length} meeting(s) by ${principal.keyId || principal.name}`, counts);
+  return formatReceipt({ ...row, CREATED_AT: new Date().toISOString() });
+}
+
+async function describeMeetings(storage, meetingIds) {
+  const meetings = await Promise.all(meetingIds.map((id) => storage.getMeeting(id)));
+  return meetings.filter(Boolean).map((m) => ({
+    meeting_id: m.MEETING_ID,
+    title: m.TITLE || null,
+    datetime: m.DATETIME ? new Date(m.DATETIME).toISOString() : null,
+    customer_id: m.CUSTOMER_ID || null,
+  }));
+}
+
+/**
+ * Delete one meeting and everything derived from it.
+ * -> { dry_run, meetings, counts, receipt } (no receipt on a dry run).
+ * Throws DeletionError 404 meeting_not_found.
+ */
+export async function deleteMeeting(storage, meetingId, { dryRun = false, principal }) {
+  if (!await storage.getMeeting(meetingId)) throw new DeletionError("meeting_not_found", `No meeting ${meetingId}`, 404);
+  const meetings = await describeMeetings(storage, [meetingId]);
+  if (dryRun) return { dry_run: true, meetings, counts: await storage.meetingFootprint([meetingId]) };
+
+  const counts = await storage.deleteMeetings([meetingId]);
+  const receipt = await writeReceipt(storage, {
+    action: "delete_meeting",
+    mode: "purge",
+    criteria: { meeting_id: meetingId },
+    meetingIds: [meetingId],
+    counts,
+    principal,
+  });
+  return { dry_run: false, meetings, counts, receipt };
+}
+
+// The customer and every customer merged into it
+function withMerged(customers, customerId) {
+  const ids = new Set([customerId]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const c of customers) {
+      if (c.MERGED_INTO && ids.has(c.MERGED_INTO) && !ids.has(c.CUSTOMER_ID)) {
+        ids.add(c.CUSTOMER_ID);
+        grew = true;
+      }
+    }
+  }
+  return [...ids];
+}
+
+// Hash/tokenize placeholders ingest may have left for the forgotten values
+function placeholders(terms) {
+  const secret = process.env.REDACTION_SECRET;
+  if (!secret) return [];
+  return terms.flatMap((t) => ["email", "term"].flatMap((kind) => placeholdersFor(secret, kind, t)));
+}
+
+// Replace placeholders in a stored field (they hold no quotes or backslashes, so stored
+// JSON stays valid) -> [text, replacements]
+function unlinkPlaceholders(text, found) {
+  if (typeof text !== "string") return [text, 0];
+  let n = 0;
+  for (const { placeholder, mask } of found) {
+    const parts = text.split(placeholder);
+    n += parts.length - 1;
+    text = parts.join(mask);
+  }
+  return [text, n];
+}
+
+// What a forget request targets -> { criteria, terms, domains, meetingIds, customerIds, email }
+async function resolveTarget(storage, { email, participant, customer_id }) {
+  const given = [email, participant, customer_id].filter((v) => v != null);
+  if (given.length !== 1) throw new DeletionError("invalid_forget", "Provide exactly one of email, participant or customer_id");
+  if (typeof given[0] !== "string" || !given[0].trim()) {
+    throw new DeletionError("invalid_forget", "email, participant and customer_id must be non-empty strings");
+  }
+
+  const customers = await storage.listCustomers();
+  if (customer_id != null) {
+    if (!customers.some((c) => c.CUSTOMER_ID === customer_id)) {
+      throw new DeletionError("customer_not_found", `No customer ${customer_id}`, 404);
+    }
+    const customerIds = withMerged(customers, customer_id);
+    const rows = customers.filter((c) => customerIds.includes(c.CUSTOMER_ID));
+    const meetingIds = [...new Set((await Promise.all(customerIds.map((id) => storage.listMeetingIdsForCustomer(id)))).flat())].sort();
+    return {
+      criteria: { customer_id },
+      // Names and aliases are masked; participants at the customer's domains are dropped
+      terms: rows.flatMap((c) => [c.NAME, ...list(c.ALIASES)]).filter(Boolean),
+      domains: rows.flatMap((c) => list(c.DOMAINS)),
+      meetingIds,
+      customerIds,
+      email: null,
+    };
+  }
+
+  const value = (email ?? participant).trim();
+  if (email != null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    throw new DeletionError("invalid_forget", "email must be an email address");
+  }
+  // Storage narrows by substring; whole words are checked here ("Ann" isn't "Annual").
+  // Meetings redacted at ingest only hold the value's placeholder.
+  const pattern = wholeWord(value);
+  const found = placeholders([value]);
+  const meetingIds = [];
+  for (const id of await storage.findMeetingIdsMentioning([value, ...found.map((p) => p.placeholder)].map((x) => x.toLowerCase()))) {
+    const m = await storage.getMeeting(id);
+    const fields = [m?.PARTICIPANTS, m?.TITLE, m?.TRANSCRIPT, m?.GRANOLA_SUMMARY].filter(Boolean);
+    if (fields.some((f) => pattern.test(textOf(f)) || found.some((p) => f.includes(p.placeholder)))) meetingIds.push(id);
+  }
+  return {
+    criteria: email != null ? { email_sha256: sha256(value) } : { participant_sha256: sha256(value) },
+    terms: [value],
+    domains: [],
+    meetingIds,
+    customerIds: [],
+    email: email != null ? value.toLowerCase() : null,
+  };
+}
+
+// Vault entries tokenize mode would have written for the forgotten values
+async function vaultTokens(storage, terms) {
+  const secret = process.env.REDACTION_SECRET;
+  if (!secret) return [];
+  const tokens = terms.flatMap((t) => ["email", "term"].map((kind) => tokenFor(secret, kind, t)));
+  return (await storage.getVaultEntries(tokens)).map((r) => r.TOKEN);
+}
+
+async function anonymizeMeeting(storage, meetingId, { target, principal, embedder }) {
+  const m = await storage.getMeeting(meetingId);
+  const found = placeholders(target.terms);
+  const [title, a] = unlinkPlaceholders(m.TITLE, found);
+  const [transcript, b] = unlinkPlaceholders(m.TRANSCRIPT, found);
+  const [summary, c] = unlinkPlaceholders(m.GRANOLA_SUMMARY, found);
+  const { values, total } = await redactMeeting(storage, {
+    meetingId,
+    stage: "forget",
+    values: { title, transcript: parsed(transcript), granola_summary: summary },
+    keyId: principal.keyId,
+    config: termsConfig(target.terms),
+  });
+  const patterns = target.terms.map(wholeWord);
+  const atDomain = (p) => target.domains.some((d) => String(p).toLowerCase().includes(`@${d.toLowerCase()}`));
+  const before = list(m.PARTICIPANTS);
+  const participants = before.filter((p) => !patterns.some((re) => re.test(p)) && !atDomain(p));
+  const unlink = target.customerIds.includes(m.CUSTOMER_ID);
+
+  // History first, so the masked version saved below is the only revision left
+  const history = await storage.deleteMeetingHistory([meetingId]);
+  await storage.saveMeeting({
+    ...m,
+    TITLE: values.title ?? null,
+    // Older rows hold raw text rather than JSON; keep each in its own format
+    TRANSCRIPT: parsed(m.TRANSCRIPT) === m.TRANSCRIPT ? values.transcript : JSON.stringify(values.transcript),
+    GRANOLA_SUMMARY: values.granola_summary ?? null,
+    PARTICIPANTS: JSON.stringify(participants),
+    ...(unlink ? { CUSTOMER: null, CUSTOMER_ID: null } : {}),
+    REVISION: Number(m.REVISION || 1) + 1,
+  });
+  // Locked, so a re-delivery doesn't resolve the forgotten customer again
+  if (unlink) await storage.assignCustomer([meetingId], { customerId: null, locked: true });
+  await chunkMeeting(storage, meetingId, { embedder });
+  // The unmasked insights went with the history; extract them again from the masked chunks
+  if (extractionEnabled()) await extractMeeting(storage, meetingId, { keyId: principal.keyId });
+  return { masked: total + a + b + c, participants_removed: before.length - participants.length, ...history };
+}
+
+/**
+ * Forget a person (`email` or `participant` name) or a customer (`customer_id`) across
+ * all meetings, by `mode` "purge" (default) or "anonymize".
+ * -> { dry_run, mode, meetings, counts, receipt } (no receipt on a dry run).
+ * Throws DeletionError 400 invalid_forget, 404 customer_not_found.
+ */
+export async function forget(storage, { email, participant, customer_id, mode = "purge" }, { dryRun = false, principal, embedder }) {
+  if (!FORGET_MODES.includes(mode)) throw new DeletionError("invalid_forget", `mode must be one of ${FORGET_MODES.join(", ")}`);
+  const target = await resolveTarget(storage, { email, participant, customer_id });
+  const meetings = await describeMeetings(storage, target.meetingIds);
+  const tokens = await vaultTokens(storage, target.terms);
+  const customers = await storage.listCustomers();
+  const owning = target.email ? customers.filter((c) => list(c.OWNER_EMAILS).includes(target.email)) : [];
+
+  if (dryRun) {
+    return {
+      dry_run: true,
+      mode,
+      meetings,
+      counts: {
+        ...await storage.meetingFootprint(target.meetingIds),
+        customers: target.customerIds.length,
+        customer_owners: owning.length,
+        vault_entries: tokens.length,
+      },
+    };
+  }
+
+  const counts = {};
+  const add = (more) => {
+    for (const [k, n] of Object.entries(more)) counts[k] = (counts[k] || 0) + n;
+  };
+  if (mode === "purge") {
+    add(await storage.deleteMeetings(target.meetingIds));
+  } else {
+    embedder = embedder || getEmbeddingModel();
+    for (const id of target.meetingIds) add(await anonymizeMeeting(storage, id, { target, principal, embedder }));
+    add({ meetings_anonymized: target.meetingIds.length });
+  }
+  for (const c of owning) {
+    await storage.saveCustomer({ ...c, OWNER_EMAILS: JSON.stringify(list(c.OWNER_EMAILS).filter((e) => e !== target.email)) });
+  }
+  add({ customer_owners: owning.length });
+  add(await storage.deleteCustomers(target.customerIds));
+  add({ vault_entries: await storage.deleteVaultEntries(tokens) });
+
+  const receipt = await writeReceipt(storage, {
+    action: "forget",
+    mode,
+    criteria: target.criteria,
+    meetingIds: target.meetingIds,
+    counts,
+    principal,
+  });
+  return { dry_run: false, mode, meetings, counts, receipt };
+}
@@ -0,0 +1,215 @@
+import { andScope, validateScope } from "../rag/filters.js";
+import { accessFilter } from "../auth/access.js";
+
+// Browsing stored meetings (GET /api/meetings, GET /api/meetings/:id). Listing filters
+// are turned into a scope filter (../rag/filters.js), which the storage adapters apply to
+// a per-meeting view with the same columns as CHUNKS, so the caller's access policy
+// (../auth/access.js) narrows listings exactly as it narrows retrieval.
+//
+// Pages are keyset-paginated: the cursor holds the sort, the last row's sort key and its
+// meeting id, so pages stay stable while meetings are ingested.
+
+export const SORTS = ["datetime", "created_at", "updated_at", "title"];
+export const CHUNK_STATUSES = ["none", "pending", "embedded"];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Errors the routes turn into 4xx responses
+export class MeetingError extends Error {
+  constructor(code, detail, status = 400) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const list = (value) => {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const iso = (value) => (value ? new Date(value).toISOString() : null);
+
+// "none": not chunked yet; "pending": chunked, embeddings missing; "embedded": searchable
+export function chunkStatus(chunkCount, embeddedCount) {
+  if (!Number(chunkCount)) return "none";
+  return Number(embeddedCount) < Number(chunkCount) ? "pending" : "embedded";
+}
+
+export function encodeCursor({ sort, order, key, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, k: key, i: id })).toString("base64url");
+}
+
+function decodeCursor(cursor, { sort, order }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed.i !== "string" || typeof parsed.k !== "string") {
+    throw new MeetingError("invalid_cursor", "cursor is not one returned by this endpoint");
+  }
+  if (parsed.s !== sort || parsed.o !== order) {
+    throw new MeetingError("invalid_cursor", "cursor belongs to a different sort; repeat the sort and order of the first page");
+  }
+  return { key: parsed.k, id: parsed.i };
+}
+
+const one = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Query parameters with repeated values collapsed and empty ones dropped
+export function queryParams(query = {}) {
+  return Object.fromEntries(Object.entries(query).map(([k, v]) => [k, one(v)]).filter(([, v]) => v != null && v !== ""));
+}
+
+/**
+ * The meeting filters shared by the browsing routes:
+ *   customer_id, customer (name substring), from, to (YYYY-MM-DD), participant (email),
+ *   tag, q (title substring)
+ * -> a validated scope filter, or undefined. Throws MeetingError 400 invalid_filter.
+ */
+export function filterScope(q) {
+  const raw = {};
+  if (q.customer_id) raw.customer_ids = [q.customer_id];
+  if (q.customer) raw.customer = q.customer;
+  if (q.from || q.to) raw.date = { ...(q.from ? { from: q.from } : {}), ...(q.to ? { to: q.to } : {}) };
+  if (q.participant) raw.participants = [q.participant];
+  if (q.tag) raw.tags = [q.tag];
+  if (q.q) raw.meeting = q.q;
+  try {
+    return validateScope(raw);
+  } catch (e) {
+    throw new MeetingError("invalid_filter", e.message.replace(/\bscope\./g, ""));
+  }
+}
+
+/**
+ * Parse GET /api/meetings query parameters: the filterScope() filters plus
+ *   chunk_status, sort, order, limit, cursor
+ * -> { scope, chunkStatus, sort, order, after, limit }. Throws MeetingError 400.
+ */
+export function parseListQuery(query = {}) {
+  const q = queryParams(query);
+  const scope = filterScope(q);
+
+  if (q.chunk_status && !CHUNK_STATUSES.includes(q.chunk_status)) {
+    throw new MeetingError("invalid_filter", `chunk_status must be one of ${CHUNK_STATUSES.join(", ")}`);
+  }
+  const sort = q.sort || "datetime";
+  if (!SORTS.includes(sort)) throw new MeetingError("invalid_filter", `sort must be one of ${SORTS.join(", ")}`);
+  const order = q.order || (sort === "title" ? "asc" : "desc");
+  if (order !== "asc" && order !== "desc") throw new MeetingError("invalid_filter", 'order must be "asc" or "desc"');
+
+  const limit = q.limit == null ? DEFAULT_LIMIT : Number(q.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new MeetingError("invalid_filter", `limit must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  return {
+    scope,
+    chunkStatus: q.chunk_status || null,
+    sort,
+    order,
+    after: q.cursor ? decodeCursor(q.cursor, { sort, order }) : null,
+    limit,
+  };
+}
+
+// API shape of a listMeetings() row
+export function formatMeetingSummary(row) {
+  return {
+    meeting_id: row.MEETING_ID,
+    title: row.TITLE || null,
+    datetime: iso(row.DATETIME),
+    customer_id: row.CUSTOMER_ID || null,
+    customer: row.CUSTOMER || null,
+    participants: list(row.PARTICIPANTS),
+    tags: list(row.TAGS),
+    note_url: row.NOTE_URL || null,
+    revision: Number(row.REVISION || 1),
+    chunk_count: Number(row.CHUNK_COUNT || 0),
+    embedded_count: Number(row.EMBEDDED_COUNT || 0),
+    chunk_status: chunkStatus(row.CHUNK_COUNT, row.EMBEDDED_COUNT),
+    created_at: iso(row.CREATED_AT),
+    updated_at: iso(row.UPDATED_AT),
+  };
+}
+
+/**
+ * One page of the meetings the caller may see.
+ * -> { meetings, next_cursor } (next_cursor is null on the last page)
+ */
+export async function listMeetings(storage, principal, query) {
+  const { scope, chunkStatus: status, sort, order, after, limit } = parseListQuery(query);
+  const rows = await storage.listMeetings({
+    scope: andScope(scope, await accessFilter(storage, principal)),
+    chunkStatus: status,
+    sort,
+    order,
+    after,
+    limit: limit + 1,
+  });
+  const page = rows.slice(0, limit);
+  const last = page.at(-1);
+  return {
+    meetings: page.map(formatMeetingSummary),
+    next_cursor: rows.length > limit ? encodeCursor({ sort, order, key: last.SORT_KEY, id: last.MEETING_ID }) : null,
+  };
+}
+
+const parsed = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * The listMeetings() row of a meeting the caller may see.
+ * Throws MeetingError 404 meeting_not_found (also for meetings outside the caller's access).
+ */
+export async function findVisibleMeeting(storage, principal, meetingId) {
+  const [row] = await storage.listMeetings({
+    scope: andScope({ meeting_ids: [meetingId] }, await accessFilter(storage, principal)),
+    sort: "datetime",
+    order: "desc",
+    limit: 1,
+  });
+  if (!row) throw new MeetingError("meeting_not_found", `No meeting ${meetingId}`, 404);
+  return row;
+}
+
+// A meeting with its summary, transcript and chunks, if the caller may see it
+export async function getMeetingDetail(storage, principal, meetingId) {
+  const row = await findVisibleMeeting(storage, principal, meetingId);
+  const meeting = await storage.getMeeting(meetingId);
+  if (!meeting) throw new MeetingError("meeting_not_found", `No meeting ${meetingId}`, 404);
+
+  const chunks = await storage.listChunks(meetingId);
+  return {
+    ...formatMeetingSummary(row),
+    granola_summary: meeting.GRANOLA_SUMMARY || null,
+    transcript: parsed(meeting.TRANSCRIPT) ?? null,
+    content_hash: meeting.CONTENT_HASH || null,
+    chunks: chunks.map((c) => ({
+      chunk_id: c.CHUNK_ID,
+      idx: Number(c.IDX),
+      section_title: c.SECTION_TITLE || null,
+      speakers: list(c.SPEAKERS),
+      start_sec: c.START_SEC ?? null,
+      end_sec: c.END_SEC ?? null,
+      token_count: c.TOKEN_COUNT == null ? null : Number(c.TOKEN_COUNT),
+      embed_model: c.EMBED_MODEL || null,
+      chunker_version: c.CHUNKER_VERSION || null,
+      embedded: Boolean(c.EMBEDDED),
+      text: c.TEXT,
+    })),
+  };
+}
@@ -0,0 +1,107 @@
+import {
+  BedrockRuntimeClient,
+  ConverseCommand,
+  ConverseStreamCommand,
+  InvokeModelCommand,
+} from "@aws-sdk/client-bedrock-runtime";
+
+let client = null;
+
+// One client per warm instance, created on first use so that importing a route
+// doesn't require AWS credentials when another provider is configured
+export function getBedrockClient() {
+  if (client) return client;
+
+  const { AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION } = process.env;
+  if (!AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY) {
+    throw new Error('Missing AWS credentials: AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY are required');
+  }
+  client = new BedrockRuntimeClient({
+    region: AWS_REGION || 'us-east-1',
+    credentials: {
+      accessKeyId: AWS_ACCESS_KEY_ID,
+      secretAccessKey: AWS_SECRET_ACCESS_KEY,
+    },
+    maxAttempts: 1, // Reduce retries for faster error detection
+  });
+  return client;
+}
+
+// Converse API chat model, e.g. bedrock:amazon.nova-pro-v1:0
+export function createBedrockChat(modelId) {
+  return {
+    id: `bedrock:${modelId}`,
+    async chat({ system, messages, maxTokens = 800, temperature = 0.2, topP = 0.9 }) {
+      const response = await getBedrockClient().send(new ConverseCommand({
+        modelId,
+        system: system ? [{ text: system }] : undefined,
+        messages: messages.map((m) => ({ role: m.role, content: [{ text: m.content }] })),
+        inferenceConfig: { maxTokens, temperature, topP },
+      }));
+      return {
+        text: response?.output?.message?.content?.[0]?.text || "",
+        model: `bedrock:${modelId}`,
+        usage: response?.usage || null,
+      };
+    },
+
+    // ConverseStream: yields { type: "delta", text } events, then { type: "done", model, usage }
+    async *chatStream({ system, messages, maxTokens = 800, temperature = 0.2, topP = 0.9 }) {
+      const response = await getBedrockClient().send(new ConverseStreamCommand({
+        modelId,
+        system: system ? [{ text: system }] : undefined,
+        messages: messages.map((m) => ({ role: m.role, content: [{ text: m.content }] })),
+        inferenceConfig: { maxTokens, temperature, topP },
+      }));
+      let usage = null;
+      for await (const event of response.stream) {
+        const text = event.contentBlockDelta?.delta?.text;
+        if (text) yield { type: "delta", text };
+        if (event.metadata?.usage) usage = event.metadata.usage;
+      }
+      yield { type: "done", model: `bedrock:${modelId}`, usage };
+    },
+  };
+}
+
+// Titan text embeddings, e.g. bedrock:amazon.titan-embed-text-v2:0 (1024 dims by default,
+// matching the CHUNKS.EMBED_1024 column)
+export function createBedrockEmbedder(modelId, { dim = 1024 } = {}) {
+  return {
+    id: `bedrock:${modelId}`,
+    dim,
+    async embed(texts) {
+      const out = [];
+      for (const inputText of texts) {
+        const response = await getBedrockClient().send(new InvokeModelCommand({
+          modelId,
+          contentType: "application/json",
+          accept: "application/json",
+          body: JSON.stringify({ inputText, dimensions: dim, normalize: true }),
+        }));
+        out.push(JSON.parse(new TextDecoder().decode(response.body)).embedding);
+      }
+      return out;
+    },
+  };
+}
+
+// Rerank model through InvokeModel, e.g. bedrock:cohere.rerank-v3-5:0. Returns one
+// relevance score per text, in input order.
+export function createBedrockReranker(modelId) {
+  return {
+    id: `bedrock:${modelId}`,
+    async rerank(query, texts) {
+      const response = await getBedrockClient().send(new InvokeModelCommand({
+        modelId,
+        contentType: "application/json",
+        accept: "application/json",
+        body: JSON.stringify({ query, documents: texts, top_n: texts.length, api_version: 2 }),
+      }));
+      const { results = [] } = JSON.parse(new TextDecoder().decode(response.body));
+      const scores = texts.map(() => 0);
+      for (const r of results) scores[r.index] = r.relevance_score;
+      return scores;
+    },
+  };
+}
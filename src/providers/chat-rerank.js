@@ -0,0 +1,28 @@
+// LLM reranker: asks a chat model to grade each passage, e.g. chat:bedrock:amazon.nova-pro-v1:0.
+// Slower and costlier than a dedicated rerank model, but works with any chat provider.
+
+const SYSTEM = `
+You grade how well passages from meeting notes answer a question.
+Score each passage from 0 (irrelevant) to 10 (directly answers it).
+Reply with a JSON array of numbers only, one per passage, in passage order.
+`.trim();
+
+export function createChatReranker(chatModel) {
+  return {
+    id: `chat:${chatModel.id}`,
+    async rerank(query, texts) {
+      const passages = texts.map((t, i) => `[${i + 1}] ${String(t).slice(0, 1200)}`).join("\n\n");
+      const { text } = await chatModel.chat({
+        system: SYSTEM,
+        messages: [{ role: "user", content: `Question: ${query}\n\nPassages:\n${passages}\n\nScores:` }],
+        maxTokens: 20 + texts.length * 6,
+        temperature: 0,
+      });
+      const scores = JSON.parse(String(text).match(/\[[^\]]*\]/)?.[0] || "null");
+      if (!Array.isArray(scores) || scores.length !== texts.length) {
+        throw new Error(`${chatModel.id} returned unusable rerank scores: ${String(text).slice(0, 200)}`);
+      }
+      return scores.map((s) => Number(s) / 10 || 0);
+    },
+  };
+}
@@ -0,0 +1,91 @@
+import { hashEmbed, HASH_EMBED_DIM } from "../rag/hash-embed.js";
+import { queryTerms, tokenize } from "../rag/lexical.js";
+
+// Deterministic providers for tests and offline runs. No network, same output every time.
+
+// A context chunk's text without the "[Meeting: ...]" header the chunker puts on it
+const chunkText = (c) => String(c.text || "").replace(/^\[Meeting:[^\n]*\n/, "");
+
+// A chunk's opening: its first non-blank line, at most 200 characters
+const gist = (c) => (chunkText(c).split("\n").find((l) => l.trim()) || "").trim().slice(0, 200);
+
+// The first sentence of a chunk's opening
+const firstSentence = (c) => gist(c).split(/(?<=[.!?])\s+/)[0];
+
+// One `shape` object filled from one chunk: "sources" cites it, "text" quotes it and
+// every other field is left null
+function fill(shape, chunk) {
+  return Object.fromEntries(Object.keys(shape || {}).map((field) => [
+    field,
+    field === "sources" ? [chunk.id] : field === "text" ? firstSentence(chunk) : null,
+  ]));
+}
+
+// A `json` reply shape filled from the context: one item per chunk in every list, and
+// single objects from the first chunk. Which chunk belongs in which list is the real
+// model's job; the fake only keeps the shape and the citations valid.
+function fakeJson(shape, context) {
+  return JSON.stringify(Object.fromEntries(Object.entries(shape).map(([key, example]) => [
+    key,
+    Array.isArray(example)
+      ? context.map((c) => fill(example[0], c))
+      : context.length ? fill(example, context[0]) : null,
+  ])));
+}
+
+// fake:<anything> chat model. It answers from the `context` chunks it is given, never from
+// the prompt wording: with a `json` reply shape it fills that shape from the chunks (see
+// fakeJson()), otherwise it answers with the opening of the first chunk, cited inline,
+// and lists every CHUNK_ID it was shown in the "Sources: a, b" form the ask prompt asks
+// for. Follow-up rewrite prompts, which come with no context, get the follow-up back
+// unchanged.
+export function createFakeChat(model = "echo") {
+  return {
+    id: `fake:${model}`,
+    async chat({ messages, context = [], json }) {
+      const reply = (text) => ({ text, model: `fake:${model}`, usage: { inputTokens: 0, outputTokens: 0 } });
+      if (json) return reply(fakeJson(json, context));
+      if (!context.length) {
+        const followUp = messages.at(-1)?.content.match(/^Follow-up question: (.*)$/m);
+        if (followUp) return reply(followUp[1]);
+        return reply("I couldn't find anything relevant to your question.");
+      }
+      const [first] = context;
+      // Every sentence carries a marker, as the ask prompt asks of real models
+      const cited = gist(first).split(/(?<=[.!?])\s+/).map((s) => `${s} [${first.id}]`).join(" ");
+      return reply(`According to the notes: ${cited}\n\nSources: ${context.map((c) => c.id).join(", ")}`);
+    },
+
+    // Streams the chat() answer word by word
+    async *chatStream(opts) {
+      const { text, model: served, usage } = await this.chat(opts);
+      for (const piece of text.match(/\S+\s*/g) || []) yield { type: "delta", text: piece };
+      yield { type: "done", model: served, usage };
+    },
+  };
+}
+
+// fake:hash embedding model: hashed bag-of-words vectors (see ../rag/hash-embed.js)
+export function createFakeEmbedder(model = "hash") {
+  return {
+    id: `fake:${model}`,
+    dim: HASH_EMBED_DIM,
+    async embed(texts) {
+      return texts.map((t) => hashEmbed(t));
+    },
+  };
+}
+
+// fake:overlap reranker: share of the query's terms that appear in each text
+export function createFakeReranker(model = "overlap") {
+  return {
+    id: `fake:${model}`,
+    async rerank(query, texts) {
+      const terms = queryTerms(query);
+      return texts.map((t) => {
+        const words = new Set(tokenize(t));
+        return terms.length ? terms.filter((w) => words.has(w)).length / terms.length : 0;
+      });
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import { createBedrockChat, createBedrockEmbedder, createBedrockReranker } from "./bedrock.js";
+import { createOpenAIChat, createOpenAIEmbedder } from "./openai.js";
+import { createCortexEmbedder } from "./snowflake.js";
+import { createFakeChat, createFakeEmbedder, createFakeReranker } from "./fake.js";
+import { createChatReranker } from "./chat-rerank.js";
+
+/**
+ * Chat, embedding and rerank model registry. Models are named "<provider>:<model>", e.g.
+ *   bedrock:amazon.nova-pro-v1:0      openai:llama3.1      fake:echo
+ *   snowflake:snowflake-arctic-embed-l-v2.0   bedrock:amazon.titan-embed-text-v2:0   fake:hash
+ *   bedrock:cohere.rerank-v3-5:0      chat:<any chat model name>      fake:overlap
+ *
+ * Defaults come from CHAT_MODEL / EMBED_MODEL / RERANK_MODEL; routes may pass a
+ * per-request name. Reranking is off unless a rerank model is named.
+ *
+ * Chat providers:      { id, chat({ system, messages: [{ role, content }], maxTokens, temperature, topP,
+ *                                 context?, json? }) -> { text, model, usage },
+ *                        chatStream(same options) -> async iterable of
+ *                          { type: "delta", text } ... { type: "done", model, usage } }
+ *                        `context` lists the chunks the prompt quotes ([{ id, text }]) and `json`
+ *                        is the reply shape a JSON prompt asks for. Real models read both from
+ *                        the prompt and ignore these; the fake answers from them alone.
+ * Embedding providers: { id, dim, embed(texts) -> number[][] }  (Cortex models also set `cortexModel`)
+ * Rerank providers:    { id, rerank(query, texts) -> number[] }  (one score per text, higher is better)
+ */
+const chatProviders = {
+  bedrock: createBedrockChat,
+  openai: createOpenAIChat,
+  fake: createFakeChat,
+};
+
+const embeddingProviders = {
+  snowflake: createCortexEmbedder,
+  bedrock: createBedrockEmbedder,
+  openai: createOpenAIEmbedder,
+  fake: createFakeEmbedder,
+};
+
+const rerankProviders = {
+  bedrock: createBedrockReranker,
+  chat: (model) => createChatReranker(getChatModel(model)),
+  fake: createFakeReranker,
+};
+
+const registries = { chat: chatProviders, embedding: embeddingProviders, rerank: rerankProviders };
+
+export const DEFAULT_CHAT_MODEL = "bedrock:amazon.nova-pro-v1:0";
+export const CORTEX_EMBED_MODEL = "snowflake:snowflake-arctic-embed-l-v2.0";
+
+// The local backend can't run Cortex, so it defaults to the offline embedder
+function defaultEmbedModel() {
+  if (process.env.EMBED_MODEL) return process.env.EMBED_MODEL;
+  return (process.env.STORAGE_BACKEND || "snowflake") === "snowflake" ? CORTEX_EMBED_MODEL : "fake:hash";
+}
+
+// Split on the first ":" only; Bedrock model ids contain colons themselves
+function parseModelName(name) {
+  const i = String(name).indexOf(":");
+  if (i <= 0 || i === name.length - 1) {
+    throw new Error(`Invalid model "${name}". Expected "<provider>:<model>"`);
+  }
+  return [name.slice(0, i), name.slice(i + 1)];
+}
+
+// Instances by "<kind>|<name>". Request bodies may name any model of a known provider, so
+// the cache holds the CACHE_SIZE most recently used and drops the oldest past that.
+const CACHE_SIZE = 32;
+const cache = new Map();
+
+function resolve(registry, kind, name) {
+  const key = `${kind}|${name}`;
+  if (cache.has(key)) {
+    const instance = cache.get(key);
+    cache.delete(key);
+    cache.set(key, instance);
+    return instance;
+  }
+
+  const [provider, model] = parseModelName(name);
+  const create = registry[provider];
+  if (!create) {
+    throw new Error(`Unknown ${kind} provider "${provider}". Expected one of: ${Object.keys(registry).join(", ")}`);
+  }
+  const instance = create(model);
+  cache.set(key, instance);
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  return instance;
+}
+
+export function getChatModel(name) {
+  return resolve(chatProviders, "chat", name || process.env.CHAT_MODEL || DEFAULT_CHAT_MODEL);
+}
+
+export function getEmbeddingModel(name) {
+  return resolve(embeddingProviders, "embedding", name || defaultEmbedModel());
+}
+
+// null when no rerank model is named here or in RERANK_MODEL
+export function getReranker(name) {
+  const model = name || process.env.RERANK_MODEL;
+  return model ? resolve(rerankProviders, "rerank", model) : null;
+}
+
+// Add a provider at runtime (e.g. a test double): kind is "chat", "embedding" or "rerank"
+export function registerProvider(kind, provider, factory) {
+  const registry = registries[kind];
+  if (!registry) throw new Error(`Unknown provider kind "${kind}"`);
+  registry[provider] = factory;
+  for (const key of cache.keys()) {
+    if (key.startsWith(`${kind}|${provider}:`)) cache.delete(key);
+  }
+}
@@ -0,0 +1,96 @@
+// OpenAI-compatible HTTP endpoints: OpenAI itself, or local Ollama / llama.cpp / vLLM
+// servers. OPENAI_BASE_URL defaults to Ollama's endpoint; OPENAI_API_KEY is optional.
+
+function endpoint(path) {
+  const base = (process.env.OPENAI_BASE_URL || "http://localhost:11434/v1").replace(/\/+$/, "");
+  return `${base}${path}`;
+}
+
+async function send(path, body) {
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+  const res = await fetch(endpoint(path), { method: "POST", headers, body: JSON.stringify(body) });
+  if (!res.ok) {
+    const detail = await res.text().catch(() => "");
+    throw new Error(`OpenAI-compatible ${path} failed (${res.status}): ${detail.slice(0, 300)}`);
+  }
+  return res;
+}
+
+async function post(path, body) {
+  return (await send(path, body)).json();
+}
+
+// Parse a `stream: true` response body into its JSON `data:` payloads
+async function* readEventStream(res) {
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const bytes of res.body) {
+    buf += decoder.decode(bytes, { stream: true });
+    const lines = buf.split("\n");
+    buf = lines.pop();
+    for (const line of lines) {
+      const data = line.startsWith("data:") ? line.slice(5).trim() : "";
+      if (!data) continue;
+      if (data === "[DONE]") return;
+      yield JSON.parse(data);
+    }
+  }
+}
+
+// Chat completions model, e.g. openai:llama3.1 or openai:gpt-4o-mini
+export function createOpenAIChat(model) {
+  return {
+    id: `openai:${model}`,
+    async chat({ system, messages, maxTokens = 800, temperature = 0.2, topP = 0.9 }) {
+      const data = await post("/chat/completions", {
+        model,
+        messages: [...(system ? [{ role: "system", content: system }] : []), ...messages],
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP,
+      });
+      return {
+        text: data?.choices?.[0]?.message?.content || "",
+        model: `openai:${data?.model || model}`,
+        usage: data?.usage || null,
+      };
+    },
+
+    // Streaming chat: yields { type: "delta", text } events, then { type: "done", model, usage }
+    async *chatStream({ system, messages, maxTokens = 800, temperature = 0.2, topP = 0.9 }) {
+      const res = await send("/chat/completions", {
+        model,
+        messages: [...(system ? [{ role: "system", content: system }] : []), ...messages],
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP,
+        stream: true,
+      });
+      let served = model;
+      let usage = null;
+      for await (const data of readEventStream(res)) {
+        if (data.model) served = data.model;
+        if (data.usage) usage = data.usage;
+        const text = data?.choices?.[0]?.delta?.content;
+        if (text) yield { type: "delta", text };
+      }
+      yield { type: "done", model: `openai:${served}`, usage };
+    },
+  };
+}
+
+// Embeddings model, e.g. openai:nomic-embed-text. Set OPENAI_EMBED_DIMENSIONS=1024 for
+// models that support it when storing into Snowflake's fixed-width EMBED_1024 column.
+export function createOpenAIEmbedder(model) {
+  const dim = process.env.OPENAI_EMBED_DIMENSIONS ? Number(process.env.OPENAI_EMBED_DIMENSIONS) : null;
+  return {
+    id: `openai:${model}`,
+    dim,
+    async embed(texts) {
+      const data = await post("/embeddings", { model, input: texts, ...(dim ? { dimensions: dim } : {}) });
+      return [...data.data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    },
+  };
+}
@@ -0,0 +1,14 @@
+// Snowflake Cortex embeddings, e.g. snowflake:snowflake-arctic-embed-l-v2.0. Vectors are
+// computed inside Snowflake with AI_EMBED, so only the Snowflake storage backend can use
+// this provider: it reads `cortexModel` and embeds in SQL rather than calling embed().
+export function createCortexEmbedder(model) {
+  if (!/^[\w.-]+$/.test(model)) throw new Error(`Invalid Cortex model name: ${model}`);
+  return {
+    id: `snowflake:${model}`,
+    dim: 1024,
+    cortexModel: model,
+    async embed() {
+      throw new Error(`snowflake:${model} embeddings run in Snowflake; use STORAGE_BACKEND=snowflake`);
+    },
+  };
+}
@@ -0,0 +1,199 @@
+import { v4 as uuidv4 } from "uuid";
+import { createHash } from "crypto";
+import { getEmbeddingModel } from "../providers/index.js";
+import { parseTranscript, isStructured, chunkByTurns, estimateTokens, formatTimestamp } from "./transcript.js";
+import { canonicalName, participantEmails, UNKNOWN_CUSTOMER } from "../customers/customers.js";
+import { redactMeeting } from "../redaction/redaction.js";
+
+// Recorded on every chunk. Bump it when chunkTranscript() or the chunk header changes,
+// so a backfill can find meetings chunked by an older version (see ../jobs/backfill.js).
+// 2: the header no longer carries the chunk's position ("| t=<idx>"), so a chunk's
+// CONTENT_HASH survives text inserted before it
+// 3: the sentence chunker keeps whole sentences instead of cutting chunks at 4 characters
+// per token, which dropped text from long unstructured transcripts
+export const CHUNKER_VERSION = "3";
+
+// ---- sentence chunker, used for transcripts without speaker labels or timestamps ----
+export function chunkBySentences(text, targetTokens = 1000, overlapTokens = 150) {
+  const src = String(text || "").replace(/\r/g, "\n");
+  
+  // Split on sentence boundaries, speaker changes, and natural breaks
+  const sentences = src.split(/(?<=[\.\!\?])\s+(?=[A-Z0-9"'(])/g);
+  const chunks = [];
+  let buf = []; // whole sentences, so every sentence lands in a chunk
+  let bufTokens = 0;
+  let fresh = 0; // sentences added since the last chunk (overlap sentences don't count)
+  let sectionId = 1;
+
+  const push = () => {
+    const text = buf.join(" ");
+    // Section title from the first sentence
+    const firstSentence = text.split(/[.!?]/)[0].trim();
+    chunks.push({
+      text,
+      sectionId,
+      sectionTitle: firstSentence.length > 50 ? firstSentence.substring(0, 50) + "..." : firstSentence,
+      tokenCount: estimateTokens(text)
+    });
+  };
+
+  for (const s of sentences) {
+    const piece = s?.trim();
+    if (!piece) continue;
+    buf.push(piece);
+    bufTokens += estimateTokens(piece);
+    fresh++;
+    if (bufTokens < targetTokens) continue;
+    push();
+
+    // Carry whole trailing sentences forward as overlap
+    const carry = [];
+    let carried = 0;
+    for (let i = buf.length - 1; i >= 0; i--) {
+      const t = estimateTokens(buf[i]);
+      if (carried + t > overlapTokens) break;
+      carry.unshift(buf[i]);
+      carried += t;
+    }
+    buf = carry;
+    bufTokens = carried;
+    fresh = 0;
+    sectionId++;
+  }
+
+  // The rest, unless it is only overlap the previous chunk already holds
+  if (fresh) push();
+  
+  return chunks;
+}
+
+// Pick the chunker for a stored transcript: speaker/timestamp-aware when the transcript
+// has that structure, sentence-based otherwise
+export function chunkTranscript(stored, targetTokens = 1000, overlapTokens = 150) {
+  const turns = parseTranscript(stored);
+  if (isStructured(turns)) return chunkByTurns(turns, targetTokens, overlapTokens);
+  return chunkBySentences(turns.map((t) => t.text).join("\n"), targetTokens, overlapTokens);
+}
+
+// ---- data access ----
+export async function fetchTranscript(storage, meetingId) {
+  const meeting = await storage.getMeeting(meetingId);
+  if (!meeting) throw new Error("meeting_not_found");
+  return meeting.TRANSCRIPT; // stored as TEXT column
+}
+
+// Diff `chunks` against the meeting's stored chunks by CONTENT_HASH: a chunk whose headed
+// text is unchanged keeps its CHUNK_ID and embedding, new or changed ones are inserted and
+// embedded, and chunks no longer produced are removed.
+// -> { chunks, kept, added, removed, embedded }
+export async function insertChunks(storage, meetingId, chunks, { embedder = getEmbeddingModel() } = {}) {
+  // Get meeting metadata for headers
+  const meeting = await storage.getMeeting(meetingId);
+  
+  if (!meeting) {
+    throw new Error("meeting_not_found");
+  }
+  
+  const meetingTitle = meeting.TITLE || "Unknown Meeting";
+  const meetingDate = meeting.DATETIME ? new Date(meeting.DATETIME).toISOString().split('T')[0] : "Unknown Date";
+  
+  // Customer display name: the resolved CUSTOMERS row, else a cleaned-up raw value. A
+  // meeting locked without a customer (an admin cleared it) shows no raw value.
+  const resolved = meeting.CUSTOMER_ID ? await storage.getCustomer(meeting.CUSTOMER_ID) : null;
+  const raw = meeting.CUSTOMER_LOCKED && !meeting.CUSTOMER_ID ? null : meeting.CUSTOMER;
+  const customer = resolved?.NAME
+    || (raw && raw !== UNKNOWN_CUSTOMER && canonicalName(raw))
+    || UNKNOWN_CUSTOMER;
+  
+  console.log(`Customer "${customer}" (${meeting.CUSTOMER_ID || "unresolved"}) from raw value: "${meeting.CUSTOMER}"`);
+
+  // Copied onto every chunk for scope filters (see ./filters.js)
+  const filterColumns = {
+    CUSTOMER_ID: meeting.CUSTOMER_ID || null,
+    TAGS: meeting.TAGS || null,
+    PARTICIPANT_EMAILS: JSON.stringify(participantEmails(meeting.PARTICIPANTS)),
+  };
+
+  // Stored chunks by hash, each reusable once
+  const stored = await storage.listChunks(meetingId);
+  const existing = new Map();
+  for (const c of stored) {
+    if (c.CONTENT_HASH && !existing.has(c.CONTENT_HASH)) existing.set(c.CONTENT_HASH, c);
+  }
+
+  const rows = [];
+  const seenHashes = new Set();
+  let kept = 0;
+  let embedded = 0;
+  for (const chunk of chunks) {
+    const idx = rows.length;
+    // Create header for the chunk
+    const speakers = chunk.speakers || [];
+    const span = chunk.startSec != null ? ` | Time: ${formatTimestamp(chunk.startSec)}-${formatTimestamp(chunk.endSec ?? chunk.startSec)}` : "";
+    const who = speakers.length ? ` | Speakers: ${speakers.join(", ")}` : "";
+    const header = `[Meeting: ${meetingTitle} | Customer: ${customer} | Date: ${meetingDate} | Section: ${chunk.sectionTitle}${who}${span}]`;
+    const headerizedText = `${header}\n${chunk.text}`;
+    
+    // Generate content hash for deduplication
+    const contentHash = createHash('sha1').update(headerizedText).digest('hex');
+    
+    if (seenHashes.has(contentHash)) {
+      console.log(`Skipping duplicate chunk for meeting ${meetingId}, section ${chunk.sectionId}`);
+      continue;
+    }
+    seenHashes.add(contentHash);
+
+    const previous = existing.get(contentHash);
+    existing.delete(contentHash);
+    if (previous) kept++;
+    if (!previous?.EMBEDDED || previous.EMBED_MODEL !== embedder.id) embedded++;
+
+    rows.push({
+      CHUNK_ID: previous?.CHUNK_ID || uuidv4(), MEETING_ID: meetingId, IDX: idx, TEXT: headerizedText,
+      MEETING_TITLE: meetingTitle, MEETING_DATE: meetingDate, CUSTOMER: customer,
+      SECTION_ID: chunk.sectionId, SECTION_TITLE: chunk.sectionTitle, TOKEN_COUNT: chunk.tokenCount, CONTENT_HASH: contentHash,
+      SPEAKERS: JSON.stringify(speakers), START_SEC: chunk.startSec ?? null, END_SEC: chunk.endSec ?? null,
+      CHUNKER_VERSION,
+      ...filterColumns,
+    });
+  }
+
+  // Kept chunks are updated in place (IDX and filter columns may have moved), the rest replaced
+  await storage.syncChunks(meetingId, rows);
+
+  // Embed new chunks, and kept ones embedded by another model
+  if (embedded > 0) {
+    await storage.embedChunks(meetingId, embedder);
+  }
+
+  return { chunks: rows.length, kept, added: rows.length - kept, removed: stored.length - kept, embedded };
+}
+
+// ---- pipeline entry point ----
+// Chunk and embed one stored meeting; shared by /api/rechunk and ingest-triggered jobs
+export async function chunkMeeting(storage, meetingId, { embedder = getEmbeddingModel() } = {}) {
+  const t = await fetchTranscript(storage, meetingId);
+  if (!t || !String(t).trim()) {
+    // A transcript emptied by a later revision leaves nothing to retrieve: drop the chunks
+    // (and keyword index) cut from the earlier one
+    const removed = (await storage.listChunks(meetingId)).length;
+    if (removed) await storage.syncChunks(meetingId, []);
+    return { meeting_id: meetingId, chunks: 0, removed, skipped: "empty_transcript" };
+  }
+
+  // Redact again before anything is chunked or embedded: covers meetings stored before
+  // redaction was enabled and detectors added since. Parsed first, so JSON escapes
+  // can't end up inside a match.
+  let stored = String(t);
+  try {
+    stored = JSON.parse(stored);
+  } catch {
+    // Not JSON: older rows hold raw text
+  }
+  const { values } = await redactMeeting(storage, { meetingId, stage: "chunk", values: { transcript: stored } });
+
+  // Target 800-1200 tokens with 100-200 token overlap, keeping speaker turns together
+  const chunks = chunkTranscript(values.transcript, 1000, 150);
+  const counts = await insertChunks(storage, meetingId, chunks, { embedder });
+  return { meeting_id: meetingId, ...counts, embed_model: embedder.id, chunker_version: CHUNKER_VERSION };
+}
@@ -0,0 +1,114 @@
+import { queryTerms, tokenize } from "./lexical.js";
+
+// The ask prompt tells the model to end with `Sources: <CHUNK_ID>, <CHUNK_ID>`.
+// Pull those IDs back out, keeping only chunks that were actually in the context.
+export function parseCitations(answer, chunks) {
+  const byId = new Map(chunks.map((c) => [c.id, c]));
+  const ids = sourcesLineIds(answer);
+
+  return ids
+    .filter((id) => byId.has(id))
+    .map((id) => {
+      const c = byId.get(id);
+      return { chunk_id: id, meeting_id: c.meetingId, meeting_title: c.meetingTitle };
+    });
+}
+
+// ---- grounding ----
+// The prompt also asks for an inline "[CHUNK_ID]" marker after every statement. An answer
+// is split into claims (sentences and list items), each claim's markers are checked
+// against the context, and its support is the share of its terms found in the text of
+// the chunks it cites. Lexical overlap is a cheap check, not entailment: it catches
+// uncited claims, made-up ids and claims pinned on an unrelated chunk.
+
+const SOURCES_LINE = /\n?[ \t]*Sources?\s*:\s*([^\n]*)\s*$/i;
+const MARKER = /\s*\[([^\[\]\n]+)\]/g;
+// Marker contents that look like a CHUNK_ID even if it wasn't in the context. Keeps
+// "[sic]" or "[12:40]" from being read as citations.
+const ID_LIKE = /^[A-Za-z0-9][\w-]{7,}$/;
+
+const DEFAULT_MIN_SUPPORT = 0.5;
+
+// GROUNDING_MIN_SUPPORT: a claim is supported when at least this share of its terms (0-1)
+// appears in its cited chunks
+export function minSupport() {
+  const value = Number(process.env.GROUNDING_MIN_SUPPORT);
+  return process.env.GROUNDING_MIN_SUPPORT && value >= 0 && value <= 1 ? value : DEFAULT_MIN_SUPPORT;
+}
+
+function sourcesLineIds(answer) {
+  const line = String(answer || "").match(SOURCES_LINE)?.[1] || "";
+  return [...new Set(line.split(/[\s,;]+/).map((s) => s.replace(/^[\[(]+|[\])."]+$/g, "")).filter(Boolean))];
+}
+
+// Answer text without its Sources line -> claim strings with their markers
+function splitClaims(text) {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, "").trim())
+    // Blank lines, headings and lead-ins ("Here is what was said:") aren't claims
+    .filter((line) => line && !/^#{1,6}\s|^\*\*[^*]+\*\*:?$/.test(line) && !/:$/.test(line.replace(MARKER, "")))
+    // Sentence ends, but not before a marker that belongs to the sentence ("... SSO. [id]")
+    .flatMap((line) => line.split(/(?<=[.!?])\s+(?!\[)/));
+}
+
+/**
+ * Check an answer's citations against the chunks it was given ({ id, text }, as retrieved).
+ * -> { grounded, support, claims: [{ text, citations, invalid_citations, support, supported }],
+ *      cited_ids, invalid_citations }
+ * `cited_ids` are the context chunks cited inline or on the Sources line, in order of first
+ * citation. `grounded` is true when there is at least one claim, every claim cites a context
+ * chunk with enough support, and no citation points outside the context.
+ */
+export function verifyAnswer(answer, chunks, { threshold = minSupport() } = {}) {
+  const byId = new Map(chunks.map((c) => [c.id, c]));
+  const termsOf = new Map();
+  const chunkTerms = (id) => {
+    if (!termsOf.has(id)) termsOf.set(id, new Set(tokenize(byId.get(id).text)));
+    return termsOf.get(id);
+  };
+
+  const cited = new Set();
+  const invalid = new Set();
+  const claims = [];
+  for (const raw of splitClaims(String(answer || "").replace(SOURCES_LINE, ""))) {
+    const citations = [];
+    const invalidCitations = [];
+    const text = raw.replace(MARKER, (marker, inner) => {
+      const ids = inner.split(/[\s,;]+/).filter(Boolean);
+      if (!ids.length || !ids.every((id) => byId.has(id) || ID_LIKE.test(id))) return marker;
+      for (const id of ids) {
+        const list = byId.has(id) ? citations : invalidCitations;
+        if (!list.includes(id)) list.push(id);
+      }
+      return "";
+    }).trim();
+
+    const terms = queryTerms(text);
+    if (!terms.length) continue;
+    const found = terms.filter((t) => citations.some((id) => chunkTerms(id).has(t))).length;
+    const support = Math.round((found / terms.length) * 100) / 100;
+    claims.push({
+      text,
+      citations,
+      invalid_citations: invalidCitations,
+      support,
+      supported: citations.length > 0 && support >= threshold,
+    });
+    citations.forEach((id) => cited.add(id));
+    invalidCitations.forEach((id) => invalid.add(id));
+  }
+
+  for (const id of sourcesLineIds(answer)) {
+    if (byId.has(id)) cited.add(id);
+    else if (ID_LIKE.test(id)) invalid.add(id);
+  }
+
+  return {
+    grounded: claims.length > 0 && invalid.size === 0 && claims.every((c) => c.supported),
+    support: claims.length ? Math.round((claims.reduce((n, c) => n + c.support, 0) / claims.length) * 100) / 100 : 0,
+    claims,
+    cited_ids: [...cited],
+    invalid_citations: [...invalid],
+  };
+}
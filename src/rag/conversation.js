@@ -0,0 +1,63 @@
+// Multi-turn support for /api/ask. Turns are stored in CONVERSATION_TURNS; a follow-up
+// is rewritten into a standalone question (and inherits the previous turn's scope)
+// before retrieval, so "what did they say about pricing?" still finds the right meeting.
+
+// How many earlier turns feed the rewrite and the chat history
+export const HISTORY_TURNS = 4;
+
+const REWRITE_SYSTEM = `
+You rewrite follow-up questions about meeting notes into standalone questions.
+Replace pronouns and vague references ("they", "that meeting", "the customer") with the
+names, meetings, customers and topics they refer to in the conversation.
+If the follow-up already stands on its own, return it unchanged.
+Reply with the rewritten question only.
+`.trim();
+
+// Drop the trailing "Sources: ..." line; the chunk ids mean nothing to the rewrite
+function stripSources(answer) {
+  return String(answer || "").replace(/\n*Sources?\s*:[^\n]*\s*$/i, "").trim();
+}
+
+export function parseScope(value) {
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value) || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+// An explicit `scope` in the request wins (null clears it); otherwise reuse the last turn's
+export function carryScope(body, turns) {
+  if (Object.prototype.hasOwnProperty.call(body, "scope")) return body.scope || undefined;
+  return parseScope(turns.at(-1)?.SCOPE);
+}
+
+export async function rewriteFollowUp({ question, turns, chatModel }) {
+  if (!turns.length) return question;
+
+  const history = turns
+    .map((t) => `User: ${t.QUESTION}\nAssistant: ${stripSources(t.ANSWER)}`)
+    .join("\n\n");
+  const { text } = await chatModel.chat({
+    system: REWRITE_SYSTEM,
+    messages: [{
+      role: "user",
+      content: `Conversation so far:\n${history}\n\nFollow-up question: ${question}\n\nStandalone question:`,
+    }],
+    maxTokens: 200,
+    temperature: 0,
+  });
+
+  const rewritten = String(text || "").trim().replace(/^standalone question:\s*/i, "").split("\n")[0].trim();
+  return rewritten || question;
+}
+
+// Earlier turns as alternating user/assistant messages (questions and answers only,
+// not the retrieved context they were answered from)
+export function historyMessages(turns) {
+  return turns.flatMap((t) => [
+    { role: "user", content: t.QUESTION },
+    { role: "assistant", content: t.ANSWER },
+  ]);
+}
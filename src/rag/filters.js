@@ -0,0 +1,203 @@
+// Scope filters for retrieval. A scope is a JSON object whose keys are ANDed together:
+//
+//   meeting        substring of the meeting title (case-insensitive)
+//   customer       substring of the customer name (case-insensitive)
+//   date           { from?, to? } inclusive YYYY-MM-DD bounds on the meeting date
+//   participants   emails; matches meetings with any of them
+//   meeting_ids    exact meeting ids
+//   customer_ids   exact customer ids
+//   tags           matches meetings with any of these tags
+//   all            [scope, ...], every one must match
+//   any            [scope, ...], at least one must match
+//
+// e.g. { customer_ids: ["acme"], any: [{ tags: ["renewal"] }, { date: { from: "2024-06-01" } }] }
+//
+// validateScope() checks a scope from a request and normalizes it. The storage adapters
+// compile it with scopeToSql() (Snowflake) or scopeMatches() (memory) against CHUNKS rows.
+
+const MAX_DEPTH = 4;
+const MAX_LIST = 100;
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const LIST_FIELDS = {
+  participants: { check: (v) => EMAIL.test(v), expected: "email addresses", normalize: (v) => v.toLowerCase() },
+  meeting_ids: { check: () => true, expected: "meeting ids", normalize: (v) => v },
+  customer_ids: { check: () => true, expected: "customer ids", normalize: (v) => v },
+  tags: { check: () => true, expected: "tags", normalize: normalizeTag },
+};
+
+const KEYS = ["meeting", "customer", "date", "all", "any", ...Object.keys(LIST_FIELDS)];
+
+export function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase();
+}
+
+// Accept full ISO timestamps too; only the date part is compared
+function normalizeDate(value) {
+  const date = String(value).slice(0, 10);
+  return DATE.test(date) && !Number.isNaN(Date.parse(date)) ? date : null;
+}
+
+function check(raw, path, depth, problems) {
+  if (raw == null || typeof raw !== "object" || Array.isArray(raw)) {
+    problems.push(`${path}: must be an object`);
+    return {};
+  }
+  if (depth > MAX_DEPTH) {
+    problems.push(`${path}: nested more than ${MAX_DEPTH} levels deep`);
+    return {};
+  }
+
+  const out = {};
+  for (const key of Object.keys(raw)) {
+    if (!KEYS.includes(key)) problems.push(`${path}.${key}: unknown filter (expected one of ${KEYS.join(", ")})`);
+  }
+
+  for (const key of ["meeting", "customer"]) {
+    if (raw[key] == null) continue;
+    if (typeof raw[key] !== "string" || !raw[key].trim()) problems.push(`${path}.${key}: must be a non-empty string`);
+    else out[key] = raw[key].trim();
+  }
+
+  if (raw.date != null) {
+    const { from, to, ...rest } = typeof raw.date === "object" && !Array.isArray(raw.date) ? raw.date : { invalid: true };
+    if (Object.keys(rest).length) {
+      problems.push(`${path}.date: must be an object with "from" and/or "to"`);
+    } else {
+      const date = {};
+      for (const [name, value] of [["from", from], ["to", to]]) {
+        if (value == null) continue;
+        const d = normalizeDate(value);
+        if (!d) problems.push(`${path}.date.${name}: must be a YYYY-MM-DD date`);
+        else date[name] = d;
+      }
+      if (date.from && date.to && date.from > date.to) problems.push(`${path}.date: "from" is after "to"`);
+      if (!from && !to) problems.push(`${path}.date: needs "from" and/or "to"`);
+      out.date = date;
+    }
+  }
+
+  for (const [key, field] of Object.entries(LIST_FIELDS)) {
+    if (raw[key] == null) continue;
+    const list = typeof raw[key] === "string" ? [raw[key]] : raw[key];
+    if (!Array.isArray(list) || !list.length || list.length > MAX_LIST) {
+      problems.push(`${path}.${key}: must be a list of 1-${MAX_LIST} ${field.expected}`);
+      continue;
+    }
+    const bad = list.filter((v) => typeof v !== "string" || !v.trim() || !field.check(v.trim()));
+    if (bad.length) {
+      problems.push(`${path}.${key}: not valid ${field.expected}: ${bad.map((v) => JSON.stringify(v)).join(", ")}`);
+      continue;
+    }
+    out[key] = [...new Set(list.map((v) => field.normalize(v.trim())))];
+  }
+
+  for (const key of ["all", "any"]) {
+    if (raw[key] == null) continue;
+    if (!Array.isArray(raw[key]) || !raw[key].length) {
+      problems.push(`${path}.${key}: must be a non-empty list of scopes`);
+      continue;
+    }
+    out[key] = raw[key].map((s, i) => check(s, `${path}.${key}[${i}]`, depth + 1, problems));
+  }
+
+  return out;
+}
+
+// -> normalized scope, or undefined for no filtering. Throws one Error listing every problem.
+export function validateScope(raw) {
+  if (raw == null) return undefined;
+  const problems = [];
+  const scope = check(raw, "scope", 1, problems);
+  if (problems.length) throw new Error(problems.join("; "));
+  return Object.keys(scope).length ? scope : undefined;
+}
+
+// AND an extra filter into a (validated) scope through its top-level `all`, so the
+// scope's own nesting doesn't get any deeper
+export function andScope(scope, extra) {
+  if (!extra) return scope;
+  if (!scope) return extra;
+  return { ...scope, all: [...(scope.all || []), extra] };
+}
+
+// Whether every meeting a (validated) scope matches belongs to one of `customerIds`
+export function scopeWithinCustomers(scope, customerIds) {
+  if (!scope) return false;
+  if (scope.customer_ids?.every((id) => customerIds.includes(id))) return true;
+  if (scope.all?.some((s) => scopeWithinCustomers(s, customerIds))) return true;
+  return Boolean(scope.any?.every((s) => scopeWithinCustomers(s, customerIds)));
+}
+
+// Case-insensitive substring match of `column` against a bind made by likeLiteral(). `%`
+// and `_` in user text then match themselves, as with the memory adapter's includes().
+// (The SQL literal '\\' is one backslash.)
+export function containsSql(column) {
+  return `${column} ILIKE '%' || ? || '%' ESCAPE '\\\\'`;
+}
+
+export function likeLiteral(text) {
+  return String(text).replace(/[\\%_]/g, "\\$&");
+}
+
+// ---- Snowflake: WHERE fragment over CHUNKS columns, with positional binds ----
+export function scopeToSql(scope) {
+  if (!scope) return { sql: "TRUE", binds: [] };
+  const parts = [];
+  const binds = [];
+  const add = (sql, ...values) => {
+    parts.push(sql);
+    binds.push(...values);
+  };
+  const overlaps = (column, values) =>
+    add(`ARRAYS_OVERLAP(COALESCE(TRY_PARSE_JSON(${column})::ARRAY, ARRAY_CONSTRUCT()), PARSE_JSON(?)::ARRAY)`, JSON.stringify(values));
+  // Lists from requests are never empty, but access filters (src/auth/access.js) can be
+  const oneOf = (column, values) =>
+    values.length ? add(`${column} IN (${values.map(() => "?").join(", ")})`, ...values) : add("FALSE");
+
+  if (scope.meeting) add(containsSql("MEETING_TITLE"), likeLiteral(scope.meeting));
+  if (scope.customer) add(containsSql("CUSTOMER"), likeLiteral(scope.customer));
+  if (scope.date?.from) add(`TRY_TO_DATE(MEETING_DATE) >= TO_DATE(?)`, scope.date.from);
+  if (scope.date?.to) add(`TRY_TO_DATE(MEETING_DATE) <= TO_DATE(?)`, scope.date.to);
+  if (scope.participants) overlaps("PARTICIPANT_EMAILS", scope.participants);
+  if (scope.meeting_ids) oneOf("MEETING_ID", scope.meeting_ids);
+  if (scope.customer_ids) oneOf("CUSTOMER_ID", scope.customer_ids);
+  if (scope.tags) overlaps("TAGS", scope.tags);
+  for (const [key, joiner] of [["all", " AND "], ["any", " OR "]]) {
+    if (!scope[key]) continue;
+    const children = scope[key].map(scopeToSql);
+    add(`(${children.map((c) => c.sql).join(joiner)})`, ...children.flatMap((c) => c.binds));
+  }
+
+  return { sql: parts.length ? `(${parts.join(" AND ")})` : "TRUE", binds };
+}
+
+// ---- memory: the same predicate over a CHUNKS row ----
+const contains = (value, needle) => String(value ?? "").toLowerCase().includes(needle.toLowerCase());
+const jsonList = (value) => {
+  try {
+    const list = JSON.parse(value || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+export function scopeMatches(scope, row) {
+  if (!scope) return true;
+  const date = DATE.test(row.MEETING_DATE || "") ? row.MEETING_DATE : null;
+
+  if (scope.meeting && !contains(row.MEETING_TITLE, scope.meeting)) return false;
+  if (scope.customer && !contains(row.CUSTOMER, scope.customer)) return false;
+  if (scope.date?.from && !(date && date >= scope.date.from)) return false;
+  if (scope.date?.to && !(date && date <= scope.date.to)) return false;
+  if (scope.participants && !jsonList(row.PARTICIPANT_EMAILS).some((e) => scope.participants.includes(e))) return false;
+  if (scope.meeting_ids && !scope.meeting_ids.includes(row.MEETING_ID)) return false;
+  if (scope.customer_ids && !scope.customer_ids.includes(row.CUSTOMER_ID)) return false;
+  if (scope.tags && !jsonList(row.TAGS).some((t) => scope.tags.includes(t))) return false;
+  if (scope.all && !scope.all.every((s) => scopeMatches(s, row))) return false;
+  if (scope.any && !scope.any.some((s) => scopeMatches(s, row))) return false;
+  return true;
+}
@@ -0,0 +1,36 @@
+// Deterministic bag-of-words embedding for offline use (local storage backend, tests).
+// Each lowercase word and adjacent word pair is hashed (FNV-1a) into a signed bucket,
+// then the vector is L2-normalized so cosine similarity reflects shared vocabulary.
+
+export const HASH_EMBED_DIM = 1024;
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function hashEmbed(text, dim = HASH_EMBED_DIM) {
+  const vec = new Array(dim).fill(0);
+  const words = String(text || "").toLowerCase().match(/[a-z0-9][a-z0-9'@.-]*/g) || [];
+  const features = [...words, ...words.slice(1).map((w, i) => `${words[i]} ${w}`)];
+  for (const f of features) {
+    const h = fnv1a(f);
+    vec[h % dim] += h & 0x80000000 ? -1 : 1;
+  }
+  const norm = Math.hypot(...vec) || 1;
+  return vec.map((v) => v / norm);
+}
+
+export function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
@@ -0,0 +1,51 @@
+// Keyword side of hybrid retrieval: the tokenizer behind the CHUNK_TERMS index, BM25
+// scoring and reciprocal rank fusion with the vector ranking.
+//
+// Tokens are lowercase runs of [a-z0-9]. Migration 10 backfills CHUNK_TERMS with
+// the same rule in SQL, so keep the two in step if this changes.
+
+export const BM25_K1 = 1.2;
+export const BM25_B = 0.75;
+export const RRF_K = 60;
+
+const STOPWORDS = new Set(`
+a about after all also an and any are as at be been but by can could did do does
+for from had has have how i if in into is it its me my of on or our so than that
+the their them then there these they this to us was we were what when where which
+who whom why will with would you your
+`.split(/\s+/).filter(Boolean));
+
+export function tokenize(text) {
+  return String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Index entry for one chunk: Map(term -> count), plus its length in tokens. A Map, since
+// chunk text can hold words such as "constructor" that a plain object already has.
+export function termFrequencies(text) {
+  const tokens = tokenize(text);
+  const terms = new Map();
+  for (const t of tokens) terms.set(t, (terms.get(t) || 0) + 1);
+  return { terms, length: tokens.length };
+}
+
+// Distinct, non-stopword terms of a question
+export function queryTerms(question) {
+  return [...new Set(tokenize(question).filter((t) => !STOPWORDS.has(t)))];
+}
+
+// Okapi BM25 contribution of one term in one document
+export function bm25Term({ tf, df, docCount, docLength, avgDocLength }) {
+  const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+  const norm = avgDocLength > 0 ? docLength / avgDocLength : 1;
+  return idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * norm));
+}
+
+// Reciprocal rank fusion: each ranking is a list of ids, best first. Returns
+// Map(id -> fused score), where an id scores sum(1 / (RRF_K + rank)).
+export function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = new Map();
+  for (const ids of rankings) {
+    ids.forEach((id, i) => fused.set(id, (fused.get(id) || 0) + 1 / (k + i + 1)));
+  }
+  return fused;
+}
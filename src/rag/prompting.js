@@ -0,0 +1,86 @@
+import { estimateTokens, formatTimestamp } from "./transcript.js";
+
+// Helpers for model calls that read whole meetings rather than retrieved chunks
+// (../insights/insights.js, ../briefings/briefings.js)
+
+const list = (value) => {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// A CHUNKS row as a "[CHUNK_ID | section | speakers | time]" context block, the form the
+// ask prompt uses. The chunk's own [Meeting: ...] header is dropped; prompts name the
+// meeting themselves.
+export function chunkBlock(c) {
+  const speakers = list(c.SPEAKERS);
+  const who = speakers.length ? ` | Speakers: ${speakers.join(", ")}` : "";
+  const when = c.START_SEC != null ? ` | ${formatTimestamp(c.START_SEC)}-${formatTimestamp(c.END_SEC ?? c.START_SEC)}` : "";
+  const text = String(c.TEXT || "").replace(/^\[Meeting:[^\n]*\n/, "");
+  return `[${c.CHUNK_ID} | ${c.SECTION_TITLE || "Section"}${who}${when}]\n${text}`;
+}
+
+// CHUNKS rows -> the `context` option of a chat call: the chunks its prompt quotes
+export function chatContext(chunks) {
+  return chunks.map((c) => ({ id: c.CHUNK_ID, text: c.TEXT }));
+}
+
+// Items -> groups of consecutive items up to `budget` tokens each. An item larger than
+// the budget gets a group of its own.
+export function batchByTokens(items, budget, tokensOf) {
+  const out = [];
+  let current = [];
+  let tokens = 0;
+  for (const item of items) {
+    const n = tokensOf(item);
+    if (current.length && tokens + n > budget) {
+      out.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(item);
+    tokens += n;
+  }
+  if (current.length) out.push(current);
+  return out;
+}
+
+// Whole chunks per model call
+export function batchChunks(chunks, budget) {
+  return batchByTokens(chunks, budget, (c) => Number(c.TOKEN_COUNT) || estimateTokens(c.TEXT));
+}
+
+// The first {...} in a reply; models like to wrap JSON in prose or code fences
+export function parseJsonReply(text, what = "model") {
+  const s = String(text || "");
+  const start = s.indexOf("{");
+  const end = s.lastIndexOf("}");
+  if (start < 0 || end < start) throw new Error(`${what} did not reply with JSON`);
+  try {
+    return JSON.parse(s.slice(start, end + 1));
+  } catch (e) {
+    throw new Error(`${what} replied with invalid JSON: ${e.message}`);
+  }
+}
+
+// Model output -> a trimmed string, or null for blanks and "none"-style placeholders
+export function cleanText(value) {
+  const s = typeof value === "string" ? value.trim() : "";
+  return s && !/^(null|none|n\/a|unknown|tbd)$/i.test(s) ? s : null;
+}
+
+// Model output -> "YYYY-MM-DD", or null
+export function cleanDate(value) {
+  const s = cleanText(value);
+  return s && /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s)) ? s : null;
+}
+
+// A reply's `sources` -> the distinct ones among `chunkIds` (a Set)
+export function citedIds(sources, chunkIds) {
+  return [...new Set((Array.isArray(sources) ? sources : [sources])
+    .map((id) => String(id ?? "").trim())
+    .filter((id) => chunkIds.has(id)))];
+}
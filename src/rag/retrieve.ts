@@ -1,16 +1,21 @@
-import snowflake from "snowflake-sdk";
-import { getSnowflakePrivateKeyParam } from "../../utils/keys.js";
+import { openStorage } from "../storage/index.js";
+import { getEmbeddingModel, getReranker } from "../providers/index.js";
+import { queryTerms, reciprocalRankFusion } from "./lexical.js";
+import { cosine } from "./hash-embed.js";
+import { andScope, validateScope } from "./filters.js";
 
-const {
-  SNOWFLAKE_ACCOUNT,
-  SNOWFLAKE_USER,
-  SNOWFLAKE_WAREHOUSE,
-  SNOWFLAKE_DATABASE,
-  SNOWFLAKE_SCHEMA,
-  SNOWFLAKE_ROLE,
-} = process.env;
-
-export type Scope = { meeting?: string; customer?: string } | undefined;
+// Scope filters; see ./filters.js for the full schema
+export type Scope = {
+  meeting?: string;
+  customer?: string;
+  date?: { from?: string; to?: string };
+  participants?: string[];
+  meeting_ids?: string[];
+  customer_ids?: string[];
+  tags?: string[];
+  all?: Scope[];
+  any?: Scope[];
+} | undefined;
 
 export interface ChunkResult {
   id: string;
@@ -18,205 +23,264 @@ export interface ChunkResult {
   meetingTitle: string;
   customer: string;
   sectionTitle: string;
+  speakers: string[];
+  startSec: number | null;
+  endSec: number | null;
   text: string;
-  score: number;
+  score: number;              // final relevance (0-1): rerank score if reranked, else fused / best fused
+  lexicalScore: number | null; // BM25; null when outside the keyword ranking
+  vectorScore: number;        // cosine similarity to the question
+  fusedScore: number;         // reciprocal rank fusion of the two rankings
+  rerankScore: number | null;
+  mmrScore: number;           // marginal relevance when MMR picked the chunk
   vec: number[];
 }
 
-// Snowflake connection helper
-async function getConn() {
-  const conn = snowflake.createConnection({
-    account: SNOWFLAKE_ACCOUNT,
-    username: SNOWFLAKE_USER,
-    authenticator: "SNOWFLAKE_JWT",
-    privateKey: getSnowflakePrivateKeyParam(),
-    warehouse: SNOWFLAKE_WAREHOUSE,
-    database: SNOWFLAKE_DATABASE,
-    schema: SNOWFLAKE_SCHEMA,
-    role: SNOWFLAKE_ROLE,
-  });
-  await new Promise((res, rej) => conn.connect((e) => (e ? rej(e) : res())));
-  return conn;
+// Tuning knobs, settable per request through /api/ask `retrieval`
+export interface RetrievalOptions {
+  lambda: number;        // MMR trade-off: 1 = relevance only, 0 = diversity only
+  poolSize: number;      // fused candidates considered by rerank and MMR
+  perMeetingCap: number; // max candidates from any one meeting
 }
 
-// Execute SQL with binds
-function exec(conn: any, sqlText: string, binds: any[] = []) {
-  return new Promise((resolve, reject) => {
-    conn.execute({
-      sqlText,
-      binds,
-      complete: (err: any, stmt: any, rows: any) => (err ? reject(err) : resolve(rows || [])),
-    });
-  });
+// One row of the debug candidate list
+export interface CandidateDebug {
+  chunk_id: string;
+  meeting_id: string;
+  meeting_title: string;
+  lexical_score: number | null;
+  vector_score: number;
+  fused_score: number;
+  rerank_score: number | null;
+  score_before_mmr: number;
+  mmr_score: number | null; // null when MMR didn't pick the chunk
+  mmr_rank: number | null;
 }
 
-// MMR (Maximal Marginal Relevance) implementation
-export function mmr(
-  queryVec: number[],
-  docs: Array<{ CHUNK_ID: string; sim: number; vec: number[] }>,
+type Candidate = {
+  row: any;
+  vectorScore: number;
+  lexicalScore: number | null;
+  fusedScore: number;
+  rerankScore: number | null;
+};
+
+export const DEFAULT_LAMBDA = 0.7;
+export const DEFAULT_PER_MEETING_CAP = 6;
+export const MAX_POOL_SIZE = 200;
+
+// Validate `retrieval` from a request body ({ lambda, pool_size, per_meeting_cap },
+// all optional). Throws with a message naming the bad field.
+export function parseRetrievalOptions(raw: any, k = 12): RetrievalOptions {
+  const opts = raw ?? {};
+  if (typeof opts !== "object" || Array.isArray(opts)) {
+    throw new Error("retrieval must be an object");
+  }
+  const lambda = opts.lambda ?? DEFAULT_LAMBDA;
+  if (typeof lambda !== "number" || lambda < 0 || lambda > 1) {
+    throw new Error("retrieval.lambda must be a number between 0 and 1");
+  }
+  const poolSize = opts.pool_size ?? Math.min(k * 3, 50);
+  if (!Number.isInteger(poolSize) || poolSize < 1 || poolSize > MAX_POOL_SIZE) {
+    throw new Error(`retrieval.pool_size must be an integer between 1 and ${MAX_POOL_SIZE}`);
+  }
+  const perMeetingCap = opts.per_meeting_cap ?? DEFAULT_PER_MEETING_CAP;
+  if (!Number.isInteger(perMeetingCap) || perMeetingCap < 1) {
+    throw new Error("retrieval.per_meeting_cap must be a positive integer");
+  }
+  return { lambda, poolSize, perMeetingCap };
+}
+
+// MMR (Maximal Marginal Relevance). Relevance is each doc's `relevance`, on the same 0-1
+// scale as the cosine similarity redundancy is measured in, so `lambda` weighs like for
+// like; redundancy is its highest similarity to an already chosen doc. Returns docs in
+// selection order, each with the marginal score it was picked at.
+export function mmr<D extends { CHUNK_ID: string; vec: number[]; relevance: number }>(
+  docs: D[],
   k = 12,
-  lambda = 0.7
-) {
-  const chosen: typeof docs = [];
-  const dot = (a: number[], b: number[]) => a.reduce((s, ai, i) => s + ai * b[i], 0);
-  const norm = (v: number[]) => Math.hypot(...v);
-  const cos = (a: number[], b: number[]) => dot(a, b) / (norm(a) * norm(b));
-
-  const pool = [...docs];
-  while (chosen.length < Math.min(k, pool.length)) {
-    let best = -Infinity, bestDoc: typeof docs[number] | null = null;
-    for (const d of pool) {
-      const simQ = d.sim;
-      const simToChosen = chosen.length ? Math.max(...chosen.map(c => cos(d.vec, c.vec))) : 0;
-      const score = lambda * simQ - (1 - lambda) * simToChosen;
-      if (score > best) { best = score; bestDoc = d; }
-    }
-    if (!bestDoc) break;
-    chosen.push(bestDoc);
-    const idx = pool.findIndex(x => x.CHUNK_ID === bestDoc!.CHUNK_ID);
-    if (idx >= 0) pool.splice(idx, 1);
+  lambda = DEFAULT_LAMBDA
+): Array<D & { mmrScore: number }> {
+  const pool = docs.map(d => ({ doc: d, rel: d.relevance }));
+  const chosen: Array<D & { mmrScore: number }> = [];
+  const target = Math.min(k, pool.length);
+
+  while (chosen.length < target) {
+    let best = -Infinity, bestIdx = -1;
+    pool.forEach((d, i) => {
+      const redundancy = chosen.length ? Math.max(...chosen.map(c => cosine(d.doc.vec, c.vec))) : 0;
+      const score = lambda * d.rel - (1 - lambda) * redundancy;
+      if (score > best) { best = score; bestIdx = i; }
+    });
+    if (bestIdx < 0) break;
+    const [picked] = pool.splice(bestIdx, 1);
+    chosen.push({ ...picked.doc, mmrScore: best });
   }
   return chosen;
 }
 
-// Main retrieval function
-export async function retrieveChunks({ 
-  question, 
-  scope, 
-  k = 12 
-}: { 
-  question: string; 
-  scope?: Scope; 
-  k?: number; 
-}): Promise<ChunkResult[]> {
-  const conn = await getConn();
-  
+// Full retrieval with the candidate list behind it (for debug output); see retrieveChunks
+export async function retrieve({
+  question,
+  scope,
+  access,
+  k = 12,
+  embedModel,
+  rerank,
+  options,
+  storage
+}: {
+  question: string;
+  scope?: Scope;
+  access?: Scope;
+  k?: number;
+  embedModel?: string;
+  rerank?: string | false;
+  options?: Partial<RetrievalOptions>;
+  storage?: any;
+}): Promise<{ chunks: ChunkResult[]; candidates: CandidateDebug[] }> {
+  // Must be the model the chunks were embedded with; defaults to EMBED_MODEL
+  const embedder = getEmbeddingModel(embedModel);
+  const reranker = rerank === false ? null : getReranker(rerank);
+  const { lambda, poolSize, perMeetingCap } = { ...parseRetrievalOptions({}, k), ...options };
+  scope = validateScope(scope); // throws on malformed filters
+  // The caller's access policy is trusted, so it is ANDed in after validation
+  const filter = andScope(scope, access);
+  const store = storage || await openStorage();
+
   try {
     // 1. Embed the question
-    const embedRows = await exec(
-      conn,
-      `SELECT AI_EMBED('snowflake-arctic-embed-l-v2.0', ?) AS Q_EMBED`,
-      [question]
-    );
-    
-    if (!embedRows.length) {
-      throw new Error("Failed to generate question embedding");
+    const qEmbed = await store.embedQuery(question, embedder);
+
+    // 2. Vector and keyword rankings over the same scoped chunks
+    const search = { embedModel: embedder.id, scope: filter, limit: poolSize, perMeetingCap };
+    const vectorRows = await store.searchChunks({ ...search, queryVec: qEmbed });
+    const lexicalRows = await store.searchLexical({ ...search, terms: queryTerms(question) });
+
+    // 3. Fuse them with reciprocal rank fusion, keeping the per-meeting cap across both
+    const fused = reciprocalRankFusion([
+      vectorRows.map(r => r.CHUNK_ID),
+      lexicalRows.map(r => r.CHUNK_ID)
+    ]);
+    const candidates = new Map<string, Candidate>();
+    for (const r of vectorRows) {
+      candidates.set(r.CHUNK_ID, { row: r, vectorScore: r.SIM, lexicalScore: null, fusedScore: 0, rerankScore: null });
+    }
+    for (const r of lexicalRows) {
+      const existing = candidates.get(r.CHUNK_ID);
+      if (existing) existing.lexicalScore = r.BM25;
+      else candidates.set(r.CHUNK_ID, { row: r, vectorScore: cosine(r.VEC || [], qEmbed), lexicalScore: r.BM25, fusedScore: 0, rerankScore: null });
     }
-    
-    const qEmbed = embedRows[0].Q_EMBED;
-    
-    // 2. Execute scope-then-rank SQL
-    const scopeSQL = `
-      WITH SCOPE AS (
-        SELECT *
-        FROM FARM_FRESH_PET.INTERNAL.CHUNKS
-        WHERE (:meeting IS NULL OR MEETING_TITLE ILIKE '%' || :meeting || '%')
-          AND (:customer IS NULL OR CUSTOMER ILIKE '%' || :customer || '%')
-      ),
-      SCORED AS (
-        SELECT
-          CHUNK_ID, MEETING_ID, MEETING_TITLE, CUSTOMER, START_SEC, END_SEC, 
-          SECTION_ID, SECTION_TITLE, TEXT, EMBED_1024,
-          1 - VECTOR_COSINE_DISTANCE(EMBED_1024, ?) AS sim,
-          (CASE
-             WHEN :meeting IS NOT NULL AND (TEXT ILIKE '%'||:meeting||'%' OR SECTION_TITLE ILIKE '%'||:meeting||'%') THEN 0.05 ELSE 0
-           END
-           + CASE
-             WHEN :customer IS NOT NULL AND (TEXT ILIKE '%'||:customer||'%' OR SECTION_TITLE ILIKE '%'||:customer||'%') THEN 0.05 ELSE 0
-           END) AS kw_bonus
-        FROM SCOPE
-      ),
-      RERANK AS (
-        SELECT *, (sim + kw_bonus) AS score
-        FROM SCORED
-      )
-      SELECT *
-      FROM RERANK
-      QUALIFY ROW_NUMBER() OVER (PARTITION BY MEETING_ID ORDER BY score DESC) <= 6
-      ORDER BY score DESC
-      LIMIT ?
-    `;
-    
-    const scopeBinds = [
-      qEmbed, // question embedding
-      scope?.meeting || null,
-      scope?.customer || null,
-      scope?.meeting || null,
-      scope?.customer || null,
-      Math.min(k * 3, 50) // fetch more for MMR
-    ];
-    
-    const rows = await exec(conn, scopeSQL, scopeBinds);
-    
+    const perMeeting = new Map<string, number>();
+    let pool = [...candidates.values()]
+      .map(c => ({ ...c, fusedScore: fused.get(c.row.CHUNK_ID) || 0 }))
+      .sort((a, b) => b.fusedScore - a.fusedScore)
+      .filter(c => {
+        const n = perMeeting.get(c.row.MEETING_ID) || 0;
+        perMeeting.set(c.row.MEETING_ID, n + 1);
+        return n < perMeetingCap;
+      })
+      .filter(c => (c.row.VEC || []).length > 0)
+      .slice(0, poolSize);
+
     // Log top candidates
-    console.log('Top candidates before MMR:', rows.slice(0, 10).map(r => ({
-      id: r.CHUNK_ID,
-      meeting: r.MEETING_TITLE,
-      score: r.score
+    console.log('Top candidates before MMR:', pool.slice(0, 10).map(c => ({
+      id: c.row.CHUNK_ID,
+      meeting: c.row.MEETING_TITLE,
+      vector: c.vectorScore,
+      lexical: c.lexicalScore,
+      fused: c.fusedScore
     })));
-    
-    if (rows.length === 0) {
+
+    if (pool.length === 0) {
       if (scope) {
         console.warn(`no_context_for_scope: ${JSON.stringify(scope)}`);
       }
-      return [];
+      return { chunks: [], candidates: [] };
     }
-    
-    // 3. Fetch vectors for MMR (if not already in results)
-    const chunkIds = rows.map(r => r.CHUNK_ID);
-    const vectorRows = await exec(
-      conn,
-      `SELECT CHUNK_ID, TO_ARRAY(EMBED_1024) as vec FROM CHUNKS WHERE CHUNK_ID IN (${chunkIds.map(() => '?').join(',')})`,
-      chunkIds
+
+    // 4. Optional rerank of the fused pool. A failing reranker falls back to the fused order.
+    if (reranker) {
+      try {
+        const scores = await reranker.rerank(question, pool.map(c => c.row.TEXT));
+        pool = pool
+          .map((c, i) => ({ ...c, rerankScore: scores[i] ?? 0 }))
+          .sort((a, b) => (b.rerankScore as number) - (a.rerankScore as number));
+      } catch (e: any) {
+        console.warn(`rerank_failed (${reranker.id}): ${e?.message || e}`);
+      }
+    }
+    // Relevance on the 0-1 scale of the cosine redundancy MMR weighs it against. Rerank
+    // scores already are; RRF scores are tiny, so they are taken relative to the best one.
+    const maxFused = Math.max(...pool.map(c => c.fusedScore)) || 1;
+    const finalScore = (c: Candidate) => c.rerankScore ?? c.fusedScore / maxFused;
+
+    // 5. MMR over the final scores picks the final k, so hybrid search decides relevance
+    // with or without a reranker
+    const chosen = mmr(
+      pool.map(c => ({
+        CHUNK_ID: c.row.CHUNK_ID,
+        vec: c.row.VEC,
+        relevance: finalScore(c),
+        candidate: c
+      })),
+      k,
+      lambda
     );
-    
-    // Create vector lookup
-    const vectorMap = new Map(vectorRows.map(r => [r.CHUNK_ID, r.VEC]));
-    
-    // 4. Run MMR to select final k chunks
-    const docsWithVectors = rows
-      .map(r => ({
-        CHUNK_ID: r.CHUNK_ID,
-        sim: r.score,
-        vec: vectorMap.get(r.CHUNK_ID) || []
-      }))
-      .filter(d => d.vec.length > 0);
-    
-    const finalChunks = mmr([], docsWithVectors, k, 0.7);
-    
+
     // Log final chosen chunks
-    console.log('Final chosen chunks after MMR:', finalChunks.map(c => ({
+    console.log('Final chosen chunks after MMR:', chosen.map(c => ({
       id: c.CHUNK_ID,
-      score: c.sim
+      score: finalScore(c.candidate),
+      mmr: c.mmrScore
     })));
-    
-    // 5. Fetch full chunk data for final results
-    const finalChunkIds = finalChunks.map(c => c.CHUNK_ID);
-    const finalRows = await exec(
-      conn,
-      `SELECT 
-        CHUNK_ID, MEETING_ID, MEETING_TITLE, CUSTOMER, 
-        SECTION_ID, SECTION_TITLE, TEXT
-       FROM CHUNKS 
-       WHERE CHUNK_ID IN (${finalChunkIds.map(() => '?').join(',')})`,
-      finalChunkIds
-    );
-    
-    // 6. Map to result format
-    const results: ChunkResult[] = finalRows.map((row, idx) => ({
-      id: row.CHUNK_ID,
-      meetingId: row.MEETING_ID,
-      meetingTitle: row.MEETING_TITLE,
-      customer: row.CUSTOMER,
-      sectionTitle: row.SECTION_TITLE,
-      text: row.TEXT,
-      score: finalChunks[idx]?.sim || 0,
-      vec: finalChunks[idx]?.vec || []
+
+    // 6. Map to result format, in MMR selection order. Search rows already carry
+    // every chunk column, so there is nothing left to fetch.
+    const chunks: ChunkResult[] = chosen.map(({ candidate: c, mmrScore }) => ({
+      id: c.row.CHUNK_ID,
+      meetingId: c.row.MEETING_ID,
+      meetingTitle: c.row.MEETING_TITLE,
+      customer: c.row.CUSTOMER,
+      sectionTitle: c.row.SECTION_TITLE,
+      speakers: c.row.SPEAKERS ? JSON.parse(c.row.SPEAKERS) : [],
+      startSec: c.row.START_SEC ?? null,
+      endSec: c.row.END_SEC ?? null,
+      text: c.row.TEXT,
+      score: finalScore(c),
+      lexicalScore: c.lexicalScore,
+      vectorScore: c.vectorScore,
+      fusedScore: c.fusedScore,
+      rerankScore: c.rerankScore,
+      mmrScore,
+      vec: c.row.VEC
+    }));
+
+    const picked = new Map(chosen.map((c, i) => [c.CHUNK_ID, { rank: i + 1, score: c.mmrScore }]));
+    const debug: CandidateDebug[] = pool.map(c => ({
+      chunk_id: c.row.CHUNK_ID,
+      meeting_id: c.row.MEETING_ID,
+      meeting_title: c.row.MEETING_TITLE,
+      lexical_score: c.lexicalScore,
+      vector_score: c.vectorScore,
+      fused_score: c.fusedScore,
+      rerank_score: c.rerankScore,
+      score_before_mmr: finalScore(c),
+      mmr_score: picked.get(c.row.CHUNK_ID)?.score ?? null,
+      mmr_rank: picked.get(c.row.CHUNK_ID)?.rank ?? null
     }));
-    
-    return results;
-    
+
+    return { chunks, candidates: debug };
+
   } finally {
-    conn.destroy();
+    if (!storage) store.close();
   }
 }
+
+// Main retrieval function. Pass an open `storage` to reuse it; otherwise one is
+// opened (STORAGE_BACKEND) for this call and closed afterwards. `rerank` names a
+// rerank model (default RERANK_MODEL); false turns reranking off. `access` is the
+// caller's filter from accessFilter() (src/auth/access.js); chunks outside it are
+// excluded by the search itself.
+export async function retrieveChunks(args: Parameters<typeof retrieve>[0]): Promise<ChunkResult[]> {
+  return (await retrieve(args)).chunks;
+}
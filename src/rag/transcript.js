@@ -0,0 +1,234 @@
+// ---- Granola transcript parsing and speaker-aware chunking ----
+//
+// Transcripts reach MEETINGS.TRANSCRIPT as JSON.stringify(payload.transcript), so the
+// stored text is either a JSON string (plain or speaker-labelled lines) or a JSON array
+// of utterances. parseTranscript normalizes both into speaker turns:
+//   [{ speaker, text, startSec, endSec }]   (speaker/startSec/endSec may be null)
+
+const TIME = String.raw`\d{1,2}:\d{2}(?::\d{2})?(?:\.\d+)?`;
+
+// "[00:01:23] Jane Doe: text", "00:12 - Jane: text", "Jane Doe (01:05): text", "Speaker 2: text".
+// Labels are capitalized names (up to four words) or email addresses.
+const LINE_RE = new RegExp(
+  String.raw`^\s*(?:[\[(]?(${TIME})[\])]?\s*[-–—]?\s*)?` +
+  String.raw`(?:((?:[\w.+-]+@[\w.-]+|[A-Z][\w.'’-]*(?: [A-Z0-9][\w.'’-]*){0,3}))\s*(?:[\[(](${TIME})[\])])?\s*:\s+)?` +
+  String.raw`(.*)$`
+);
+
+// Approximate BPE token count: short words are one token, long words and numbers
+// split every ~6 characters, punctuation counts on its own.
+export function estimateTokens(str) {
+  let n = 0;
+  for (const m of String(str || "").matchAll(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g)) {
+    n += Math.max(1, Math.ceil(m[0].length / 6));
+  }
+  return n;
+}
+
+// "01:02:03" | "02:03" -> seconds
+export function parseClock(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) return Number(str);
+  if (new RegExp(`^${TIME}$`).test(str)) {
+    return str.split(":").reduce((acc, part) => acc * 60 + Number(part), 0);
+  }
+  return null;
+}
+
+// seconds -> "m:ss" or "h:mm:ss"
+export function formatTimestamp(sec) {
+  if (sec == null || !Number.isFinite(Number(sec))) return "";
+  const total = Math.max(0, Math.floor(Number(sec)));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+const pick = (obj, keys) => keys.map((k) => obj?.[k]).find((v) => v != null && v !== "");
+
+// Utterance objects from Granola/Zapier: { speaker|source, text, start|start_timestamp, end|end_timestamp }
+function turnsFromUtterances(items) {
+  const startKeys = ["start_sec", "startSec", "start", "start_time", "startTime", "start_timestamp"];
+  const endKeys = ["end_sec", "endSec", "end", "end_time", "endTime", "end_timestamp"];
+
+  // ISO timestamps are made relative to the first utterance
+  const firstIso = items
+    .map((u) => pick(u, startKeys))
+    .find((v) => typeof v === "string" && !Number.isNaN(Date.parse(v)) && parseClock(v) == null);
+  const origin = firstIso ? Date.parse(firstIso) : null;
+
+  const toSec = (v) => {
+    const clock = parseClock(v);
+    if (clock != null) return clock;
+    if (origin != null && typeof v === "string" && !Number.isNaN(Date.parse(v))) {
+      return (Date.parse(v) - origin) / 1000;
+    }
+    return null;
+  };
+
+  return items
+    .map((u) => {
+      if (typeof u === "string") return { speaker: null, text: u.trim(), startSec: null, endSec: null };
+      const speaker = pick(u, ["speaker", "speaker_name", "name", "source"]);
+      return {
+        speaker: speaker != null ? String(speaker).trim() : null,
+        text: String(pick(u, ["text", "content", "transcript"]) || "").trim(),
+        startSec: toSec(pick(u, startKeys)),
+        endSec: toSec(pick(u, endKeys)),
+      };
+    })
+    .filter((t) => t.text);
+}
+
+function turnsFromText(text) {
+  const turns = [];
+  for (const rawLine of String(text).replace(/\r/g, "\n").split("\n")) {
+    if (!rawLine.trim()) continue;
+    const m = rawLine.match(LINE_RE);
+    const [, lead, speaker, trail, rest] = m || [];
+    const startSec = parseClock(lead ?? trail);
+    const body = (m ? rest : rawLine).trim();
+    const last = turns[turns.length - 1];
+
+    if (!speaker && startSec == null && last) {
+      // Continuation of the previous speaker's turn
+      last.text += (last.text ? " " : "") + body;
+      continue;
+    }
+    turns.push({ speaker: speaker ? speaker.trim() : last && startSec != null ? last.speaker : null, text: body, startSec, endSec: null });
+  }
+  return turns.filter((t) => t.text);
+}
+
+/**
+ * Parse a stored transcript into speaker turns. Consecutive utterances by the same
+ * speaker are merged, and missing end times are filled from the next turn's start.
+ */
+export function parseTranscript(stored) {
+  let value = stored;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      // Not JSON: older rows and direct callers pass raw text
+    }
+  }
+  if (value && !Array.isArray(value) && typeof value === "object") {
+    value = pick(value, ["utterances", "segments", "transcript", "text"]) ?? "";
+  }
+
+  const raw = Array.isArray(value) ? turnsFromUtterances(value) : turnsFromText(value ?? "");
+
+  const turns = [];
+  for (const t of raw) {
+    const last = turns[turns.length - 1];
+    if (last && t.speaker && last.speaker === t.speaker) {
+      last.text += " " + t.text;
+      last.endSec = t.endSec ?? t.startSec ?? last.endSec;
+      continue;
+    }
+    turns.push({ ...t });
+  }
+  turns.forEach((t, i) => {
+    if (t.endSec == null) t.endSec = turns[i + 1]?.startSec ?? t.startSec;
+  });
+  return turns;
+}
+
+// Transcripts with speaker labels or timestamps get turn-aware chunking
+export function isStructured(turns) {
+  return turns.filter((t) => t.speaker).length >= 2 || turns.some((t) => t.startSec != null);
+}
+
+// Split an over-long turn at sentence boundaries, interpolating times by text offset
+function splitTurn(turn, maxTokens) {
+  const sentences = turn.text.split(/(?<=[.!?])\s+/);
+  const parts = [];
+  let buf = "";
+  for (const s of sentences) {
+    if (buf && estimateTokens(buf + " " + s) > maxTokens) {
+      parts.push(buf);
+      buf = s;
+    } else {
+      buf = buf ? `${buf} ${s}` : s;
+    }
+  }
+  if (buf) parts.push(buf);
+  if (parts.length < 2) return [turn];
+
+  const span = turn.startSec != null && turn.endSec != null ? turn.endSec - turn.startSec : null;
+  let offset = 0;
+  return parts.map((text) => {
+    const from = offset / turn.text.length;
+    offset += text.length + 1;
+    const to = Math.min(1, offset / turn.text.length);
+    return {
+      speaker: turn.speaker,
+      text,
+      startSec: span != null ? turn.startSec + span * from : turn.startSec,
+      endSec: span != null ? turn.startSec + span * to : turn.endSec,
+    };
+  });
+}
+
+function renderTurn(t) {
+  const ts = t.startSec != null ? `[${formatTimestamp(t.startSec)}] ` : "";
+  return `${ts}${t.speaker ? `${t.speaker}: ` : ""}${t.text}`;
+}
+
+/**
+ * Chunk speaker turns without splitting a turn across chunks (unless the turn alone
+ * exceeds the target). Each chunk records its speakers and start/end seconds.
+ */
+export function chunkByTurns(turns, targetTokens = 1000, overlapTokens = 150) {
+  const units = turns.flatMap((t) => (estimateTokens(t.text) > targetTokens ? splitTurn(t, targetTokens) : [t]));
+  const chunks = [];
+  let buf = [];
+
+  const flush = () => {
+    if (!buf.length) return;
+    const text = buf.map(renderTurn).join("\n");
+    const firstSentence = buf[0].text.split(/[.!?]/)[0].trim();
+    const title = firstSentence.length > 50 ? firstSentence.substring(0, 50) + "..." : firstSentence;
+    const starts = buf.map((t) => t.startSec).filter((v) => v != null);
+    const ends = buf.map((t) => t.endSec).filter((v) => v != null);
+    chunks.push({
+      text,
+      sectionId: chunks.length + 1,
+      sectionTitle: buf[0].speaker ? `${buf[0].speaker}: ${title}` : title,
+      tokenCount: estimateTokens(text),
+      speakers: [...new Set(buf.map((t) => t.speaker).filter(Boolean))],
+      startSec: starts.length ? Math.min(...starts) : null,
+      endSec: ends.length ? Math.max(...ends) : null,
+    });
+  };
+
+  let bufTokens = 0;
+  let fresh = 0; // turns added since the last flush (overlap turns don't count)
+  for (const unit of units) {
+    const tokens = estimateTokens(renderTurn(unit));
+    if (fresh && bufTokens + tokens > targetTokens) {
+      flush();
+      // Carry whole trailing turns forward as overlap
+      const carry = [];
+      let carried = 0;
+      for (let i = buf.length - 1; i >= 0; i--) {
+        const t = estimateTokens(renderTurn(buf[i]));
+        if (carried + t > overlapTokens) break;
+        carry.unshift(buf[i]);
+        carried += t;
+      }
+      buf = carry;
+      bufTokens = carried;
+      fresh = 0;
+    }
+    buf.push(unit);
+    bufTokens += tokens;
+    fresh++;
+  }
+  if (fresh) flush();
+  return chunks;
+}
@@ -0,0 +1,260 @@
+import { createCipheriv, createDecipheriv, createHmac, randomBytes } from "crypto";
+import { readFileSync } from "fs";
+
+// Redaction of PII and secrets before meetings are stored, chunked and embedded. Ingest
+// redacts the transcript and summary it stores; chunking redacts again, which covers
+// meetings stored before redaction was turned on or before a detector was added.
+//
+// Configuration:
+//   REDACTION_MODE             off (default) | mask | hash | tokenize
+//   REDACTION_DETECTORS        comma-separated subset of DETECTORS (default: all of them)
+//   REDACTION_DICTIONARY       comma-separated extra terms (names, code names, ...)
+//   REDACTION_DICTIONARY_FILE  file with one extra term per line
+//   REDACTION_SECRET           HMAC key for hash and tokenize modes
+//   REDACTION_VAULT_KEY        32-byte key (base64 or hex). With tokenize, originals are
+//                              stored encrypted in REDACTION_VAULT so admins can reveal them.
+//
+// Modes replace a match with [EMAIL] (mask), [EMAIL:3f2a91c0d4] (hash: one-way, the same
+// value always gives the same hash) or [EMAIL:tok_3f2a91c0d4e5] (tokenize: like hash,
+// but reversible through the vault). Structured transcripts are redacted string by string.
+
+export const MODES = ["off", "mask", "hash", "tokenize"];
+
+// Luhn check, so order numbers and the like aren't taken for cards
+function luhn(value) {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1 && (d *= 2) > 9) d -= 9;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// Applied in this order
+export const DETECTORS = {
+  secret: {
+    label: "SECRET",
+    patterns: [
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+      /\bAKIA[0-9A-Z]{16}\b/g,                                  // AWS access key id
+      /\bAIza[0-9A-Za-z_-]{35}\b/g,                             // Google API key
+      /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g,                        // GitHub token
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g,                      // Slack token
+      /\b(?:sk|pk|rk)[-_](?:live|test|proj)[-_][A-Za-z0-9_-]{16,}\b/g, // Stripe / OpenAI style keys
+      /\bsk-[A-Za-z0-9_-]{20,}\b/g,
+      /\bgsk_[0-9a-f]{12}_[A-Za-z0-9_-]{20,}/g,                 // this service's own API keys
+      /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g, // JWT
+      // "password is hunter2", "api key: abc123": only the value, which must contain a digit
+      /\b(?:password|passcode|passwd|secret|api[ _-]?key|access[ _-]?token|token)\s*(?:is|was|:|=)\s*((?=[^\s"'\\,;]*\d)[^\s"'\\,;]{6,})/gi,
+    ],
+  },
+  email: {
+    label: "EMAIL",
+    patterns: [/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g],
+  },
+  card: {
+    label: "CARD",
+    patterns: [/\b\d(?:[ -]?\d){12,18}\b/g],
+    validate: luhn,
+  },
+  ssn: {
+    label: "SSN",
+    patterns: [/\b\d{3}-\d{2}-\d{4}\b/g],
+  },
+  phone: {
+    label: "PHONE",
+    patterns: [/(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g],
+  },
+};
+
+// Errors handlers turn into 4xx responses
+export class RedactionError extends Error {
+  constructor(code, detail, status = 400) {
+    super(detail);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function parseKey(value) {
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, "hex") : Buffer.from(value, "base64");
+  if (key.length !== 32) throw new Error("REDACTION_VAULT_KEY must be 32 bytes, as base64 or hex");
+  return key;
+}
+
+function dictionaryTerms() {
+  const terms = (process.env.REDACTION_DICTIONARY || "").split(",");
+  const file = process.env.REDACTION_DICTIONARY_FILE;
+  if (file) terms.push(...readFileSync(file, "utf8").split("\n"));
+  // Longest first, so "Project Falcon Prime" wins over "Project Falcon"
+  return [...new Set(terms.map((t) => t.trim()).filter(Boolean))].sort((a, b) => b.length - a.length);
+}
+
+// -> { mode, detectors, dictionary, secret, vaultKey }, or null when redaction is off.
+// Throws on a configuration that can't work, rather than storing unredacted text.
+export function redactionConfig() {
+  const mode = (process.env.REDACTION_MODE || "off").toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`Unknown REDACTION_MODE "${mode}". Expected one of: ${MODES.join(", ")}`);
+  if (mode === "off") return null;
+
+  const names = process.env.REDACTION_DETECTORS
+    ? process.env.REDACTION_DETECTORS.split(",").map((d) => d.trim().toLowerCase()).filter(Boolean)
+    : Object.keys(DETECTORS);
+  const unknown = names.filter((d) => !DETECTORS[d]);
+  if (unknown.length) throw new Error(`Unknown REDACTION_DETECTORS: ${unknown.join(", ")}. Expected: ${Object.keys(DETECTORS).join(", ")}`);
+
+  const secret = process.env.REDACTION_SECRET || "";
+  if ((mode === "hash" || mode === "tokenize") && !secret) throw new Error(`REDACTION_MODE=${mode} needs REDACTION_SECRET`);
+
+  return {
+    mode,
+    detectors: Object.keys(DETECTORS).filter((d) => names.includes(d)),
+    dictionary: dictionaryTerms(),
+    secret,
+    vaultKey: mode === "tokenize" && process.env.REDACTION_VAULT_KEY ? parseKey(process.env.REDACTION_VAULT_KEY) : null,
+  };
+}
+
+// Masks only `terms` (whole words, any case), e.g. to anonymize a forgotten person
+export function termsConfig(terms) {
+  const dictionary = [...new Set(terms.map((t) => t.trim()).filter(Boolean))].sort((a, b) => b.length - a.length);
+  return { mode: "mask", detectors: [], dictionary, secret: "", vaultKey: null };
+}
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ---- vault ----
+function encrypt(key, value) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64");
+}
+
+function decrypt(key, payload) {
+  const raw = Buffer.from(payload, "base64");
+  const decipher = createDecipheriv("aes-256-gcm", key, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+}
+
+// Keyed digest behind hash and tokenize placeholders: the same value always gets the same one
+function digestFor(secret, kind, value) {
+  return createHmac("sha256", secret).update(`${kind}:${value.toLowerCase()}`).digest("hex");
+}
+
+// The vault token tokenize mode gives `value` as a `kind` (e.g. "email"), so a forgotten
+// person's vault entries can be found without decrypting anything
+export function tokenFor(secret, kind, value) {
+  return `tok_${digestFor(secret, kind, value).slice(0, 12)}`;
+}
+
+// Placeholders hash and tokenize modes write for `value` as a `kind`, each with its mask
+// mode form, so a forgotten value can be found and unlinked in redacted text
+export function placeholdersFor(secret, kind, value) {
+  const label = kind === "term" ? "REDACTED" : DETECTORS[kind].label;
+  const digest = digestFor(secret, kind, value);
+  return [`[${label}:${digest.slice(0, 10)}]`, `[${label}:${tokenFor(secret, kind, value)}]`]
+    .map((placeholder) => ({ placeholder, mask: `[${label}]` }));
+}
+
+// Tokens as written by tokenize mode, e.g. [EMAIL:tok_3f2a91c0d4e5]
+const TOKEN = /\[([A-Z]+):(tok_[0-9a-f]{12})\]/g;
+
+export function findTokens(text) {
+  return [...new Set([...String(text || "").matchAll(TOKEN)].map((m) => m[2]))];
+}
+
+// -> { token: { kind, value } } for the tokens the vault holds
+export async function revealTokens(storage, tokens, { config = redactionConfig() } = {}) {
+  const key = config?.vaultKey || (process.env.REDACTION_VAULT_KEY ? parseKey(process.env.REDACTION_VAULT_KEY) : null);
+  if (!key) throw new RedactionError("vault_disabled", "The redaction vault is off (set REDACTION_VAULT_KEY)", 409);
+  const rows = tokens.length ? await storage.getVaultEntries(tokens) : [];
+  return Object.fromEntries(rows.map((r) => [r.TOKEN, { kind: r.KIND, value: decrypt(key, r.CIPHERTEXT) }]));
+}
+
+// ---- redaction ----
+// Placeholders written by any mode: [EMAIL], [EMAIL:3f2a91c0d4], [EMAIL:tok_3f2a91c0d4e5]
+const PLACEHOLDER = /(\[[A-Z]+(?::\w+)?\])/;
+
+// Apply `fn` to the text between placeholders, so text redacted once (by an earlier
+// detector, or at ingest before a rechunk) is never matched again
+const outside = (text, fn) => text.split(PLACEHOLDER).map((part, i) => (i % 2 ? part : fn(part))).join("");
+
+// A redactor for one meeting: redactValue() its fields, then read counts and vault entries
+function createRedactor(config) {
+  const counts = {};
+  const vault = new Map();
+
+  const replacement = (kind, label, value) => {
+    counts[kind] = (counts[kind] || 0) + 1;
+    if (config.mode === "mask") return `[${label}]`;
+    if (config.mode === "hash") return `[${label}:${digestFor(config.secret, kind, value).slice(0, 10)}]`;
+    const token = tokenFor(config.secret, kind, value);
+    if (config.vaultKey && !vault.has(token)) vault.set(token, { TOKEN: token, KIND: kind, CIPHERTEXT: encrypt(config.vaultKey, value) });
+    return `[${label}:${token}]`;
+  };
+
+  const redact = (text) => {
+    let out = String(text);
+    for (const name of config.detectors) {
+      const { label, patterns, validate } = DETECTORS[name];
+      for (const pattern of patterns) {
+        out = outside(out, (part) => part.replace(pattern, (match, group) => {
+          if (validate && !validate(match)) return match;
+          // Patterns with a capture group redact just the group ("password is <value>")
+          if (typeof group === "string") return match.slice(0, match.length - group.length) + replacement(name, label, group);
+          return replacement(name, label, match);
+        }));
+      }
+    }
+    for (const term of config.dictionary) {
+      const pattern = new RegExp(`(?<![\\w])${escape(term)}(?![\\w])`, "gi");
+      out = outside(out, (part) => part.replace(pattern, (match) => replacement("term", "REDACTED", match)));
+    }
+    return out;
+  };
+
+  // Strings anywhere inside arrays/objects (e.g. utterance lists), other values as they are
+  const redactValue = (value) => {
+    if (typeof value === "string") return redact(value);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v)]));
+    }
+    return value;
+  };
+
+  return { redactValue, counts, vault };
+}
+
+/**
+ * Redact `values` ({ field: string | structured }) for one meeting and record the run.
+ * -> { values, counts, total } with values in the same shape. With redaction off the
+ * values come back untouched. Vault entries (tokenize + REDACTION_VAULT_KEY) are saved,
+ * and an audit row is written for every ingest and for any later stage that found something.
+ */
+export async function redactMeeting(storage, { meetingId, stage, values, keyId = null, config = redactionConfig() }) {
+  if (!config) return { values, counts: {}, total: 0 };
+
+  const redactor = createRedactor(config);
+  const redacted = Object.fromEntries(Object.entries(values).map(([field, v]) => [field, v == null ? v : redactor.redactValue(v)]));
+  const total = Object.values(redactor.counts).reduce((a, b) => a + b, 0);
+
+  if (redactor.vault.size) await storage.saveVaultEntries([...redactor.vault.values()]);
+  if (stage === "ingest" || total > 0) {
+    await storage.recordRedaction({
+      MEETING_ID: meetingId,
+      STAGE: stage,
+      MODE: config.mode,
+      COUNTS: JSON.stringify(redactor.counts),
+      TOTAL: total,
+      KEY_ID: keyId,
+    });
+  }
+  if (total > 0) console.log(`Redacted ${total} value(s) in meeting ${meetingId} at ${stage}:`, redactor.counts);
+  return { values: redacted, counts: redactor.counts, total };
+}
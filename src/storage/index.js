@@ -0,0 +1,104 @@
+import { createSnowflakeStorage } from "./snowflake.js";
+import { createMemoryStorage } from "./memory.js";
+
+/**
+ * Storage backends for meetings, customers, API keys, access grants, webhook nonces,
+ * redaction audit/vault, deletion receipts, meeting insights, chunks, embeddings, hybrid search, conversations and jobs. Select one with STORAGE_BACKEND ("snowflake" by default,
+ * or "memory" for a fully local store). Rows use the Snowflake column names (MEETING_ID, CHUNK_ID, ...)
+ * whichever backend produced them. `embedder` arguments are embedding providers
+ * from src/providers.
+ *
+ * Every adapter implements:
+ *   close()
+ *   migrate({ dryRun })                         -> [{ version, name, statements }] (statements null on a
+ *                                               dry run when computed at apply time)
+ *   getMeeting(meetingId)                       -> MEETINGS row | null
+ *   saveMeeting(row)                            upsert on MEETING_ID + append to MEETING_REVISIONS
+ *   getMeetings(meetingIds)                     -> MEETINGS rows for these ids (missing ones left out)
+ *   saveMeetings(rows)                          saveMeeting() for a batch of distinct MEETING_IDs at once
+ *   listMeetings({ scope, chunkStatus, createdSince, outdated, sort, order, after, limit })
+ *                                               -> MEETINGS rows (newest per meeting) + CHUNKS-style filter
+ *                                               columns, CHUNK_COUNT, EMBEDDED_COUNT and SORT_KEY, filtered by
+ *                                               scope, chunk status ("none" | "pending" | "embedded"),
+ *                                               CREATED_AT >= createdSince and, with outdated { embedModel,
+ *                                               chunkerVersion }, having a chunk with another EMBED_MODEL or
+ *                                               CHUNKER_VERSION; starting after the { key, id } of the previous page
+ *   countMeetings({ scope, chunkStatus, createdSince, outdated })
+ *                                               -> how many meetings listMeetings() would return without a limit
+ *   findMeetingIdsMentioning(mentions)          -> [meetingId] whose participants, title, transcript or
+ *                                               summary contain one of these lowercase strings
+ *   meetingFootprint(meetingIds)                -> { table: rows } that deleteMeetings() would remove
+ *   deleteMeetings(meetingIds)                  delete the meetings with their revisions, chunks (and keyword
+ *                                               index), grants, redaction audit, insights, jobs and the
+ *                                               conversation turns citing them -> { table: rows deleted }
+ *   deleteMeetingHistory(meetingIds)            delete their MEETING_REVISIONS, insights and citing
+ *                                               CONVERSATION_TURNS -> { table: rows deleted }
+ *   deleteCustomers(customerIds)                delete CUSTOMERS rows and their ACCESS_GRANTS
+ *                                               -> { customers, access_grants }
+ *   saveDeletionReceipt(row)                    insert one DELETION_RECEIPTS row
+ *   listDeletionReceipts({ limit })             -> DELETION_RECEIPTS rows, newest first
+ *   getDeletionReceipt(receiptId)               -> DELETION_RECEIPTS row | null
+ *   listCustomers()                             -> CUSTOMERS rows (merged ones included)
+ *   getCustomer(customerId)                     -> CUSTOMERS row | null
+ *   saveCustomer(row)                           upsert on CUSTOMER_ID
+ *   listMeetingIdsForCustomer(customerId)       -> [meetingId]
+ *   assignCustomer(meetingIds, { customerId, locked })
+ *                                               set MEETINGS.CUSTOMER_ID (and CUSTOMER_LOCKED if given)
+ *                                               and the meetings' CHUNKS.CUSTOMER_ID, which access
+ *                                               filters read; the chunk text needs a rechunk
+ *   listApiKeys()                               -> API_KEYS rows, oldest first
+ *   getApiKey(keyId)                            -> API_KEYS row | null
+ *   saveApiKey(row)                             upsert on KEY_ID (LAST_USED_AT is left alone)
+ *   touchApiKey(keyId)                          set LAST_USED_AT to now
+ *   listAccessGrants({ teams })                 -> ACCESS_GRANTS rows, all of them or for these teams
+ *   saveAccessGrant(row)                        insert one ACCESS_GRANTS row
+ *   deleteAccessGrant(grantId)                  -> true if the grant existed
+ *   claimNonce(nonce, { expiresAt })           -> true the first time a webhook nonce is seen
+ *                                               (expired nonces are dropped)
+ *   recordRedaction(row)                        insert one REDACTION_AUDIT row
+ *   getRedactionAudit(meetingId)                -> the meeting's REDACTION_AUDIT rows, oldest first
+ *   saveVaultEntries(rows)                      insert REDACTION_VAULT rows whose TOKEN is new
+ *   getVaultEntries(tokens)                     -> REDACTION_VAULT rows for these tokens
+ *   deleteVaultEntries(tokens)                  -> number of REDACTION_VAULT rows deleted
+ *   saveInsights(meetingId, { run, items })     replace the meeting's MEETING_INSIGHTS row and INSIGHT_ITEMS
+ *   getInsightRun(meetingId)                    -> MEETING_INSIGHTS row | null
+ *   listInsightItems({ scope, kinds, owner, competitor, sentiment, dueFrom, dueTo, limit })
+ *                                               -> INSIGHT_ITEMS rows with their meeting's MEETING_TITLE,
+ *                                               MEETING_DATE, CUSTOMER_ID and CUSTOMER, filtered by scope
+ *                                               (as listMeetings()), newest meetings first
+ *   syncChunks(meetingId, rows)                 make `rows` the meeting's CHUNKS: rows with a stored CHUNK_ID
+ *                                               are updated and keep their embedding, the others are
+ *                                               inserted with their keyword index, the rest deleted
+ *   getChunksByIds(ids)                         -> CHUNKS rows (without embeddings)
+ *   listChunks(meetingId)                       -> the meeting's CHUNKS rows in order, without embeddings,
+ *                                               with EMBEDDED (true | false)
+ *   embedChunks(meetingId, embedder)            embed the meeting's chunks that have no embedding from `embedder`
+ *   embedQuery(text, embedder)                  -> number[]
+ *   searchChunks({ queryVec, embedModel, scope, limit, perMeetingCap })
+ *                                               -> CHUNKS rows + SIM (cosine), VEC, best first
+ *   searchLexical({ terms, embedModel, scope, limit, perMeetingCap })
+ *                                               -> CHUNKS rows + BM25, VEC, best first
+ *   getConversationTurns(conversationId, { limit })
+ *                                               -> the latest CONVERSATION_TURNS rows, oldest first
+ *   appendConversationTurn(row)                 insert one CONVERSATION_TURNS row
+ *   createJob({ jobId, type, meetingId, status, params, progress })
+ *   getJob(jobId)                               -> JOBS row | null
+ *   claimJob(jobId, { to, from, leaseMs })      -> true if the job moved from a `from` status to `to`,
+ *                                                  or was in `to` and not touched for `leaseMs`
+ *   touchJob(jobId)                             renew a running job's lease (UPDATED_AT)
+ *   saveJobProgress(jobId, { progress, status }) set PROGRESS (and STATUS, if given) of a running job
+ *   finishJob(jobId, { status, result, error })
+ */
+const backends = {
+  snowflake: createSnowflakeStorage,
+  memory: createMemoryStorage,
+};
+
+export async function openStorage(opts = {}) {
+  const name = (opts.backend || process.env.STORAGE_BACKEND || "snowflake").toLowerCase();
+  const create = backends[name];
+  if (!create) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}". Expected one of: ${Object.keys(backends).join(", ")}`);
+  }
+  return create(opts);
+}
@@ -0,0 +1,528 @@
+import { readFileSync, writeFileSync, existsSync } from "fs";
+import { cosine } from "../rag/hash-embed.js";
+import { termFrequencies, bm25Term } from "../rag/lexical.js";
+import { scopeMatches } from "../rag/filters.js";
+import { participantEmails } from "../customers/customers.js";
+
+// Local storage adapter: plain arrays of rows keyed like the Snowflake columns, with an
+// in-process cosine search over vectors from any non-Cortex embedding provider
+// (fake:hash by default). State lives for the life of the process; set LOCAL_STORE_PATH
+// to persist it as JSON between processes (e.g. separate `vercel dev` function
+// invocations). See ./index.js for the interface.
+
+const emptyState = () => ({
+  meetings: [], meeting_revisions: [], chunks: [], jobs: [], conversation_turns: [], customers: [], api_keys: [], access_grants: [], webhook_nonces: [],
+  redaction_audit: [], redaction_vault: [], deletion_receipts: [], meeting_insights: [], insight_items: [],
+});
+
+let state = emptyState();
+
+const now = () => new Date().toISOString();
+
+// Searchable chunks: embedded with `embedModel` and inside the scope filters
+function scopedChunks(embedModel, scope) {
+  return state.chunks
+    .filter((c) => c.EMBED_1024 && c.EMBED_MODEL === embedModel)
+    .filter((c) => scopeMatches(scope, c));
+}
+
+// Sort keys for listMeetings(), as strings that compare in the right order
+const MEETING_SORTS = {
+  datetime: (m) => (m.DATETIME ? new Date(m.DATETIME).toISOString() : "1970-01-01T00:00:00.000Z"),
+  created_at: (m) => new Date(m.CREATED_AT).toISOString(),
+  updated_at: (m) => new Date(m.UPDATED_AT || m.CREATED_AT).toISOString(),
+  title: (m) => String(m.TITLE || "").toLowerCase(),
+};
+
+// A MEETINGS row with the CHUNKS-style columns scope filters read, plus chunk counts
+function meetingView(m) {
+  const chunks = state.chunks.filter((c) => c.MEETING_ID === m.MEETING_ID);
+  const customer = m.CUSTOMER_ID && state.customers.find((c) => c.CUSTOMER_ID === m.CUSTOMER_ID);
+  return {
+    ...m,
+    MEETING_TITLE: m.TITLE,
+    MEETING_DATE: m.DATETIME ? new Date(m.DATETIME).toISOString().slice(0, 10) : null,
+    CUSTOMER: customer?.NAME || m.CUSTOMER || null,
+    PARTICIPANT_EMAILS: JSON.stringify(participantEmails(m.PARTICIPANTS)),
+    CHUNK_COUNT: chunks.length,
+    EMBEDDED_COUNT: chunks.filter((c) => c.EMBED_1024).length,
+  };
+}
+
+const CHUNK_STATUS = {
+  none: (r) => r.CHUNK_COUNT === 0,
+  pending: (r) => r.CHUNK_COUNT > 0 && r.EMBEDDED_COUNT < r.CHUNK_COUNT,
+  embedded: (r) => r.CHUNK_COUNT > 0 && r.EMBEDDED_COUNT === r.CHUNK_COUNT,
+};
+
+// listMeetings() and countMeetings() filters over meetingView() rows
+function meetingFilter({ scope, chunkStatus, createdSince, outdated }) {
+  const since = createdSince ? Date.parse(createdSince) : null;
+  // Chunks embedded with another model (or not at all), or cut by another chunker version
+  const stale = (c) => (outdated.embedModel && (c.EMBED_MODEL ?? null) !== outdated.embedModel)
+    || (outdated.chunkerVersion && (c.CHUNKER_VERSION ?? null) !== outdated.chunkerVersion);
+  return (r) => scopeMatches(scope, r)
+    && (!chunkStatus || CHUNK_STATUS[chunkStatus](r))
+    && (since == null || Date.parse(r.CREATED_AT) >= since)
+    && (!outdated || state.chunks.some((c) => c.MEETING_ID === r.MEETING_ID && stale(c)));
+}
+
+// Tables (state keys) with rows keyed by MEETING_ID that go with a deleted meeting
+const MEETING_TABLES = [
+  "meeting_revisions", "chunks", "access_grants", "redaction_audit", "meeting_insights", "insight_items", "jobs", "meetings",
+];
+
+// Insights extracted from a meeting's text go with its unmasked history
+const HISTORY_TABLES = ["meeting_revisions", "meeting_insights", "insight_items"];
+
+// Conversation turns whose SOURCES cite a chunk of one of `ids`
+function citingTurns(ids) {
+  const chunkIds = new Set(state.chunks.filter((c) => ids.has(c.MEETING_ID)).map((c) => c.CHUNK_ID));
+  return (t) => JSON.parse(t.SOURCES || "[]").some((id) => chunkIds.has(id));
+}
+
+// Best-first rows -> at most `perMeetingCap` per meeting, `limit` overall
+function capPerMeeting(rows, perMeetingCap, limit) {
+  const perMeeting = new Map();
+  const out = [];
+  for (const row of rows) {
+    const n = perMeeting.get(row.MEETING_ID) || 0;
+    if (n >= perMeetingCap) continue;
+    perMeeting.set(row.MEETING_ID, n + 1);
+    out.push(row);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+function load(path) {
+  if (path && existsSync(path)) {
+    state = { ...emptyState(), ...JSON.parse(readFileSync(path, "utf8")) };
+  }
+}
+
+// Drop all local data (tests and the evaluation harness start from a clean store)
+export function resetMemoryStorage() {
+  state = emptyState();
+}
+
+export async function createMemoryStorage({ path = process.env.LOCAL_STORE_PATH } = {}) {
+  load(path);
+  const save = () => {
+    if (path) writeFileSync(path, JSON.stringify(state));
+  };
+  // Upsert on MEETING_ID + append to MEETING_REVISIONS
+  const putMeeting = (row) => {
+    const existing = state.meetings.find((m) => m.MEETING_ID === row.MEETING_ID);
+    if (existing) {
+      Object.assign(existing, row, { UPDATED_AT: now() });
+    } else {
+      state.meetings.push({ ...row, CREATED_AT: now(), UPDATED_AT: now() });
+    }
+    state.meeting_revisions.push({ ...row, CREATED_AT: now() });
+  };
+
+  return {
+    name: "memory",
+
+    close() {},
+
+    async migrate() {
+      return [];
+    },
+
+    // ---- meetings ----
+    // Copies, so a caller's changes only reach the store through saveMeeting(), as with Snowflake
+    async getMeeting(meetingId) {
+      const meeting = state.meetings.find((m) => m.MEETING_ID === meetingId);
+      return meeting ? { ...meeting } : null;
+    },
+
+    async saveMeeting(row) {
+      putMeeting(row);
+      save();
+    },
+
+    async getMeetings(meetingIds) {
+      const wanted = new Set(meetingIds);
+      return state.meetings.filter((m) => wanted.has(m.MEETING_ID)).map((m) => ({ ...m }));
+    },
+
+    async saveMeetings(rows) {
+      rows.forEach(putMeeting);
+      save();
+    },
+
+    async listMeetings({ scope, chunkStatus, createdSince, outdated, sort = "datetime", order = "desc", after, limit = 50 }) {
+      const keyOf = MEETING_SORTS[sort];
+      const dir = order === "asc" ? 1 : -1;
+      // Plain code-unit order, as Snowflake compares strings
+      const cmp = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+      const compare = (a, b) => dir * (cmp(a.SORT_KEY, b.SORT_KEY) || cmp(a.MEETING_ID, b.MEETING_ID));
+      return state.meetings
+        .map((m) => ({ ...meetingView(m), SORT_KEY: keyOf(m) }))
+        .filter(meetingFilter({ scope, chunkStatus, createdSince, outdated }))
+        .filter((r) => !after || compare(r, { SORT_KEY: after.key, MEETING_ID: after.id }) > 0)
+        .sort(compare)
+        .slice(0, limit);
+    },
+
+    async countMeetings(filters) {
+      return state.meetings.map(meetingView).filter(meetingFilter(filters)).length;
+    },
+
+    async findMeetingIdsMentioning(mentions) {
+      const fields = ["PARTICIPANTS", "TITLE", "TRANSCRIPT", "GRANOLA_SUMMARY"];
+      return state.meetings
+        .filter((m) => fields.some((f) => mentions.some((x) => String(m[f] || "").toLowerCase().includes(x))))
+        .map((m) => m.MEETING_ID)
+        .sort();
+    },
+
+    // ---- deletion ----
+    async meetingFootprint(meetingIds) {
+      const ids = new Set(meetingIds);
+      const counts = Object.fromEntries(MEETING_TABLES.map((t) => [t, state[t].filter((r) => ids.has(r.MEETING_ID)).length]));
+      counts.conversation_turns = state.conversation_turns.filter(citingTurns(ids)).length;
+      return counts;
+    },
+
+    async deleteMeetings(meetingIds) {
+      const ids = new Set(meetingIds);
+      const counts = {};
+      const cites = citingTurns(ids);
+      const before = state.conversation_turns.length;
+      state.conversation_turns = state.conversation_turns.filter((t) => !cites(t));
+      counts.conversation_turns = before - state.conversation_turns.length;
+      for (const table of MEETING_TABLES) {
+        const n = state[table].length;
+        state[table] = state[table].filter((r) => !ids.has(r.MEETING_ID));
+        counts[table] = n - state[table].length;
+      }
+      save();
+      return counts;
+    },
+
+    async deleteMeetingHistory(meetingIds) {
+      const ids = new Set(meetingIds);
+      const cites = citingTurns(ids);
+      const turns = state.conversation_turns.length;
+      state.conversation_turns = state.conversation_turns.filter((t) => !cites(t));
+      const counts = { conversation_turns: turns - state.conversation_turns.length };
+      for (const table of HISTORY_TABLES) {
+        const n = state[table].length;
+        state[table] = state[table].filter((r) => !ids.has(r.MEETING_ID));
+        counts[table] = n - state[table].length;
+      }
+      save();
+      return counts;
+    },
+
+    async deleteCustomers(customerIds) {
+      const ids = new Set(customerIds);
+      const customers = state.customers.length;
+      const grants = state.access_grants.length;
+      state.customers = state.customers.filter((c) => !ids.has(c.CUSTOMER_ID));
+      state.access_grants = state.access_grants.filter((g) => !ids.has(g.CUSTOMER_ID));
+      save();
+      return { customers: customers - state.customers.length, access_grants: grants - state.access_grants.length };
+    },
+
+    async saveDeletionReceipt(row) {
+      state.deletion_receipts.push({ ...row, CREATED_AT: now() });
+      save();
+    },
+
+    async listDeletionReceipts({ limit = 100 } = {}) {
+      return [...state.deletion_receipts].reverse().slice(0, limit).map((r) => ({ ...r }));
+    },
+
+    async getDeletionReceipt(receiptId) {
+      const receipt = state.deletion_receipts.find((r) => r.RECEIPT_ID === receiptId);
+      return receipt ? { ...receipt } : null;
+    },
+
+    // ---- customers ----
+    async listCustomers() {
+      return [...state.customers].sort((a, b) => a.NAME.localeCompare(b.NAME)).map((c) => ({ ...c }));
+    },
+
+    async getCustomer(customerId) {
+      const customer = state.customers.find((c) => c.CUSTOMER_ID === customerId);
+      return customer ? { ...customer } : null;
+    },
+
+    async saveCustomer(row) {
+      const existing = state.customers.find((c) => c.CUSTOMER_ID === row.CUSTOMER_ID);
+      if (existing) Object.assign(existing, row, { UPDATED_AT: now() });
+      else state.customers.push({ ...row, CREATED_AT: now(), UPDATED_AT: now() });
+      save();
+    },
+
+    async listMeetingIdsForCustomer(customerId) {
+      return state.meetings
+        .filter((m) => m.CUSTOMER_ID === customerId)
+        .map((m) => m.MEETING_ID)
+        .sort();
+    },
+
+    async assignCustomer(meetingIds, { customerId, locked }) {
+      const ids = new Set(meetingIds);
+      for (const m of state.meetings.filter((m) => ids.has(m.MEETING_ID))) {
+        Object.assign(m, { CUSTOMER_ID: customerId, UPDATED_AT: now() }, locked != null ? { CUSTOMER_LOCKED: locked } : {});
+      }
+      for (const c of state.chunks.filter((c) => ids.has(c.MEETING_ID))) {
+        c.CUSTOMER_ID = customerId;
+      }
+      save();
+    },
+
+    // ---- API keys ----
+    async listApiKeys() {
+      return state.api_keys.map((k) => ({ ...k }));
+    },
+
+    async getApiKey(keyId) {
+      const key = state.api_keys.find((k) => k.KEY_ID === keyId);
+      return key ? { ...key } : null;
+    },
+
+    async saveApiKey(row) {
+      const existing = state.api_keys.find((k) => k.KEY_ID === row.KEY_ID);
+      if (existing) Object.assign(existing, row, { UPDATED_AT: now() });
+      else state.api_keys.push({ ...row, LAST_USED_AT: null, CREATED_AT: now(), UPDATED_AT: now() });
+      save();
+    },
+
+    async touchApiKey(keyId) {
+      const key = state.api_keys.find((k) => k.KEY_ID === keyId);
+      if (key) key.LAST_USED_AT = now();
+      save();
+    },
+
+    // ---- access grants ----
+    async listAccessGrants({ teams } = {}) {
+      return state.access_grants.filter((g) => !teams || teams.includes(g.TEAM)).map((g) => ({ ...g }));
+    },
+
+    async saveAccessGrant(row) {
+      state.access_grants.push({ ...row, CREATED_AT: now() });
+      save();
+    },
+
+    async deleteAccessGrant(grantId) {
+      const before = state.access_grants.length;
+      state.access_grants = state.access_grants.filter((g) => g.GRANT_ID !== grantId);
+      save();
+      return state.access_grants.length < before;
+    },
+
+    // ---- webhook nonces ----
+    async claimNonce(nonce, { expiresAt }) {
+      state.webhook_nonces = state.webhook_nonces.filter((n) => n.EXPIRES_AT >= now());
+      if (state.webhook_nonces.some((n) => n.NONCE === nonce)) return false;
+      state.webhook_nonces.push({ NONCE: nonce, EXPIRES_AT: expiresAt, CREATED_AT: now() });
+      save();
+      return true;
+    },
+
+    // ---- redaction ----
+    async recordRedaction(row) {
+      state.redaction_audit.push({ ...row, CREATED_AT: now() });
+      save();
+    },
+
+    async getRedactionAudit(meetingId) {
+      return state.redaction_audit.filter((a) => a.MEETING_ID === meetingId).map((a) => ({ ...a }));
+    },
+
+    async saveVaultEntries(rows) {
+      for (const row of rows) {
+        if (!state.redaction_vault.some((v) => v.TOKEN === row.TOKEN)) state.redaction_vault.push({ ...row, CREATED_AT: now() });
+      }
+      save();
+    },
+
+    async getVaultEntries(tokens) {
+      return state.redaction_vault.filter((v) => tokens.includes(v.TOKEN)).map((v) => ({ ...v }));
+    },
+
+    async deleteVaultEntries(tokens) {
+      const before = state.redaction_vault.length;
+      state.redaction_vault = state.redaction_vault.filter((v) => !tokens.includes(v.TOKEN));
+      save();
+      return before - state.redaction_vault.length;
+    },
+
+    // ---- insights ----
+    async saveInsights(meetingId, { run, items }) {
+      state.meeting_insights = state.meeting_insights.filter((r) => r.MEETING_ID !== meetingId);
+      state.insight_items = state.insight_items.filter((i) => i.MEETING_ID !== meetingId);
+      state.meeting_insights.push({ ...run, CREATED_AT: now() });
+      state.insight_items.push(...items.map((i) => ({ ...i, CREATED_AT: now() })));
+      save();
+    },
+
+    async getInsightRun(meetingId) {
+      const run = state.meeting_insights.find((r) => r.MEETING_ID === meetingId);
+      return run ? { ...run } : null;
+    },
+
+    async listInsightItems({ scope, kinds, owner, competitor, sentiment, dueFrom, dueTo, limit = 100 }) {
+      const views = new Map(state.meetings.map((m) => [m.MEETING_ID, meetingView(m)]));
+      const has = (value, needle) => String(value || "").toLowerCase().includes(needle.toLowerCase());
+      const cmp = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+      return state.insight_items
+        .filter((i) => views.has(i.MEETING_ID) && scopeMatches(scope, views.get(i.MEETING_ID)))
+        .filter((i) => !kinds || kinds.includes(i.KIND))
+        .filter((i) => !owner || has(i.OWNER, owner))
+        .filter((i) => !competitor || has(i.COMPETITOR, competitor))
+        .filter((i) => !sentiment || i.SENTIMENT === sentiment)
+        .filter((i) => !dueFrom || (i.DUE_DATE && i.DUE_DATE >= dueFrom))
+        .filter((i) => !dueTo || (i.DUE_DATE && i.DUE_DATE <= dueTo))
+        .map((i) => {
+          const m = views.get(i.MEETING_ID);
+          return { ...i, MEETING_TITLE: m.MEETING_TITLE, MEETING_DATE: m.MEETING_DATE, CUSTOMER_ID: m.CUSTOMER_ID, CUSTOMER: m.CUSTOMER };
+        })
+        .sort((a, b) => cmp(b.MEETING_DATE || "", a.MEETING_DATE || "") || cmp(a.MEETING_ID, b.MEETING_ID) || a.IDX - b.IDX)
+        .slice(0, limit);
+    },
+
+    // ---- chunks ----
+    async syncChunks(meetingId, rows) {
+      const previous = new Map(state.chunks.filter((c) => c.MEETING_ID === meetingId).map((c) => [c.CHUNK_ID, c]));
+      state.chunks = state.chunks.filter((c) => c.MEETING_ID !== meetingId);
+      state.chunks.push(...rows.map((r) => {
+        const kept = previous.get(r.CHUNK_ID);
+        return kept
+          ? { ...kept, ...r, TERM_COUNT: termFrequencies(r.TEXT).length }
+          : { ...r, TERM_COUNT: termFrequencies(r.TEXT).length, EMBED_1024: null, EMBED_MODEL: null, CREATED_AT: now() };
+      }));
+      save();
+    },
+
+    async listChunks(meetingId) {
+      return state.chunks
+        .filter((c) => c.MEETING_ID === meetingId)
+        .sort((a, b) => a.IDX - b.IDX)
+        .map(({ EMBED_1024, ...c }) => ({ ...c, EMBEDDED: Boolean(EMBED_1024) }));
+    },
+
+    async getChunksByIds(ids) {
+      const wanted = new Set(ids);
+      return state.chunks
+        .filter((c) => wanted.has(c.CHUNK_ID))
+        .map(({ EMBED_1024, ...c }) => c);
+    },
+
+    // ---- embeddings ----
+    async embedChunks(meetingId, embedder) {
+      const pending = state.chunks.filter((c) => c.MEETING_ID === meetingId && (!c.EMBED_1024 || c.EMBED_MODEL !== embedder.id));
+      if (!pending.length) return;
+      const vectors = await embedder.embed(pending.map((c) => c.TEXT));
+      pending.forEach((c, i) => {
+        c.EMBED_1024 = vectors[i];
+        c.EMBED_MODEL = embedder.id;
+      });
+      save();
+    },
+
+    async embedQuery(text, embedder) {
+      return (await embedder.embed([text]))[0];
+    },
+
+    // ---- search ----
+    // Same rankings as the Snowflake adapter. The keyword index is built from the
+    // chunk text on each search, which is fine at local-store sizes.
+    async searchChunks({ queryVec, embedModel, scope, limit, perMeetingCap = 6 }) {
+      const scored = scopedChunks(embedModel, scope)
+        .map(({ EMBED_1024, ...c }) => ({ ...c, SIM: cosine(EMBED_1024, queryVec), VEC: EMBED_1024 }))
+        .sort((a, b) => b.SIM - a.SIM);
+      return capPerMeeting(scored, perMeetingCap, limit);
+    },
+
+    async searchLexical({ terms, embedModel, scope, limit, perMeetingCap = 6 }) {
+      if (!terms.length) return [];
+      const docs = scopedChunks(embedModel, scope).map((c) => ({ row: c, ...termFrequencies(c.TEXT) }));
+      const avgDocLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+      const df = new Map(terms.map((t) => [t, docs.filter((d) => d.terms.has(t)).length]));
+
+      const scored = docs
+        .map(({ row: { EMBED_1024, ...c }, terms: tf, length }) => {
+          const BM25 = terms
+            .filter((t) => tf.has(t))
+            .reduce((sum, t) => sum + bm25Term({ tf: tf.get(t), df: df.get(t), docCount: docs.length, docLength: length, avgDocLength }), 0);
+          return { ...c, BM25, VEC: EMBED_1024 };
+        })
+        .filter((r) => r.BM25 > 0)
+        .sort((a, b) => b.BM25 - a.BM25);
+      return capPerMeeting(scored, perMeetingCap, limit);
+    },
+
+    // ---- conversations ----
+    async getConversationTurns(conversationId, { limit = 10 } = {}) {
+      return state.conversation_turns
+        .filter((t) => t.CONVERSATION_ID === conversationId)
+        .sort((a, b) => a.TURN - b.TURN)
+        .slice(-limit)
+        .map((t) => ({ ...t }));
+    },
+
+    async appendConversationTurn(row) {
+      state.conversation_turns.push({ ...row, CREATED_AT: now() });
+      save();
+    },
+
+    // ---- jobs ----
+    async createJob({ jobId, type, meetingId, status, params = null, progress = null }) {
+      state.jobs.push({
+        JOB_ID: jobId, JOB_TYPE: type, MEETING_ID: meetingId || null, STATUS: status,
+        ATTEMPTS: 0, RESULT: null, ERROR: null,
+        PARAMS: params ? JSON.stringify(params) : null, PROGRESS: progress ? JSON.stringify(progress) : null,
+        CREATED_AT: now(), UPDATED_AT: now(), STARTED_AT: null, FINISHED_AT: null,
+      });
+      save();
+    },
+
+    async getJob(jobId) {
+      const job = state.jobs.find((j) => j.JOB_ID === jobId);
+      return job ? { ...job } : null;
+    },
+
+    async claimJob(jobId, { to, from, leaseMs }) {
+      const job = state.jobs.find((j) => j.JOB_ID === jobId);
+      const expired = leaseMs && job?.STATUS === to && Date.now() - Date.parse(job.UPDATED_AT) > leaseMs;
+      if (!job || (!from.includes(job.STATUS) && !expired)) return false;
+      Object.assign(job, {
+        STATUS: to, ATTEMPTS: job.ATTEMPTS + 1, ERROR: null,
+        STARTED_AT: now(), FINISHED_AT: null, UPDATED_AT: now(),
+      });
+      save();
+      return true;
+    },
+
+    async touchJob(jobId) {
+      const job = state.jobs.find((j) => j.JOB_ID === jobId);
+      if (!job) return;
+      job.UPDATED_AT = now();
+      save();
+    },
+
+    async saveJobProgress(jobId, { progress, status }) {
+      const job = state.jobs.find((j) => j.JOB_ID === jobId);
+      if (!job) return;
+      Object.assign(job, { PROGRESS: JSON.stringify(progress), STATUS: status || job.STATUS, UPDATED_AT: now() });
+      save();
+    },
+
+    async finishJob(jobId, { status, result = null, error = null }) {
+      const job = state.jobs.find((j) => j.JOB_ID === jobId);
+      if (!job) return;
+      Object.assign(job, {
+        STATUS: status, RESULT: result ? JSON.stringify(result) : null, ERROR: error,
+        FINISHED_AT: now(), UPDATED_AT: now(),
+      });
+      save();
+    },
+  };
+}
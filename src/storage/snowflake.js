@@ -0,0 +1,854 @@
+import { getConn, exec } from "../../utils/snowflake.js";
+import { runMigrations, ensureSchema } from "../db/migrations.js";
+import { termFrequencies, BM25_K1, BM25_B } from "../rag/lexical.js";
+import { containsSql, likeLiteral, scopeToSql } from "../rag/filters.js";
+
+const MEETING_COLUMNS = [
+  "MEETING_ID", "TITLE", "DATETIME", "PARTICIPANTS", "NOTE_URL",
+  "GRANOLA_SUMMARY", "TRANSCRIPT", "CUSTOMER", "CONTENT_HASH", "REVISION",
+  "CUSTOMER_ID", "TAGS",
+];
+
+const CHUNK_COLUMNS = [
+  "CHUNK_ID", "MEETING_ID", "IDX", "TEXT",
+  "MEETING_TITLE", "MEETING_DATE", "CUSTOMER",
+  "SECTION_ID", "SECTION_TITLE", "TOKEN_COUNT", "CONTENT_HASH",
+  "SPEAKERS", "START_SEC", "END_SEC", "EMBED_MODEL", "TERM_COUNT",
+  "CUSTOMER_ID", "TAGS", "PARTICIPANT_EMAILS", "CHUNKER_VERSION",
+];
+
+const CUSTOMER_COLUMNS = ["CUSTOMER_ID", "NAME", "ALIASES", "DOMAINS", "MERGED_INTO", "OWNER_EMAILS"];
+
+const KEY_COLUMNS = [
+  "KEY_ID", "NAME", "KEY_HASH", "SCOPES", "CUSTOMER_IDS", "USER_EMAIL", "TEAMS", "ACCESS",
+  "EXPIRES_AT", "REVOKED_AT",
+];
+
+const GRANT_COLUMNS = ["GRANT_ID", "TEAM", "CUSTOMER_ID", "MEETING_ID"];
+
+const AUDIT_COLUMNS = ["MEETING_ID", "STAGE", "MODE", "COUNTS", "TOTAL", "KEY_ID"];
+
+const RECEIPT_COLUMNS = ["RECEIPT_ID", "ACTION", "MODE", "CRITERIA", "MEETING_IDS", "COUNTS", "KEY_ID"];
+
+const INSIGHT_RUN_COLUMNS = ["MEETING_ID", "REVISION", "MODEL", "COUNTS", "KEY_ID"];
+
+const INSIGHT_COLUMNS = [
+  "INSIGHT_ID", "MEETING_ID", "IDX", "KIND", "TEXT", "OWNER", "DUE_DATE", "COMPETITOR", "SENTIMENT", "SOURCES",
+];
+
+// listMeetings() sort keys: the SQL expression over MEETING_VIEW, how a cursor value
+// binds, and the string form returned as SORT_KEY. Timestamps keep all nine fractional
+// digits: a key cut to milliseconds sorts before the row it came from, so a "desc" page
+// would repeat that row and an "asc" page would skip its ties.
+const TS_FORMAT = `'YYYY-MM-DD"T"HH24:MI:SS.FF9TZH:TZM'`;
+const TS_BIND = `TO_TIMESTAMP_TZ(?, ${TS_FORMAT})`;
+const TS_OUT = (sql) => `TO_VARCHAR(${sql}, ${TS_FORMAT})`;
+const MEETING_SORTS = {
+  datetime: { sql: "COALESCE(DATETIME, '1970-01-01'::TIMESTAMP_TZ)", bind: TS_BIND, out: TS_OUT },
+  created_at: { sql: "CREATED_AT", bind: TS_BIND, out: TS_OUT },
+  updated_at: { sql: "COALESCE(UPDATED_AT, CREATED_AT)", bind: TS_BIND, out: TS_OUT },
+  title: { sql: "LOWER(COALESCE(TITLE, ''))", bind: "?", out: (sql) => sql },
+};
+
+// The newest row per meeting, with the CHUNKS-style columns scope filters read (the
+// participant regex matches customers.participantEmails) and its chunk counts
+const MEETING_VIEW = `
+  SELECT m.MEETING_ID, m.TITLE, m.DATETIME, m.PARTICIPANTS, m.NOTE_URL, m.CUSTOMER_ID, m.TAGS,
+         m.REVISION, m.CREATED_AT, m.UPDATED_AT,
+         m.TITLE AS MEETING_TITLE,
+         TO_VARCHAR(m.DATETIME::DATE) AS MEETING_DATE,
+         COALESCE(cu.NAME, m.CUSTOMER) AS CUSTOMER,
+         TO_JSON(REGEXP_SUBSTR_ALL(LOWER(m.PARTICIPANTS), '[^[:space:]"@,;<>]+@[^[:space:]"@,;<>]+[.][^[:space:]"@,;<>]+')) AS PARTICIPANT_EMAILS,
+         COALESCE(k.CHUNK_COUNT, 0) AS CHUNK_COUNT,
+         COALESCE(k.EMBEDDED_COUNT, 0) AS EMBEDDED_COUNT
+    FROM MEETINGS m
+    LEFT JOIN CUSTOMERS cu ON cu.CUSTOMER_ID = m.CUSTOMER_ID
+    LEFT JOIN (
+      SELECT MEETING_ID, COUNT(*) AS CHUNK_COUNT, COUNT(EMBED_1024) AS EMBEDDED_COUNT
+        FROM CHUNKS
+       GROUP BY MEETING_ID
+    ) k ON k.MEETING_ID = m.MEETING_ID
+  QUALIFY ROW_NUMBER() OVER (PARTITION BY m.MEETING_ID ORDER BY COALESCE(m.UPDATED_AT, m.CREATED_AT) DESC) = 1`;
+
+const CHUNK_STATUS_SQL = {
+  none: "CHUNK_COUNT = 0",
+  pending: "CHUNK_COUNT > 0 AND EMBEDDED_COUNT < CHUNK_COUNT",
+  embedded: "CHUNK_COUNT > 0 AND EMBEDDED_COUNT = CHUNK_COUNT",
+};
+
+// WHERE conditions over MEETING_VIEW (aliased v) for listMeetings() and countMeetings()
+function meetingConditions({ scope, chunkStatus, createdSince, outdated }) {
+  const where = scopeToSql(scope);
+  const conditions = [where.sql];
+  const binds = [...where.binds];
+  if (chunkStatus) conditions.push(CHUNK_STATUS_SQL[chunkStatus]);
+  if (createdSince) {
+    conditions.push("v.CREATED_AT >= TO_TIMESTAMP_TZ(?)");
+    binds.push(createdSince);
+  }
+  if (outdated) {
+    // Chunks embedded with another model (or not at all), or cut by another chunker version
+    const stale = [];
+    if (outdated.embedModel) stale.push("c.EMBED_MODEL IS DISTINCT FROM ?");
+    if (outdated.chunkerVersion) stale.push("c.CHUNKER_VERSION IS DISTINCT FROM ?");
+    conditions.push(`EXISTS (SELECT 1 FROM CHUNKS c WHERE c.MEETING_ID = v.MEETING_ID AND (${stale.join(" OR ")}))`);
+    binds.push(...[outdated.embedModel, outdated.chunkerVersion].filter(Boolean));
+  }
+  return { conditions, binds };
+}
+
+// Tables with rows keyed by MEETING_ID that go with a deleted meeting. CHUNK_TERMS goes
+// with CHUNKS and isn't counted separately.
+const MEETING_TABLES = [
+  "MEETING_REVISIONS", "CHUNKS", "ACCESS_GRANTS", "REDACTION_AUDIT", "MEETING_INSIGHTS", "INSIGHT_ITEMS", "JOBS", "MEETINGS",
+];
+
+// Insights extracted from a meeting's text go with its unmasked history
+const HISTORY_TABLES = ["MEETING_REVISIONS", "MEETING_INSIGHTS", "INSIGHT_ITEMS"];
+
+// Conversation turns whose SOURCES cite a chunk of one of `n` meetings (ids bound after)
+const citingTurns = (n) => `EXISTS (
+  SELECT 1 FROM CHUNKS c
+   WHERE c.MEETING_ID IN (${Array(n).fill("?").join(", ")})
+     AND CONTAINS(t.SOURCES, c.CHUNK_ID)
+)`;
+
+const TURN_COLUMNS = [
+  "CONVERSATION_ID", "TURN", "QUESTION", "STANDALONE_QUESTION",
+  "SCOPE", "ANSWER", "SOURCES", "MODEL", "KEY_ID",
+];
+
+// Storage adapter backed by a single Snowflake connection. See ./index.js for the interface.
+export async function createSnowflakeStorage({ migrate = true } = {}) {
+  const conn = await getConn();
+  if (migrate) await ensureSchema(conn);
+
+  return {
+    name: "snowflake",
+    conn,
+
+    close() {
+      conn.destroy();
+    },
+
+    migrate(opts) {
+      return runMigrations(conn, opts);
+    },
+
+    // ---- meetings ----
+    async getMeeting(meetingId) {
+      // Older deployments may hold several rows per meeting; the newest one is current
+      const rows = await exec(
+        conn,
+        `SELECT *
+           FROM MEETINGS
+          WHERE MEETING_ID = ?
+          ORDER BY COALESCE(UPDATED_AT, CREATED_AT) DESC
+          LIMIT 1`,
+        [meetingId]
+      );
+      return rows[0] || null;
+    },
+
+    async saveMeeting(row) {
+      const values = MEETING_COLUMNS.map((c) => row[c] ?? null);
+      await exec(
+        conn,
+        `MERGE INTO MEETINGS t
+         USING (SELECT ${MEETING_COLUMNS.map((c) => `? AS ${c}`).join(", ")}) s
+         ON t.MEETING_ID = s.MEETING_ID
+         WHEN MATCHED THEN UPDATE SET
+           ${MEETING_COLUMNS.slice(1).map((c) => `${c} = s.${c}`).join(", ")}, UPDATED_AT = CURRENT_TIMESTAMP()
+         WHEN NOT MATCHED THEN INSERT (${MEETING_COLUMNS.join(", ")}, UPDATED_AT)
+           VALUES (${MEETING_COLUMNS.map((c) => `s.${c}`).join(", ")}, CURRENT_TIMESTAMP())`,
+        values
+      );
+      await exec(
+        conn,
+        `INSERT INTO MEETING_REVISIONS (${MEETING_COLUMNS.join(", ")})
+         VALUES (${MEETING_COLUMNS.map(() => "?").join(", ")})`,
+        values
+      );
+    },
+
+    async getMeetings(meetingIds) {
+      if (!meetingIds.length) return [];
+      return exec(
+        conn,
+        `SELECT *
+           FROM MEETINGS
+          WHERE MEETING_ID IN (${meetingIds.map(() => "?").join(", ")})
+          QUALIFY ROW_NUMBER() OVER (PARTITION BY MEETING_ID ORDER BY COALESCE(UPDATED_AT, CREATED_AT) DESC) = 1`,
+        meetingIds
+      );
+    },
+
+    // One MERGE and one revisions INSERT for the whole batch (one row per MEETING_ID)
+    async saveMeetings(rows) {
+      if (!rows.length) return;
+      const values = rows.flatMap((row) => MEETING_COLUMNS.map((c) => row[c] ?? null));
+      const select = `SELECT ${MEETING_COLUMNS.map((c) => `? AS ${c}`).join(", ")}`;
+      await exec(
+        conn,
+        `MERGE INTO MEETINGS t
+         USING (${rows.map(() => select).join(" UNION ALL ")}) s
+         ON t.MEETING_ID = s.MEETING_ID
+         WHEN MATCHED THEN UPDATE SET
+           ${MEETING_COLUMNS.slice(1).map((c) => `${c} = s.${c}`).join(", ")}, UPDATED_AT = CURRENT_TIMESTAMP()
+         WHEN NOT MATCHED THEN INSERT (${MEETING_COLUMNS.join(", ")}, UPDATED_AT)
+           VALUES (${MEETING_COLUMNS.map((c) => `s.${c}`).join(", ")}, CURRENT_TIMESTAMP())`,
+        values
+      );
+      await exec(
+        conn,
+        `INSERT INTO MEETING_REVISIONS (${MEETING_COLUMNS.join(", ")})
+         VALUES ${rows.map(() => `(${MEETING_COLUMNS.map(() => "?").join(", ")})`).join(", ")}`,
+        values
+      );
+    },
+
+    // Keyset pagination: `after` is the previous page's last { key: SORT_KEY, id: MEETING_ID }
+    async listMeetings({ scope, chunkStatus, createdSince, outdated, sort = "datetime", order = "desc", after, limit = 50 }) {
+      const key = MEETING_SORTS[sort];
+      const dir = order === "asc" ? "ASC" : "DESC";
+      const { conditions, binds } = meetingConditions({ scope, chunkStatus, createdSince, outdated });
+      if (after) {
+        const op = order === "asc" ? ">" : "<";
+        conditions.push(`(${key.sql} ${op} ${key.bind} OR (${key.sql} = ${key.bind} AND v.MEETING_ID ${op} ?))`);
+        binds.push(after.key, after.key, after.id);
+      }
+      return exec(
+        conn,
+        `SELECT v.*, ${key.out(key.sql)} AS SORT_KEY
+           FROM (${MEETING_VIEW}) v
+          WHERE ${conditions.join(" AND ")}
+          ORDER BY ${key.sql} ${dir}, v.MEETING_ID ${dir}
+          LIMIT ${Number(limit)}`,
+        binds
+      );
+    },
+
+    async countMeetings(filters) {
+      const { conditions, binds } = meetingConditions(filters);
+      const rows = await exec(
+        conn,
+        `SELECT COUNT(*) AS N FROM (${MEETING_VIEW}) v WHERE ${conditions.join(" AND ")}`,
+        binds
+      );
+      return Number(rows[0]?.N || 0);
+    },
+
+    // Meetings whose participants, title, transcript or summary contain one of `mentions`
+    // (lowercase substrings; callers check for whole words)
+    async findMeetingIdsMentioning(mentions) {
+      if (!mentions.length) return [];
+      const fields = ["PARTICIPANTS", "TITLE", "TRANSCRIPT", "GRANOLA_SUMMARY"];
+      const rows = await exec(
+        conn,
+        `SELECT DISTINCT MEETING_ID FROM MEETINGS
+          WHERE ${mentions.map(() => fields.map((f) => `CONTAINS(LOWER(COALESCE(${f}, '')), ?)`).join(" OR ")).join(" OR ")}
+          ORDER BY MEETING_ID`,
+        mentions.flatMap((m) => fields.map(() => m))
+      );
+      return rows.map((r) => r.MEETING_ID);
+    },
+
+    // ---- deletion ----
+    async meetingFootprint(meetingIds) {
+      const counts = {};
+      const inList = meetingIds.map(() => "?").join(", ") || "NULL";
+      for (const table of MEETING_TABLES) {
+        const rows = await exec(conn, `SELECT COUNT(*) AS N FROM ${table} WHERE MEETING_ID IN (${inList})`, meetingIds);
+        counts[table.toLowerCase()] = Number(rows[0]?.N || 0);
+      }
+      const turns = meetingIds.length
+        ? await exec(conn, `SELECT COUNT(*) AS N FROM CONVERSATION_TURNS t WHERE ${citingTurns(meetingIds.length)}`, meetingIds)
+        : [];
+      counts.conversation_turns = Number(turns[0]?.N || 0);
+      return counts;
+    },
+
+    // Conversation turns go first: finding them needs the meetings' chunks
+    async deleteMeetings(meetingIds) {
+      const counts = {};
+      if (!meetingIds.length) return counts;
+      const inList = meetingIds.map(() => "?").join(", ");
+      const turns = await exec(conn, `DELETE FROM CONVERSATION_TURNS t WHERE ${citingTurns(meetingIds.length)}`, meetingIds);
+      counts.conversation_turns = Number(turns[0]?.["number of rows deleted"] || 0);
+      await exec(conn, `DELETE FROM CHUNK_TERMS WHERE MEETING_ID IN (${inList})`, meetingIds);
+      for (const table of MEETING_TABLES) {
+        const rows = await exec(conn, `DELETE FROM ${table} WHERE MEETING_ID IN (${inList})`, meetingIds);
+        counts[table.toLowerCase()] = Number(rows[0]?.["number of rows deleted"] || 0);
+      }
+      return counts;
+    },
+
+    async deleteMeetingHistory(meetingIds) {
+      const counts = { conversation_turns: 0 };
+      for (const table of HISTORY_TABLES) counts[table.toLowerCase()] = 0;
+      if (!meetingIds.length) return counts;
+      const turns = await exec(conn, `DELETE FROM CONVERSATION_TURNS t WHERE ${citingTurns(meetingIds.length)}`, meetingIds);
+      counts.conversation_turns = Number(turns[0]?.["number of rows deleted"] || 0);
+      for (const table of HISTORY_TABLES) {
+        const rows = await exec(
+          conn,
+          `DELETE FROM ${table} WHERE MEETING_ID IN (${meetingIds.map(() => "?").join(", ")})`,
+          meetingIds
+        );
+        counts[table.toLowerCase()] = Number(rows[0]?.["number of rows deleted"] || 0);
+      }
+      return counts;
+    },
+
+    async deleteCustomers(customerIds) {
+      if (!customerIds.length) return { customers: 0, access_grants: 0 };
+      const inList = customerIds.map(() => "?").join(", ");
+      const grants = await exec(conn, `DELETE FROM ACCESS_GRANTS WHERE CUSTOMER_ID IN (${inList})`, customerIds);
+      const customers = await exec(conn, `DELETE FROM CUSTOMERS WHERE CUSTOMER_ID IN (${inList})`, customerIds);
+      return {
+        customers: Number(customers[0]?.["number of rows deleted"] || 0),
+        access_grants: Number(grants[0]?.["number of rows deleted"] || 0),
+      };
+    },
+
+    async saveDeletionReceipt(row) {
+      await exec(
+        conn,
+        `INSERT INTO DELETION_RECEIPTS (${RECEIPT_COLUMNS.join(", ")}) VALUES (${RECEIPT_COLUMNS.map(() => "?").join(", ")})`,
+        RECEIPT_COLUMNS.map((c) => row[c] ?? null)
+      );
+    },
+
+    async listDeletionReceipts({ limit = 100 } = {}) {
+      return exec(
+        conn,
+        `SELECT ${RECEIPT_COLUMNS.join(", ")}, CREATED_AT FROM DELETION_RECEIPTS ORDER BY CREATED_AT DESC LIMIT ${Number(limit)}`
+      );
+    },
+
+    async getDeletionReceipt(receiptId) {
+      const rows = await exec(
+        conn,
+        `SELECT ${RECEIPT_COLUMNS.join(", ")}, CREATED_AT FROM DELETION_RECEIPTS WHERE RECEIPT_ID = ?`,
+        [receiptId]
+      );
+      return rows[0] || null;
+    },
+
+    // ---- customers ----
+    async listCustomers() {
+      return exec(conn, `SELECT ${CUSTOMER_COLUMNS.join(", ")} FROM CUSTOMERS ORDER BY NAME`);
+    },
+
+    async getCustomer(customerId) {
+      const rows = await exec(
+        conn,
+        `SELECT ${CUSTOMER_COLUMNS.join(", ")} FROM CUSTOMERS WHERE CUSTOMER_ID = ?`,
+        [customerId]
+      );
+      return rows[0] || null;
+    },
+
+    async saveCustomer(row) {
+      await exec(
+        conn,
+        `MERGE INTO CUSTOMERS t
+         USING (SELECT ${CUSTOMER_COLUMNS.map((c) => `? AS ${c}`).join(", ")}) s
+         ON t.CUSTOMER_ID = s.CUSTOMER_ID
+         WHEN MATCHED THEN UPDATE SET
+           ${CUSTOMER_COLUMNS.slice(1).map((c) => `${c} = s.${c}`).join(", ")}, UPDATED_AT = CURRENT_TIMESTAMP()
+         WHEN NOT MATCHED THEN INSERT (${CUSTOMER_COLUMNS.join(", ")}, UPDATED_AT)
+           VALUES (${CUSTOMER_COLUMNS.map((c) => `s.${c}`).join(", ")}, CURRENT_TIMESTAMP())`,
+        CUSTOMER_COLUMNS.map((c) => row[c] ?? null)
+      );
+    },
+
+    async listMeetingIdsForCustomer(customerId) {
+      const rows = await exec(
+        conn,
+        `SELECT DISTINCT MEETING_ID FROM MEETINGS WHERE CUSTOMER_ID = ? ORDER BY MEETING_ID`,
+        [customerId]
+      );
+      return rows.map((r) => r.MEETING_ID);
+    },
+
+    // Point meetings at a customer and rewrite their chunks' customer columns.
+    // `locked` is left alone unless given.
+    async assignCustomer(meetingIds, { customerId, locked }) {
+      if (!meetingIds.length) return;
+      const inList = meetingIds.map(() => "?").join(", ");
+      await exec(
+        conn,
+        `UPDATE MEETINGS
+            SET CUSTOMER_ID = ?, ${locked != null ? "CUSTOMER_LOCKED = ?, " : ""}UPDATED_AT = CURRENT_TIMESTAMP()
+          WHERE MEETING_ID IN (${inList})`,
+        [customerId, ...(locked != null ? [locked] : []), ...meetingIds]
+      );
+      await exec(
+        conn,
+        `UPDATE CHUNKS SET CUSTOMER_ID = ? WHERE MEETING_ID IN (${inList})`,
+        [customerId, ...meetingIds]
+      );
+    },
+
+    // ---- API keys ----
+    async listApiKeys() {
+      return exec(conn, `SELECT ${KEY_COLUMNS.join(", ")}, LAST_USED_AT, CREATED_AT FROM API_KEYS ORDER BY CREATED_AT`);
+    },
+
+    async getApiKey(keyId) {
+      const rows = await exec(
+        conn,
+        `SELECT ${KEY_COLUMNS.join(", ")}, LAST_USED_AT, CREATED_AT FROM API_KEYS WHERE KEY_ID = ?`,
+        [keyId]
+      );
+      return rows[0] || null;
+    },
+
+    async saveApiKey(row) {
+      await exec(
+        conn,
+        `MERGE INTO API_KEYS t
+         USING (SELECT ${KEY_COLUMNS.map((c) => `? AS ${c}`).join(", ")}) s
+         ON t.KEY_ID = s.KEY_ID
+         WHEN MATCHED THEN UPDATE SET
+           ${KEY_COLUMNS.slice(1).map((c) => `${c} = s.${c}`).join(", ")}, UPDATED_AT = CURRENT_TIMESTAMP()
+         WHEN NOT MATCHED THEN INSERT (${KEY_COLUMNS.join(", ")}, UPDATED_AT)
+           VALUES (${KEY_COLUMNS.map((c) => `s.${c}`).join(", ")}, CURRENT_TIMESTAMP())`,
+        KEY_COLUMNS.map((c) => row[c] ?? null)
+      );
+    },
+
+    async touchApiKey(keyId) {
+      await exec(conn, `UPDATE API_KEYS SET LAST_USED_AT = CURRENT_TIMESTAMP() WHERE KEY_ID = ?`, [keyId]);
+    },
+
+    // ---- access grants ----
+    async listAccessGrants({ teams } = {}) {
+      const where = teams ? `WHERE TEAM IN (${teams.map(() => "?").join(", ") || "NULL"})` : "";
+      return exec(
+        conn,
+        `SELECT ${GRANT_COLUMNS.join(", ")}, CREATED_AT FROM ACCESS_GRANTS ${where} ORDER BY CREATED_AT`,
+        teams || []
+      );
+    },
+
+    async saveAccessGrant(row) {
+      await exec(
+        conn,
+        `INSERT INTO ACCESS_GRANTS (${GRANT_COLUMNS.join(", ")}) VALUES (${GRANT_COLUMNS.map(() => "?").join(", ")})`,
+        GRANT_COLUMNS.map((c) => row[c] ?? null)
+      );
+    },
+
+    async deleteAccessGrant(grantId) {
+      const rows = await exec(conn, `DELETE FROM ACCESS_GRANTS WHERE GRANT_ID = ?`, [grantId]);
+      return Number(rows[0]?.["number of rows deleted"] || 0) > 0;
+    },
+
+    // ---- webhook nonces ----
+    // MERGE inserts only an unseen nonce; the row count says whether this call claimed it
+    async claimNonce(nonce, { expiresAt }) {
+      await exec(conn, `DELETE FROM WEBHOOK_NONCES WHERE EXPIRES_AT < CURRENT_TIMESTAMP()`);
+      const rows = await exec(
+        conn,
+        `MERGE INTO WEBHOOK_NONCES t
+         USING (SELECT ? AS NONCE, ? AS EXPIRES_AT) s
+         ON t.NONCE = s.NONCE
+         WHEN NOT MATCHED THEN INSERT (NONCE, EXPIRES_AT) VALUES (s.NONCE, s.EXPIRES_AT)`,
+        [nonce, expiresAt]
+      );
+      return Number(rows[0]?.["number of rows inserted"] || 0) > 0;
+    },
+
+    // ---- redaction ----
+    async recordRedaction(row) {
+      await exec(
+        conn,
+        `INSERT INTO REDACTION_AUDIT (${AUDIT_COLUMNS.join(", ")}) VALUES (${AUDIT_COLUMNS.map(() => "?").join(", ")})`,
+        AUDIT_COLUMNS.map((c) => row[c] ?? null)
+      );
+    },
+
+    async getRedactionAudit(meetingId) {
+      return exec(
+        conn,
+        `SELECT ${AUDIT_COLUMNS.join(", ")}, CREATED_AT FROM REDACTION_AUDIT WHERE MEETING_ID = ? ORDER BY CREATED_AT`,
+        [meetingId]
+      );
+    },
+
+    // Tokens are derived from the value, so a token already in the vault is left as it is
+    async saveVaultEntries(rows) {
+      for (const row of rows) {
+        await exec(
+          conn,
+          `MERGE INTO REDACTION_VAULT t
+           USING (SELECT ? AS TOKEN, ? AS KIND, ? AS CIPHERTEXT) s
+           ON t.TOKEN = s.TOKEN
+           WHEN NOT MATCHED THEN INSERT (TOKEN, KIND, CIPHERTEXT) VALUES (s.TOKEN, s.KIND, s.CIPHERTEXT)`,
+          [row.TOKEN, row.KIND, row.CIPHERTEXT]
+        );
+      }
+    },
+
+    async getVaultEntries(tokens) {
+      if (!tokens.length) return [];
+      return exec(
+        conn,
+        `SELECT TOKEN, KIND, CIPHERTEXT FROM REDACTION_VAULT WHERE TOKEN IN (${tokens.map(() => "?").join(", ")})`,
+        tokens
+      );
+    },
+
+    async deleteVaultEntries(tokens) {
+      if (!tokens.length) return 0;
+      const rows = await exec(
+        conn,
+        `DELETE FROM REDACTION_VAULT WHERE TOKEN IN (${tokens.map(() => "?").join(", ")})`,
+        tokens
+      );
+      return Number(rows[0]?.["number of rows deleted"] || 0);
+    },
+
+    // ---- insights ----
+    async saveInsights(meetingId, { run, items }) {
+      await exec(conn, `DELETE FROM INSIGHT_ITEMS WHERE MEETING_ID = ?`, [meetingId]);
+      await exec(conn, `DELETE FROM MEETING_INSIGHTS WHERE MEETING_ID = ?`, [meetingId]);
+      await exec(
+        conn,
+        `INSERT INTO MEETING_INSIGHTS (${INSIGHT_RUN_COLUMNS.join(", ")}) VALUES (${INSIGHT_RUN_COLUMNS.map(() => "?").join(", ")})`,
+        INSIGHT_RUN_COLUMNS.map((c) => run[c] ?? null)
+      );
+      for (const item of items) {
+        await exec(
+          conn,
+          `INSERT INTO INSIGHT_ITEMS (${INSIGHT_COLUMNS.join(", ")}) VALUES (${INSIGHT_COLUMNS.map(() => "?").join(", ")})`,
+          INSIGHT_COLUMNS.map((c) => item[c] ?? null)
+        );
+      }
+    },
+
+    async getInsightRun(meetingId) {
+      const rows = await exec(
+        conn,
+        `SELECT ${INSIGHT_RUN_COLUMNS.join(", ")}, CREATED_AT
+           FROM MEETING_INSIGHTS
+          WHERE MEETING_ID = ?
+          ORDER BY CREATED_AT DESC
+          LIMIT 1`,
+        [meetingId]
+      );
+      return rows[0] || null;
+    },
+
+    // Items joined with MEETING_VIEW, so scope filters and the access policy see the
+    // meeting's current customer and participants
+    async listInsightItems({ scope, kinds, owner, competitor, sentiment, dueFrom, dueTo, limit = 100 }) {
+      const where = scopeToSql(scope);
+      const conditions = [where.sql];
+      const binds = [...where.binds];
+      if (kinds) {
+        conditions.push(kinds.length ? `KIND IN (${kinds.map(() => "?").join(", ")})` : "FALSE");
+        binds.push(...kinds);
+      }
+      if (owner) {
+        conditions.push(containsSql("OWNER"));
+        binds.push(likeLiteral(owner));
+      }
+      if (competitor) {
+        conditions.push(containsSql("COMPETITOR"));
+        binds.push(likeLiteral(competitor));
+      }
+      if (sentiment) {
+        conditions.push(`SENTIMENT = ?`);
+        binds.push(sentiment);
+      }
+      if (dueFrom) {
+        conditions.push(`TRY_TO_DATE(DUE_DATE) >= TO_DATE(?)`);
+        binds.push(dueFrom);
+      }
+      if (dueTo) {
+        conditions.push(`TRY_TO_DATE(DUE_DATE) <= TO_DATE(?)`);
+        binds.push(dueTo);
+      }
+      return exec(
+        conn,
+        `SELECT *
+           FROM (
+             SELECT i.INSIGHT_ID, i.IDX, i.KIND, i.TEXT, i.OWNER, TO_VARCHAR(i.DUE_DATE) AS DUE_DATE,
+                    i.COMPETITOR, i.SENTIMENT, i.SOURCES, m.*
+               FROM INSIGHT_ITEMS i
+               JOIN (${MEETING_VIEW}) m ON m.MEETING_ID = i.MEETING_ID
+           )
+          WHERE ${conditions.join(" AND ")}
+          ORDER BY MEETING_DATE DESC NULLS LAST, MEETING_ID, IDX
+          LIMIT ${Number(limit)}`,
+        binds
+      );
+    },
+
+    // ---- chunks ----
+    // Rows whose CHUNK_ID is already stored keep their embedding and keyword index (same
+    // TEXT); their other columns are updated. The meeting's other chunks are deleted.
+    async syncChunks(meetingId, rows) {
+      const stored = new Set(
+        (await exec(conn, `SELECT CHUNK_ID FROM CHUNKS WHERE MEETING_ID = ?`, [meetingId])).map((r) => r.CHUNK_ID)
+      );
+      const kept = rows.filter((r) => stored.has(r.CHUNK_ID)).map((r) => r.CHUNK_ID);
+      const others = kept.length ? ` AND CHUNK_ID NOT IN (${kept.map(() => "?").join(",")})` : "";
+      await exec(conn, `DELETE FROM CHUNKS WHERE MEETING_ID = ?${others}`, [meetingId, ...kept]);
+      await exec(conn, `DELETE FROM CHUNK_TERMS WHERE MEETING_ID = ?${others}`, [meetingId, ...kept]);
+
+      const updated = CHUNK_COLUMNS.filter((c) => !["CHUNK_ID", "MEETING_ID", "EMBED_MODEL", "TERM_COUNT"].includes(c));
+      for (const row of rows) {
+        if (stored.has(row.CHUNK_ID)) {
+          await exec(
+            conn,
+            `UPDATE CHUNKS SET ${updated.map((c) => `${c} = ?`).join(", ")} WHERE CHUNK_ID = ?`,
+            [...updated.map((c) => row[c] ?? null), row.CHUNK_ID]
+          );
+          continue;
+        }
+        const { terms, length } = termFrequencies(row.TEXT);
+        await exec(
+          conn,
+          `INSERT INTO CHUNKS (${CHUNK_COLUMNS.join(", ")})
+           VALUES (${CHUNK_COLUMNS.map(() => "?").join(", ")})`,
+          CHUNK_COLUMNS.map((c) => (c === "TERM_COUNT" ? length : row[c] ?? null))
+        );
+        await exec(
+          conn,
+          `INSERT INTO CHUNK_TERMS (CHUNK_ID, MEETING_ID, TERM, TF)
+           SELECT ?, ?, f.KEY, f.VALUE::NUMBER
+             FROM TABLE(FLATTEN(INPUT => PARSE_JSON(?))) f`,
+          [row.CHUNK_ID, meetingId, JSON.stringify(Object.fromEntries(terms))]
+        );
+      }
+    },
+
+    async listChunks(meetingId) {
+      return exec(
+        conn,
+        `SELECT ${CHUNK_COLUMNS.join(", ")}, EMBED_1024 IS NOT NULL AS EMBEDDED
+           FROM CHUNKS
+          WHERE MEETING_ID = ?
+          ORDER BY IDX`,
+        [meetingId]
+      );
+    },
+
+    async getChunksByIds(ids) {
+      if (!ids.length) return [];
+      return exec(
+        conn,
+        `SELECT ${CHUNK_COLUMNS.join(", ")}
+           FROM CHUNKS
+          WHERE CHUNK_ID IN (${ids.map(() => "?").join(",")})`,
+        ids
+      );
+    },
+
+    // ---- embeddings ----
+    // Cortex models embed in SQL; any other provider's vectors are computed here and written back.
+    // Chunks already embedded by `embedder` are left alone.
+    async embedChunks(meetingId, embedder) {
+      if (embedder.cortexModel) {
+        await exec(
+          conn,
+          `UPDATE CHUNKS
+              SET EMBED_1024 = AI_EMBED('${embedder.cortexModel}', TEXT), EMBED_MODEL = ?
+            WHERE MEETING_ID = ?
+              AND (EMBED_1024 IS NULL OR EMBED_MODEL IS DISTINCT FROM ?)`,
+          [embedder.id, meetingId, embedder.id]
+        );
+        return;
+      }
+
+      const pending = await exec(
+        conn,
+        `SELECT CHUNK_ID, TEXT FROM CHUNKS
+          WHERE MEETING_ID = ? AND (EMBED_1024 IS NULL OR EMBED_MODEL IS DISTINCT FROM ?)
+          ORDER BY IDX`,
+        [meetingId, embedder.id]
+      );
+      if (!pending.length) return;
+      const vectors = await embedder.embed(pending.map((r) => r.TEXT));
+      for (let i = 0; i < pending.length; i++) {
+        if (vectors[i]?.length !== 1024) {
+          throw new Error(`${embedder.id} returned ${vectors[i]?.length}-dim vectors; EMBED_1024 needs 1024`);
+        }
+        await exec(
+          conn,
+          `UPDATE CHUNKS SET EMBED_1024 = ?::VECTOR(FLOAT, 1024), EMBED_MODEL = ? WHERE CHUNK_ID = ?`,
+          [JSON.stringify(vectors[i]), embedder.id, pending[i].CHUNK_ID]
+        );
+      }
+    },
+
+    async embedQuery(text, embedder) {
+      if (!embedder.cortexModel) return (await embedder.embed([text]))[0];
+      const rows = await exec(conn, `SELECT AI_EMBED('${embedder.cortexModel}', ?) AS Q_EMBED`, [text]);
+      if (!rows.length) throw new Error("Failed to generate question embedding");
+      return rows[0].Q_EMBED;
+    },
+
+    // ---- search ----
+    // Both searches are scope-then-rank over chunks embedded with `embedModel` (the only
+    // ones comparable to the query vector), capped per meeting. `scope` is a validated
+    // filter from ../rag/filters.js. Rows carry VEC (the chunk embedding) for diversification.
+
+    // Vector ranking: cosine similarity as SIM
+    async searchChunks({ queryVec, embedModel, scope, limit, perMeetingCap = 6 }) {
+      const filter = scopeToSql(scope);
+      const rows = await exec(
+        conn,
+        `WITH SCORED AS (
+           SELECT
+             ${CHUNK_COLUMNS.join(", ")}, EMBED_1024,
+             1 - VECTOR_COSINE_DISTANCE(EMBED_1024, ?::VECTOR(FLOAT, 1024)) AS SIM
+           FROM CHUNKS
+          WHERE EMBED_1024 IS NOT NULL
+            AND EMBED_MODEL = ?
+            AND ${filter.sql}
+         )
+         SELECT *, TO_ARRAY(EMBED_1024) AS VEC
+           FROM SCORED
+         QUALIFY ROW_NUMBER() OVER (PARTITION BY MEETING_ID ORDER BY SIM DESC) <= ${Number(perMeetingCap)}
+          ORDER BY SIM DESC
+          LIMIT ${Number(limit)}`,
+        [JSON.stringify(queryVec), embedModel, ...filter.binds]
+      );
+      return rows.map(({ EMBED_1024, ...r }) => r);
+    },
+
+    // Keyword ranking: BM25 over CHUNK_TERMS, with document counts and average length
+    // taken from the scoped corpus
+    async searchLexical({ terms, embedModel, scope, limit, perMeetingCap = 6 }) {
+      if (!terms.length) return [];
+      const filter = scopeToSql(scope);
+      const rows = await exec(
+        conn,
+        `WITH Q AS (
+           SELECT DISTINCT VALUE::STRING AS TERM FROM TABLE(FLATTEN(INPUT => PARSE_JSON(?)))
+         ),
+         DOCS AS (
+           SELECT CHUNK_ID, TERM_COUNT
+             FROM CHUNKS
+            WHERE EMBED_1024 IS NOT NULL
+              AND EMBED_MODEL = ?
+              AND ${filter.sql}
+         ),
+         STATS AS (
+           SELECT COUNT(*) AS N, AVG(TERM_COUNT) AS AVGDL FROM DOCS
+         ),
+         HITS AS (
+           SELECT t.CHUNK_ID, t.TERM, t.TF, d.TERM_COUNT
+             FROM CHUNK_TERMS t
+             JOIN DOCS d ON d.CHUNK_ID = t.CHUNK_ID
+             JOIN Q ON Q.TERM = t.TERM
+         ),
+         DF AS (
+           SELECT TERM, COUNT(*) AS DF FROM HITS GROUP BY TERM
+         ),
+         SCORED AS (
+           SELECT h.CHUNK_ID,
+                  SUM(
+                    LN(1 + (s.N - df.DF + 0.5) / (df.DF + 0.5))
+                    * h.TF * ${BM25_K1 + 1}
+                    / (h.TF + ${BM25_K1} * (1 - ${BM25_B} + ${BM25_B} * COALESCE(h.TERM_COUNT / NULLIF(s.AVGDL, 0), 1)))
+                  ) AS BM25
+             FROM HITS h
+             JOIN DF df ON df.TERM = h.TERM
+             CROSS JOIN STATS s
+            GROUP BY h.CHUNK_ID
+         )
+         SELECT ${CHUNK_COLUMNS.map((col) => `c.${col}`).join(", ")}, s.BM25, TO_ARRAY(c.EMBED_1024) AS VEC
+           FROM SCORED s
+           JOIN CHUNKS c ON c.CHUNK_ID = s.CHUNK_ID
+         QUALIFY ROW_NUMBER() OVER (PARTITION BY c.MEETING_ID ORDER BY s.BM25 DESC) <= ${Number(perMeetingCap)}
+          ORDER BY s.BM25 DESC
+          LIMIT ${Number(limit)}`,
+        [JSON.stringify(terms), embedModel, ...filter.binds]
+      );
+      return rows;
+    },
+
+    // ---- conversations ----
+    async getConversationTurns(conversationId, { limit = 10 } = {}) {
+      const rows = await exec(
+        conn,
+        `SELECT ${TURN_COLUMNS.join(", ")}, CREATED_AT
+           FROM CONVERSATION_TURNS
+          WHERE CONVERSATION_ID = ?
+          ORDER BY TURN DESC
+          LIMIT ${Number(limit)}`,
+        [conversationId]
+      );
+      return rows.reverse();
+    },
+
+    async appendConversationTurn(row) {
+      await exec(
+        conn,
+        `INSERT INTO CONVERSATION_TURNS (${TURN_COLUMNS.join(", ")})
+         VALUES (${TURN_COLUMNS.map(() => "?").join(", ")})`,
+        TURN_COLUMNS.map((c) => row[c] ?? null)
+      );
+    },
+
+    // ---- jobs ----
+    async createJob({ jobId, type, meetingId, status, params = null, progress = null }) {
+      await exec(
+        conn,
+        `INSERT INTO JOBS (JOB_ID, JOB_TYPE, MEETING_ID, STATUS, PARAMS, PROGRESS) VALUES (?, ?, ?, ?, ?, ?)`,
+        [jobId, type, meetingId || null, status, params ? JSON.stringify(params) : null, progress ? JSON.stringify(progress) : null]
+      );
+    },
+
+    async getJob(jobId) {
+      const rows = await exec(conn, `SELECT * FROM JOBS WHERE JOB_ID = ?`, [jobId]);
+      return rows[0] || null;
+    },
+
+    // Conditional UPDATE so two invocations can't both claim the job
+    async claimJob(jobId, { to, from, leaseMs }) {
+      const rows = await exec(
+        conn,
+        `UPDATE JOBS
+            SET STATUS = ?, ATTEMPTS = ATTEMPTS + 1, ERROR = NULL,
+                STARTED_AT = CURRENT_TIMESTAMP(), FINISHED_AT = NULL, UPDATED_AT = CURRENT_TIMESTAMP()
+          WHERE JOB_ID = ?
+            AND (STATUS IN (${from.map(() => "?").join(", ")})
+                 ${leaseMs ? "OR (STATUS = ? AND UPDATED_AT < DATEADD(millisecond, -?, CURRENT_TIMESTAMP()))" : ""})`,
+        [to, jobId, ...from, ...(leaseMs ? [to, leaseMs] : [])]
+      );
+      return Number(rows[0]?.["number of rows updated"] || 0) > 0;
+    },
+
+    async touchJob(jobId) {
+      await exec(conn, `UPDATE JOBS SET UPDATED_AT = CURRENT_TIMESTAMP() WHERE JOB_ID = ?`, [jobId]);
+    },
+
+    async saveJobProgress(jobId, { progress, status }) {
+      await exec(
+        conn,
+        `UPDATE JOBS
+            SET PROGRESS = ?, STATUS = COALESCE(?, STATUS), UPDATED_AT = CURRENT_TIMESTAMP()
+          WHERE JOB_ID = ?`,
+        [JSON.stringify(progress), status || null, jobId]
+      );
+    },
+
+    async finishJob(jobId, { status, result = null, error = null }) {
+      await exec(
+        conn,
+        `UPDATE JOBS
+            SET STATUS = ?, RESULT = ?, ERROR = ?,
+                FINISHED_AT = CURRENT_TIMESTAMP(), UPDATED_AT = CURRENT_TIMESTAMP()
+          WHERE JOB_ID = ?`,
+        [status, result ? JSON.stringify(result) : null, error, jobId]
+      );
+    },
+  };
+}
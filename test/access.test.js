@@ -0,0 +1,91 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import ask from "../api/ask.js";
+import customers from "../api/customers/index.js";
+import grants from "../api/grants/index.js";
+import grant from "../api/grants/[id].js";
+import meetings from "../api/meetings/index.js";
+import meeting from "../api/meetings/[id].js";
+
+// Meeting ids behind an /api/ask answer
+async function retrieved(key, body = {}) {
+  const res = await call(ask, { key, body: { question: "What did we say about pricing?", ...body } });
+  assert.equal(res.statusCode, 200);
+  return [...new Set(res.body.sources.map((s) => s.meeting_id))].sort();
+}
+
+describe("row-level access policy", () => {
+  let admin;
+  beforeEach(async () => {
+    await resetStore();
+    admin = await createKey();
+    await call(customers, { key: admin, body: { customer_id: "acme", name: "Acme", owners: ["owner@acme.com"] } });
+    await call(customers, { key: admin, body: { customer_id: "globex", name: "Globex" } });
+    const meet = (meeting_id, fields) => call(ingest, {
+      key: admin,
+      body: { meeting_id, transcript: "We talked about pricing for next year.", ...fields },
+    });
+    await meet("m1", { customer_id: "acme", participants: ["Alice <alice@us.com>"] });
+    await meet("m2", { customer_id: "globex", participants: ["bob@us.com"] });
+    await meet("m3", { customer_id: "acme", participants: ["bob@us.com"] });
+    await meet("m4", { participants: ["carl@us.com"] });
+  });
+
+  it("shows participants their own meetings", async () => {
+    const alice = await createKey({ scopes: ["ask"], user_email: "alice@us.com" });
+    assert.deepEqual(await retrieved(alice), ["m1"]);
+  });
+
+  it("shows customer owners every meeting of the customer", async () => {
+    const owner = await createKey({ scopes: ["ask"], user_email: "owner@acme.com" });
+    assert.deepEqual(await retrieved(owner), ["m1", "m3"]);
+  });
+
+  it("shows teams what their grants cover, until the grant is removed", async () => {
+    await call(grants, { key: admin, body: { team: "Sales", customer_id: "globex" } });
+    const given = await call(grants, { key: admin, body: { team: "sales", meeting_id: "m4" } });
+    assert.equal(given.statusCode, 201);
+    const sales = await createKey({ scopes: ["ask"], teams: ["SALES"] });
+    assert.deepEqual(await retrieved(sales), ["m2", "m4"]);
+
+    await call(grant, { method: "DELETE", key: admin, query: { id: given.body.grant.grant_id } });
+    assert.deepEqual(await retrieved(sales), ["m2"]);
+  });
+
+  it("shows nothing to a policy key with no email, team or grant", async () => {
+    const nobody = await createKey({ scopes: ["ask"] });
+    assert.deepEqual(await retrieved(nobody), []);
+  });
+
+  it("applies the policy whatever scope the request asks for", async () => {
+    const alice = await createKey({ scopes: ["ask"], user_email: "alice@us.com" });
+    assert.deepEqual(await retrieved(alice, { scope: { meeting_ids: ["m2", "m3"] } }), []);
+  });
+
+  it("narrows customer-limited keys on top of the policy", async () => {
+    const limited = await createKey({ scopes: ["ask"], user_email: "owner@acme.com", customer_ids: ["globex"] });
+    assert.deepEqual(await retrieved(limited), []);
+    const unrestricted = await createKey({ scopes: ["ask"], access: "all", customer_ids: ["acme"] });
+    assert.deepEqual(await retrieved(unrestricted), ["m1", "m3"]);
+  });
+
+  it("hides other meetings from browsing as well", async () => {
+    const alice = await createKey({ scopes: ["ask"], user_email: "alice@us.com" });
+    const list = await call(meetings, { method: "GET", key: alice });
+    assert.deepEqual(list.body.meetings.map((m) => m.meeting_id), ["m1"]);
+    const hidden = await call(meeting, { method: "GET", key: alice, query: { id: "m2" } });
+    assert.equal(hidden.statusCode, 404);
+    assert.equal(hidden.body.error, "meeting_not_found");
+  });
+
+  it("keeps conversations to the key that started them", async () => {
+    const alice = await createKey({ scopes: ["ask"], user_email: "alice@us.com" });
+    const owner = await createKey({ scopes: ["ask"], user_email: "owner@acme.com" });
+    const first = await call(ask, { key: alice, body: { question: "What did we say about pricing?" } });
+    const res = await call(ask, { key: owner, body: { question: "And then?", conversation_id: first.body.conversation_id } });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.error, "conversation_not_found");
+  });
+});
@@ -0,0 +1,62 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import ask from "../api/ask.js";
+import keys from "../api/keys/index.js";
+import keyRoute from "../api/keys/[id].js";
+
+const meeting = { meeting_id: "m1", transcript: "Jane: We agreed on the annual plan." };
+
+describe("API keys", () => {
+  let admin;
+  beforeEach(async () => {
+    await resetStore();
+    admin = await createKey();
+  });
+  afterEach(() => {
+    delete process.env.INGEST_API_KEY;
+    delete process.env.ALLOW_INGEST_API_KEY;
+  });
+
+  it("refuses the shared INGEST_API_KEY", async () => {
+    process.env.INGEST_API_KEY = "shared-secret";
+    const res = await call(ingest, { key: "shared-secret", body: meeting });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, "unauthorized");
+  });
+
+  it("lets an opted-in INGEST_API_KEY ingest and nothing else", async () => {
+    process.env.INGEST_API_KEY = "shared-secret";
+    process.env.ALLOW_INGEST_API_KEY = "1";
+    assert.equal((await call(ingest, { key: "shared-secret", body: meeting })).statusCode, 200);
+
+    const minted = await call(keys, { key: "shared-secret", body: { name: "mine", scopes: ["admin"] } });
+    assert.equal(minted.statusCode, 403);
+    assert.equal(minted.body.error, "insufficient_scope");
+    const asked = await call(ask, { key: "shared-secret", body: { question: "What plan?" } });
+    assert.equal(asked.statusCode, 403);
+  });
+
+  it("issues a key once and stores only its hash", async () => {
+    const res = await call(keys, { key: admin, body: { name: "zapier", scopes: ["ingest"] } });
+    assert.equal(res.statusCode, 201);
+    assert.match(res.body.key, /^gsk_[0-9a-f]+_/);
+    const list = await call(keys, { method: "GET", key: admin });
+    assert.ok(!JSON.stringify(list.body).includes(res.body.key));
+    assert.equal((await call(ingest, { key: res.body.key, body: meeting })).statusCode, 200);
+  });
+
+  it("rejects revoked and expired keys", async () => {
+    const issued = await call(keys, { key: admin, body: { name: "old", scopes: ["ingest"] } });
+    await call(keyRoute, { method: "DELETE", key: admin, query: { id: issued.body.api_key.key_id } });
+    const revoked = await call(ingest, { key: issued.body.key, body: meeting });
+    assert.equal(revoked.statusCode, 401);
+    assert.equal(revoked.body.error, "key_revoked");
+
+    const expired = await createKey({ scopes: ["ingest"], expires_at: "2020-01-01T00:00:00Z" });
+    const res = await call(ingest, { key: expired, body: meeting });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, "key_expired");
+  });
+});
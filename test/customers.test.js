@@ -0,0 +1,40 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import importRoute from "../api/import.js";
+
+describe("customer resolution at ingest", () => {
+  let storage;
+  let admin;
+  beforeEach(async () => {
+    storage = await resetStore();
+    admin = await createKey();
+  });
+
+  it("creates customers the payload names for the first time", async () => {
+    const byId = await call(ingest, { key: admin, body: { meeting_id: "m1", customer_id: "acme", customer: "Acme Inc", transcript: "Notes." } });
+    assert.equal(byId.body.customer_id, "acme");
+    const byName = await call(ingest, { key: admin, body: { meeting_id: "m2", customer: "Globex Corp.", transcript: "Notes." } });
+    assert.equal(byName.body.customer_id, "globex");
+    assert.deepEqual((await storage.listCustomers()).map((c) => [c.CUSTOMER_ID, c.NAME]), [["acme", "Acme"], ["globex", "Globex"]]);
+  });
+
+  it("refuses a customer-limited key before creating anything", async () => {
+    const limited = await createKey({ scopes: ["ingest"], customer_ids: ["acme"] });
+    const byId = await call(ingest, { key: limited, body: { meeting_id: "m1", customer_id: "initech", transcript: "Notes." } });
+    assert.equal(byId.statusCode, 403);
+    assert.equal(byId.body.error, "customer_not_allowed");
+    const byName = await call(ingest, { key: limited, body: { meeting_id: "m2", customer: "Initech", transcript: "Notes." } });
+    assert.equal(byName.statusCode, 403);
+    const imported = await call(importRoute, { key: limited, body: [{ meeting_id: "m3", customer: "Umbrella", transcript: "Notes." }] });
+    assert.equal(imported.body.results[0].error, "customer_not_allowed");
+
+    assert.deepEqual(await storage.listCustomers(), []);
+    assert.deepEqual(await storage.getMeetings(["m1", "m2", "m3"]), []);
+
+    const allowed = await call(ingest, { key: limited, body: { meeting_id: "m4", customer_id: "acme", transcript: "Notes." } });
+    assert.equal(allowed.statusCode, 200);
+    assert.deepEqual((await storage.listCustomers()).map((c) => c.CUSTOMER_ID), ["acme"]);
+  });
+});
@@ -0,0 +1,92 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import ask from "../api/ask.js";
+import meeting from "../api/meetings/[id].js";
+import forget from "../api/meetings/forget.js";
+import receipts from "../api/deletions/index.js";
+import receipt from "../api/deletions/[id].js";
+
+describe("meeting deletion and forgetting", () => {
+  let storage;
+  let admin;
+  beforeEach(async () => {
+    storage = await resetStore();
+    admin = await createKey();
+    await call(ingest, {
+      key: admin,
+      body: {
+        meeting_id: "m1",
+        title: "Acme sync",
+        transcript: "Ann Smith: Annual plan talk with bob@globex.io next week.",
+        participants: ["Ann Smith <ann@acme.com>", "bob@globex.io"],
+      },
+    });
+    await call(ingest, {
+      key: admin,
+      body: { meeting_id: "m2", title: "Internal review", transcript: "Carl: Annual review of the roadmap.", participants: ["carl@us.io"] },
+    });
+  });
+
+  it("counts what a dry run would delete without deleting it", async () => {
+    const res = await call(meeting, { method: "DELETE", key: admin, query: { id: "m2", dry_run: "1" } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.dry_run, true);
+    assert.equal(res.body.counts.meetings, 1);
+    assert.equal(res.body.counts.chunks, 1);
+    assert.ok(await storage.getMeeting("m2"));
+  });
+
+  it("deletes a meeting with everything derived from it and writes a receipt", async () => {
+    await call(ask, { key: admin, body: { question: "What happened in the roadmap review?", scope: { meeting_ids: ["m2"] } } });
+
+    const res = await call(meeting, { method: "DELETE", key: admin, query: { id: "m2" } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.counts.conversation_turns, 1);
+    assert.equal(await storage.getMeeting("m2"), null);
+    const left = await storage.meetingFootprint(["m2"]);
+    assert.deepEqual(Object.entries(left).filter(([, rows]) => rows > 0), []);
+
+    const answer = await call(ask, { key: admin, body: { question: "What happened in the roadmap review?" } });
+    assert.ok(answer.body.sources.every((s) => s.meeting_id !== "m2"));
+
+    const again = await call(meeting, { method: "DELETE", key: admin, query: { id: "m2" } });
+    assert.equal(again.statusCode, 404);
+
+    const stored = await call(receipt, { method: "GET", key: admin, query: { id: res.body.receipt.receipt_id } });
+    assert.equal(stored.body.receipt.action, "delete_meeting");
+    assert.deepEqual(stored.body.receipt.meeting_ids, ["m2"]);
+  });
+
+  it("anonymizes a person and keeps the meeting", async () => {
+    const res = await call(forget, { key: admin, body: { email: "bob@globex.io", mode: "anonymize" } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.counts.meetings_anonymized, 1);
+
+    const stored = await storage.getMeeting("m1");
+    assert.ok(!stored.TRANSCRIPT.includes("bob@globex.io"));
+    assert.ok(!stored.PARTICIPANTS.includes("bob@globex.io"));
+    const chunks = await storage.listChunks("m1");
+    assert.ok(chunks.length && chunks.every((c) => !c.TEXT.includes("bob@globex.io")));
+  });
+
+  it("purges a person's meetings and records only a hash of them", async () => {
+    const res = await call(forget, { key: admin, body: { email: "ann@acme.com" } });
+    assert.equal(res.body.mode, "purge");
+    assert.deepEqual(res.body.receipt.meeting_ids, ["m1"]);
+    assert.equal(await storage.getMeeting("m1"), null);
+    assert.ok(await storage.getMeeting("m2"));
+
+    const list = await call(receipts, { method: "GET", key: admin });
+    assert.ok(!JSON.stringify(list.body).includes("ann@acme.com"));
+    assert.match(list.body.receipts[0].criteria.email_sha256, /^[0-9a-f]{64}$/);
+  });
+
+  it("is admin only", async () => {
+    const ingestOnly = await createKey({ scopes: ["ingest"] });
+    const res = await call(meeting, { method: "DELETE", key: ingestOnly, query: { id: "m1" } });
+    assert.equal(res.statusCode, 403);
+    assert.ok(await storage.getMeeting("m1"));
+  });
+});
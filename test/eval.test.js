@@ -0,0 +1,98 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { promisify } from "util";
+import ask from "../api/ask.js";
+import importRoute from "../api/import.js";
+import job from "../api/jobs/[id].js";
+import meeting from "../api/meetings/[id].js";
+import rechunk from "../api/rechunk.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+// The routes scripts/eval.js calls, as "<path pattern>" -> handler
+const routes = [
+  [/^\/api\/import$/, importRoute],
+  [/^\/api\/rechunk$/, rechunk],
+  [/^\/api\/jobs\/([^/]+)$/, job],
+  [/^\/api\/meetings\/([^/]+)$/, meeting],
+  [/^\/api\/ask$/, ask],
+];
+
+// A local deployment: each request is buffered and handed to its route through call()
+function serve() {
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const route = routes.find(([pattern]) => pattern.test(url.pathname));
+    if (!route) return res.writeHead(404).end();
+    const parts = [];
+    for await (const part of req) parts.push(part);
+    const id = url.pathname.match(route[0])[1];
+    const out = await call(route[1], {
+      method: req.method,
+      body: parts.length ? Buffer.concat(parts).toString("utf8") : undefined,
+      query: { ...Object.fromEntries(url.searchParams), ...(id ? { id: decodeURIComponent(id) } : {}) },
+      headers: req.headers,
+    });
+    res.writeHead(out.statusCode, { "content-type": "application/json" });
+    res.end(out.body === undefined ? out.chunks.join("") : JSON.stringify(out.body));
+  });
+}
+
+describe("eval harness", () => {
+  let server;
+  let dir;
+  before(async () => {
+    await resetStore();
+    server = serve();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    dir = mkdtempSync(join(tmpdir(), "eval-"));
+  });
+  after(() => {
+    server.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("scores the fixture corpus with the fake models", async () => {
+    const key = await createKey();
+    const out = join(dir, "results.json");
+    await promisify(execFile)(process.execPath, [
+      "--import", "tsx", join(root, "scripts/eval.js"),
+      "--url", `http://127.0.0.1:${server.address().port}`,
+      "--key", key,
+      "--out", out,
+    ], { cwd: root, timeout: 120_000 });
+
+    const results = JSON.parse(readFileSync(out, "utf8"));
+    assert.deepEqual(results.config, {
+      corpus: "eval/corpus",
+      golden: "eval/golden.json",
+      meetings: 8,
+      chunks: 10,
+      k: [1, 3, 5, 10],
+      model: "fake:echo",
+      embed_model: "fake:hash",
+      rerank: "default",
+      retrieval: "default",
+    });
+    // Pinned: a change here is a retrieval or chunking change, or a change to the fake
+    // models (with fake:echo the answer metrics only measure the echoed top chunk)
+    assert.deepEqual(results.summary, {
+      questions: 15,
+      "recall@1": 0.7,
+      "recall@3": 0.767,
+      "recall@5": 0.867,
+      "recall@10": 1,
+      mrr: 0.784,
+      citation_accuracy: 0.173,
+      grounded: 1,
+      answer_similarity: 0.052,
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import { Readable } from "stream";
+import { issueKey } from "../src/auth/api-keys.js";
+import { openStorage } from "../src/storage/index.js";
+import { resetMemoryStorage } from "../src/storage/memory.js";
+
+// Shared setup for the tests: the memory backend, inline jobs and the fake providers, so
+// every route runs offline. Test files import this before any route.
+process.env.STORAGE_BACKEND = "memory";
+process.env.JOBS_INLINE = "1";
+process.env.CHAT_MODEL = "fake:echo";
+for (const name of [
+  "LOCAL_STORE_PATH", "EMBED_MODEL", "RERANK_MODEL", "INGEST_API_KEY", "INGEST_SIGNING_SECRETS",
+  "REDACTION_MODE", "REDACTION_SECRET", "REDACTION_VAULT_KEY", "REDACTION_DETECTORS", "REDACTION_DICTIONARY",
+]) {
+  delete process.env[name];
+}
+
+// A fresh, empty store
+export async function resetStore() {
+  resetMemoryStorage();
+  return openStorage();
+}
+
+// Issue an API key -> the plaintext key. Non-admin keys default to "policy" access.
+export async function createKey(fields = {}) {
+  const storage = await openStorage();
+  const { key } = await issueKey(storage, { name: "test", scopes: ["admin"], ...fields });
+  return key;
+}
+
+// Call a route handler the way @vercel/node does: the request is a readable stream of the
+// raw body and, for JSON, also has the parsed `body`. A string `body` is sent as is.
+// -> the response: { statusCode, body (JSON replies), headers, chunks (streamed writes) }
+export async function call(handler, { method = "POST", key, body, query = {}, headers = {} } = {}) {
+  const raw = body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body);
+  const req = Readable.from(raw ? [Buffer.from(raw)] : []);
+  let parsed;
+  try {
+    parsed = raw ? JSON.parse(raw) : undefined;
+  } catch {
+    parsed = raw;
+  }
+  Object.assign(req, {
+    method,
+    query,
+    headers: {
+      host: "localhost",
+      "content-type": "application/json",
+      ...(key ? { authorization: `Bearer ${key}` } : {}),
+      ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+    },
+    body: parsed,
+  });
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    chunks: [],
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(value) {
+      this.body = value;
+      return this;
+    },
+    write(text) {
+      this.chunks.push(text);
+      return true;
+    },
+    end() {
+      this.ended = true;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return res;
+}
+
+// Server-Sent Events written to a call() response -> [{ event, data }]
+export function events(res) {
+  return res.chunks.join("").split("\n\n").filter(Boolean).map((block) => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    return { event, data: JSON.parse(block.match(/^data: (.*)$/m)[1]) };
+  });
+}
@@ -0,0 +1,46 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import insights from "../api/insights/[id].js";
+import briefings from "../api/briefings.js";
+
+const meetings = [
+  { meeting_id: "m1", customer_id: "acme", datetime: "2024-01-02T10:00:00Z", transcript: "Jane: We will send the security review by Friday." },
+  { meeting_id: "m2", customer_id: "acme", datetime: "2024-02-01T10:00:00Z", transcript: "Bob: The discount is approved for the annual plan." },
+];
+
+// The fake chat fills the reply shape it is given from the chunks it is given, so these
+// check that extraction and briefings pass both and keep only valid citations
+describe("structured replies", () => {
+  let key;
+  let chunkIds;
+  beforeEach(async () => {
+    const storage = await resetStore();
+    key = await createKey();
+    for (const m of meetings) await call(ingest, { key, body: m });
+    chunkIds = (await storage.listChunks("m1")).map((c) => c.CHUNK_ID);
+  });
+
+  it("extracts items citing the meeting's chunks", async () => {
+    const res = await call(insights, { key, query: { id: "m1" } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.counts, { action_item: 1, decision: 1, objection: 1, competitor: 1, pricing: 1, sentiment: 0 });
+    assert.equal(res.body.uncited_dropped, 0);
+
+    const listed = await call(insights, { method: "GET", key, query: { id: "m1" } });
+    const [first] = listed.body.action_items;
+    assert.equal(first.text, "We will send the security review by Friday.");
+    assert.deepEqual(first.sources, chunkIds);
+  });
+
+  it("maps and reduces a briefing over every meeting", async () => {
+    const res = await call(briefings, { key, body: { customer_id: "acme" } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.uncited_dropped, 0);
+    assert.deepEqual(res.body.relationship_history.map((c) => [c.text, c.citations[0].meeting_id]), [
+      ["We will send the security review by Friday.", "m1"],
+      ["The discount is approved for the annual plan.", "m2"],
+    ]);
+  });
+});
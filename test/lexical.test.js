@@ -0,0 +1,31 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import ask from "../api/ask.js";
+import { termFrequencies } from "../src/rag/lexical.js";
+
+describe("keyword index", () => {
+  it("counts words that plain objects already have", () => {
+    const { terms, length } = termFrequencies("The constructor met the constructor, valueOf and toString.");
+    assert.equal(length, 8);
+    assert.equal(terms.get("constructor"), 2);
+    assert.equal(terms.get("valueof"), 1);
+    assert.equal(terms.get("the"), 2);
+    assert.equal(terms.has("hasownproperty"), false);
+  });
+
+  it("scores those words with BM25", async () => {
+    await resetStore();
+    const key = await createKey();
+    await call(ingest, { key, body: { meeting_id: "m1", transcript: "Ann: The constructor signed the site contract." } });
+    await call(ingest, { key, body: { meeting_id: "m2", transcript: "Bob: Pricing stays the same next year." } });
+
+    const res = await call(ask, { key, body: { question: "constructor", debug: true } });
+    const [top] = res.body.sources;
+    assert.equal(top.meeting_id, "m1");
+    assert.ok(Number.isFinite(top.lexical_score) && top.lexical_score > 0);
+    const other = res.body.debug.candidates.find((c) => c.meeting_id === "m2");
+    assert.ok(!other || !other.lexical_score);
+  });
+});
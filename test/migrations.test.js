@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { MIGRATIONS, runMigrations } from "../src/db/migrations.js";
+
+// A Snowflake connection that records every statement and returns no rows
+function recordingConnection() {
+  const sql = [];
+  return {
+    sql,
+    execute({ sqlText, complete }) {
+      sql.push(sqlText.trim());
+      complete(null, null, []);
+    },
+  };
+}
+
+describe("migrations", () => {
+  it("plans a dry run without running anything", async () => {
+    const conn = recordingConnection();
+    const plan = await runMigrations(conn, { dryRun: true });
+
+    assert.equal(conn.sql.length, 1);
+    assert.match(conn.sql[0], /FROM INFORMATION_SCHEMA\.TABLES/);
+    assert.deepEqual(plan.map((m) => m.version), MIGRATIONS.map((m) => m.version));
+    const computed = plan.find((m) => m.name === "meetings_text_columns");
+    assert.equal(computed.statements, null);
+    assert.deepEqual(plan[0].statements, MIGRATIONS[0].up);
+  });
+
+  it("computes function steps when applying", async () => {
+    const conn = recordingConnection();
+    const plan = await runMigrations(conn);
+    assert.deepEqual(plan.find((m) => m.name === "meetings_text_columns").statements, []);
+    assert.ok(conn.sql.some((s) => /FROM INFORMATION_SCHEMA\.COLUMNS/.test(s)));
+    assert.equal(conn.sql.filter((s) => s.startsWith("INSERT INTO SCHEMA_MIGRATIONS")).length, MIGRATIONS.length);
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mmr } from "../src/rag/retrieve.js";
+
+const docs = [
+  { CHUNK_ID: "a", vec: [1, 0], relevance: 0.9 },
+  { CHUNK_ID: "a2", vec: [1, 0], relevance: 0.8 },
+  { CHUNK_ID: "b", vec: [0, 1], relevance: 0.5 },
+];
+
+describe("MMR", () => {
+  it("ranks by relevance alone at lambda 1", () => {
+    assert.deepEqual(mmr(docs, 3, 1).map((d) => d.CHUNK_ID), ["a", "a2", "b"]);
+  });
+
+  it("trades relevance for diversity as lambda drops", () => {
+    const picked = mmr(docs, 2, 0.5);
+    assert.deepEqual(picked.map((d) => d.CHUNK_ID), ["a", "b"]);
+    assert.equal(picked[0].mmrScore, 0.45);
+  });
+});
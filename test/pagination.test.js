@@ -0,0 +1,61 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import meetings from "../api/meetings/index.js";
+
+// Every page of /api/meetings for `query` -> [[meeting_id]]
+async function pages(key, query) {
+  const out = [];
+  let cursor;
+  do {
+    const res = await call(meetings, { method: "GET", key, query: { ...query, ...(cursor ? { cursor } : {}) } });
+    assert.equal(res.statusCode, 200);
+    out.push(res.body.meetings.map((m) => m.meeting_id));
+    cursor = res.body.next_cursor;
+  } while (cursor);
+  return out;
+}
+
+describe("keyset pagination of /api/meetings", () => {
+  let admin;
+  beforeEach(async () => {
+    await resetStore();
+    admin = await createKey();
+    // m3 and m4 share a date, so the meeting id breaks the tie
+    const dates = ["2024-01-01", "2024-01-02", "2024-01-03", "2024-01-03", "2024-01-05", "2024-01-06", "2024-01-07"];
+    for (const [i, date] of dates.entries()) {
+      await call(ingest, {
+        key: admin,
+        body: { meeting_id: `m${i + 1}`, title: `Meeting ${String.fromCharCode(71 - i)}`, datetime: `${date}T10:00:00Z`, transcript: "Notes." },
+      });
+    }
+  });
+
+  it("walks every meeting once, newest first", async () => {
+    assert.deepEqual(await pages(admin, { limit: "3" }), [["m7", "m6", "m5"], ["m4", "m3", "m2"], ["m1"]]);
+  });
+
+  it("follows the requested sort and order", async () => {
+    assert.deepEqual((await pages(admin, { limit: "4", sort: "title" })).flat(), ["m7", "m6", "m5", "m4", "m3", "m2", "m1"]);
+    assert.deepEqual((await pages(admin, { limit: "2", order: "asc" })).flat(), ["m1", "m2", "m3", "m4", "m5", "m6", "m7"]);
+  });
+
+  it("doesn't shift pages when meetings arrive mid-walk", async () => {
+    const first = await call(meetings, { method: "GET", key: admin, query: { limit: "3" } });
+    await call(ingest, { key: admin, body: { meeting_id: "m8", datetime: "2024-01-08T10:00:00Z", transcript: "Notes." } });
+    await call(ingest, { key: admin, body: { meeting_id: "m0", datetime: "2023-12-31T10:00:00Z", transcript: "Notes." } });
+
+    const rest = await call(meetings, { method: "GET", key: admin, query: { limit: "5", cursor: first.body.next_cursor } });
+    assert.deepEqual(rest.body.meetings.map((m) => m.meeting_id), ["m4", "m3", "m2", "m1", "m0"]);
+  });
+
+  it("rejects cursors from another sort and malformed cursors", async () => {
+    const first = await call(meetings, { method: "GET", key: admin, query: { limit: "2" } });
+    const other = await call(meetings, { method: "GET", key: admin, query: { sort: "title", cursor: first.body.next_cursor } });
+    assert.equal(other.statusCode, 400);
+    assert.equal(other.body.error, "invalid_cursor");
+    const junk = await call(meetings, { method: "GET", key: admin, query: { cursor: "zzz" } });
+    assert.equal(junk.body.error, "invalid_cursor");
+  });
+});
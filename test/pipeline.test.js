@@ -0,0 +1,141 @@
+import { call, createKey, events, resetStore } from "./helpers.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import rechunk from "../api/rechunk.js";
+import ask from "../api/ask.js";
+import job from "../api/jobs/[id].js";
+
+const acme = {
+  meeting_id: "m1",
+  title: "Acme pricing call",
+  customer: "Acme Inc",
+  datetime: "2024-01-02T10:00:00Z",
+  transcript: [
+    { speaker: "Jane Doe", start: 5, text: "Thanks for joining. Today we cover pricing for the premium plan." },
+    { speaker: "Bob Stone", start: 40, text: "Globex offered us twenty percent off their annual contract." },
+    { speaker: "Jane Doe", start: 75, text: "We can match that if you sign before the end of the quarter." },
+  ],
+};
+
+const globex = {
+  meeting_id: "m2",
+  title: "Globex security review",
+  customer: "Globex",
+  datetime: "2024-02-01T15:00:00Z",
+  transcript: "Ann: Our auditors need SOC 2 reports and single sign-on before rollout.",
+};
+
+describe("ingest -> chunk -> ask on the memory backend", () => {
+  let storage;
+  let key;
+  beforeEach(async () => {
+    storage = await resetStore();
+    key = await createKey({ scopes: ["ingest", "rechunk", "ask"], access: "all" });
+  });
+
+  it("chunks and embeds an ingested meeting through its job", async () => {
+    const res = await call(ingest, { key, body: acme });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.action, "created");
+    assert.equal(res.body.revision, 1);
+
+    const status = await call(job, { method: "GET", key, query: { id: res.body.job_id } });
+    assert.equal(status.body.job.status, "succeeded");
+    const chunks = await storage.listChunks("m1");
+    assert.ok(chunks.length > 0);
+    assert.ok(chunks.every((c) => c.EMBEDDED && c.EMBED_MODEL === "fake:hash"));
+  });
+
+  it("keeps a revision per change and skips unchanged deliveries", async () => {
+    await call(ingest, { key, body: acme });
+    const same = await call(ingest, { key, body: acme });
+    assert.equal(same.body.action, "unchanged");
+    assert.equal(same.body.job_id, null);
+
+    const changed = await call(ingest, { key, body: { ...acme, title: "Acme pricing follow-up" } });
+    assert.equal(changed.body.action, "updated");
+    assert.equal(changed.body.revision, 2);
+    assert.equal((await storage.getMeeting("m1")).TITLE, "Acme pricing follow-up");
+  });
+
+  it("keeps unchanged chunks and their embeddings on rechunk", async () => {
+    await call(ingest, { key, body: acme });
+    const before = await storage.listChunks("m1");
+
+    const res = await call(rechunk, { key, body: { meeting_id: "m1" } });
+    assert.equal(res.statusCode, 200);
+    const [result] = res.body.results;
+    assert.equal(result.kept, before.length);
+    assert.equal(result.added, 0);
+    assert.equal(result.embedded, 0);
+    assert.deepEqual((await storage.listChunks("m1")).map((c) => c.CHUNK_ID), before.map((c) => c.CHUNK_ID));
+  });
+
+  it("drops the chunks of a transcript that was emptied", async () => {
+    await call(ingest, { key, body: acme });
+    assert.ok((await storage.listChunks("m1")).length > 0);
+
+    await storage.saveMeeting({ ...(await storage.getMeeting("m1")), TRANSCRIPT: "" });
+    const rechunked = await call(rechunk, { key, body: { meeting_id: "m1" } });
+    assert.equal(rechunked.body.results[0].skipped, "empty_transcript");
+    assert.ok(rechunked.body.results[0].removed > 0);
+    assert.deepEqual(await storage.listChunks("m1"), []);
+    const res = await call(ask, { key, body: { question: "Who offered twenty percent off the annual contract?" } });
+    assert.deepEqual(res.body.sources, []);
+  });
+
+  it("reports an unknown meeting as missing on rechunk", async () => {
+    const res = await call(rechunk, { key, body: { meeting_id: "nope" } });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.error, "meeting_not_found");
+
+    const limited = await createKey({ scopes: ["rechunk"], customer_ids: ["acme"] });
+    assert.equal((await call(rechunk, { key: limited, body: { meeting_id: "nope" } })).statusCode, 403);
+  });
+
+  it("answers from the retrieved chunks and cites them", async () => {
+    await call(ingest, { key, body: acme });
+    await call(ingest, { key, body: globex });
+
+    const res = await call(ask, { key, body: { question: "Who offered twenty percent off the annual contract?" } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.model, "fake:echo");
+    assert.equal(res.body.embed_model, "fake:hash");
+    assert.equal(res.body.sources[0].meeting_id, "m1");
+    assert.ok(res.body.cited_sources.length > 0);
+    for (const s of res.body.cited_sources) assert.ok(res.body.answer.includes(s.chunk_id));
+    assert.deepEqual(res.body.grounding.invalid_citations, []);
+  });
+
+  it("keeps answers inside the scope", async () => {
+    await call(ingest, { key, body: acme });
+    await call(ingest, { key, body: globex });
+
+    const scoped = await call(ask, { key, body: { question: "What did they need?", scope: { customer: "globex" } } });
+    assert.deepEqual([...new Set(scoped.body.sources.map((s) => s.meeting_id))], ["m2"]);
+
+    const empty = await call(ask, { key, body: { question: "What did they need?", scope: { meeting: "no such meeting" } } });
+    assert.deepEqual(empty.body.sources, []);
+    assert.equal(empty.body.answer, "I don't have notes for that meeting.");
+  });
+
+  it("streams sources, deltas and the final answer", async () => {
+    await call(ingest, { key, body: acme });
+
+    const res = await call(ask, { key, body: { question: "Who offered twenty percent off the annual contract?", stream: true } });
+    assert.equal(res.headers["content-type"], "text/event-stream; charset=utf-8");
+    const sent = events(res);
+    assert.equal(sent[0].event, "sources");
+    assert.equal(sent.at(-1).event, "done");
+    const deltas = sent.filter((e) => e.event === "delta").map((e) => e.data.text).join("");
+    assert.equal(deltas, sent.at(-1).data.answer);
+  });
+
+  it("rejects keys without the route's scope", async () => {
+    const askOnly = await createKey({ scopes: ["ask"] });
+    const res = await call(ingest, { key: askOnly, body: acme });
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.error, "insufficient_scope");
+  });
+});
@@ -0,0 +1,22 @@
+import "./helpers.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getChatModel, getEmbeddingModel } from "../src/providers/index.js";
+
+describe("provider registry", () => {
+  it("reuses instances and rejects unknown providers", () => {
+    assert.equal(getChatModel("fake:echo"), getChatModel("fake:echo"));
+    assert.throws(() => getChatModel("nope:model"), /Unknown chat provider "nope"/);
+    assert.throws(() => getEmbeddingModel("fake"), /Invalid model/);
+  });
+
+  it("keeps only recently used models when requests name many", () => {
+    const kept = getChatModel("fake:kept");
+    const dropped = getChatModel("fake:dropped");
+    for (let i = 0; i < 100; i++) {
+      getChatModel(`fake:request-${i}`);
+      assert.equal(getChatModel("fake:kept"), kept);
+    }
+    assert.notEqual(getChatModel("fake:dropped"), dropped);
+  });
+});
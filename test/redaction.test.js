@@ -0,0 +1,92 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import audit from "../api/redaction/[id].js";
+import reveal from "../api/redaction/reveal.js";
+
+const meeting = {
+  meeting_id: "m1",
+  participants: ["ann.smith@acme.com"],
+  transcript: [
+    { speaker: "Ann", start: 1, text: "Mail me at ann.smith@acme.com or call (415) 555-0142." },
+    { speaker: "Bob", start: 9, text: "The password is hunter22. Project Falcon ships in May." },
+  ],
+  granola_summary: "Ann (ann.smith@acme.com) owns Falcon.",
+};
+
+const RAW = ["ann.smith@acme.com", "555-0142", "hunter22", "Falcon"];
+
+describe("redaction before storage and embedding", () => {
+  let storage;
+  let admin;
+  beforeEach(async () => {
+    storage = await resetStore();
+    admin = await createKey();
+    process.env.REDACTION_SECRET = "test-secret";
+    process.env.REDACTION_DICTIONARY = "Project Falcon, Falcon";
+  });
+  afterEach(() => {
+    for (const name of ["REDACTION_MODE", "REDACTION_SECRET", "REDACTION_VAULT_KEY", "REDACTION_DICTIONARY"]) {
+      delete process.env[name];
+    }
+  });
+
+  it("keeps raw values out of stored meetings and chunks", async () => {
+    process.env.REDACTION_MODE = "mask";
+    assert.equal((await call(ingest, { key: admin, body: meeting })).statusCode, 200);
+
+    const stored = await storage.getMeeting("m1");
+    const chunks = (await storage.listChunks("m1")).map((c) => c.TEXT).join("\n");
+    assert.match(chunks, /\[PHONE\]/);
+    for (const text of [stored.TRANSCRIPT, stored.GRANOLA_SUMMARY, chunks]) {
+      for (const value of RAW) assert.ok(!text.includes(value), `${value} was stored`);
+    }
+    assert.match(stored.TRANSCRIPT, /\[EMAIL\]/);
+    // Participants stay readable for customer resolution and the access policy
+    assert.match(stored.PARTICIPANTS, /ann\.smith@acme\.com/);
+
+    const res = await call(audit, { method: "GET", key: admin, query: { id: "m1" } });
+    assert.equal(res.body.audit[0].stage, "ingest");
+    assert.equal(res.body.audit[0].mode, "mask");
+    assert.equal(res.body.audit[0].counts.email, 2);
+  });
+
+  it("reveals tokenized values to admins and records the reveal", async () => {
+    process.env.REDACTION_MODE = "tokenize";
+    process.env.REDACTION_VAULT_KEY = "a".repeat(64);
+    await call(ingest, { key: admin, body: meeting });
+
+    const res = await call(reveal, { key: admin, body: { meeting_id: "m1" } });
+    assert.equal(res.statusCode, 200);
+    const values = Object.values(res.body.values).map((v) => v.value);
+    assert.ok(values.includes("ann.smith@acme.com"));
+    assert.ok(values.includes("(415) 555-0142"));
+
+    const trail = await call(audit, { method: "GET", key: admin, query: { id: "m1" } });
+    assert.deepEqual(trail.body.audit.map((a) => a.stage), ["ingest", "reveal"]);
+  });
+
+  it("only reveals tokens of the requested meeting", async () => {
+    process.env.REDACTION_MODE = "tokenize";
+    process.env.REDACTION_VAULT_KEY = "a".repeat(64);
+    await call(ingest, { key: admin, body: meeting });
+    await call(ingest, { key: admin, body: { meeting_id: "m2", transcript: "Reach carl@globex.com tomorrow." } });
+    const [token] = (await storage.getMeeting("m2")).TRANSCRIPT.match(/tok_[0-9a-f]+/);
+
+    const res = await call(reveal, { key: admin, body: { meeting_id: "m1", tokens: [token] } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, "token_not_in_meeting");
+  });
+
+  it("refuses reveals from other keys and without a vault", async () => {
+    process.env.REDACTION_MODE = "tokenize";
+    await call(ingest, { key: admin, body: meeting });
+
+    const asker = await createKey({ scopes: ["ask"] });
+    assert.equal((await call(reveal, { key: asker, body: { meeting_id: "m1" } })).statusCode, 403);
+    const res = await call(reveal, { key: admin, body: { meeting_id: "m1" } });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, "vault_disabled");
+  });
+});
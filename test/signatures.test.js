@@ -0,0 +1,84 @@
+import { call, createKey, resetStore } from "./helpers.js";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import ingest from "../api/ingest.js";
+import importRoute from "../api/import.js";
+import { signRequest } from "../src/auth/signatures.js";
+
+const body = JSON.stringify({ meeting_id: "m1", transcript: "Jane: We agreed on the annual plan." });
+
+describe("ingest webhook signatures", () => {
+  let key;
+  beforeEach(async () => {
+    await resetStore();
+    key = await createKey({ scopes: ["ingest"] });
+    process.env.INGEST_SIGNING_SECRETS = "new-secret, old-secret";
+  });
+  afterEach(() => {
+    delete process.env.INGEST_SIGNING_SECRETS;
+  });
+
+  const deliver = (headers, sent = body) => call(ingest, { key, body: sent, headers });
+
+  it("accepts deliveries signed with any active secret", async () => {
+    const res = await deliver(signRequest(body, { secret: "new-secret" }));
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.action, "created");
+    assert.equal((await deliver(signRequest(body, { secret: "old-secret" }))).statusCode, 200);
+  });
+
+  it("verifies the bytes as sent, not a re-serialized parse", async () => {
+    // Key order, indentation, escapes and number formats a re-serialization would change
+    const pretty = `{\n  "transcript": "Jane: We agreed on the annual plan \\u2014 $1.50 per seat.",\n  "meeting_id": "m1",\n  "tags": [ "pricing" ],\n  "score": 1.0\n}\n`;
+    assert.notEqual(JSON.stringify(JSON.parse(pretty)), pretty);
+
+    const res = await deliver(signRequest(pretty, { secret: "new-secret" }), pretty);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.action, "created");
+
+    const batch = `{\n  "meetings": [\n    { "meeting_id": "m2", "transcript": "Bob: Next call on Friday." }\n  ]\n}`;
+    const imported = await call(importRoute, { key, body: batch, headers: signRequest(batch, { secret: "new-secret" }) });
+    assert.equal(imported.statusCode, 200);
+    assert.equal(imported.body.created, 1);
+  });
+
+  it("accepts one matching signature among several", async () => {
+    const headers = signRequest(body, { secret: "old-secret" });
+    headers["X-Granola-Signature"] = `v1=${"0".repeat(64)}, ${headers["X-Granola-Signature"]}`;
+    assert.equal((await deliver(headers)).statusCode, 200);
+  });
+
+  it("rejects unsigned deliveries", async () => {
+    const res = await deliver({});
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, "signature_missing");
+  });
+
+  it("rejects other secrets and changed bodies", async () => {
+    const wrong = await deliver(signRequest(body, { secret: "someone-else" }));
+    assert.equal(wrong.statusCode, 401);
+    assert.equal(wrong.body.error, "signature_invalid");
+
+    const tampered = await deliver(signRequest(body, { secret: "new-secret" }), body.replace("annual", "monthly"));
+    assert.equal(tampered.statusCode, 401);
+    assert.equal(tampered.body.error, "signature_invalid");
+  });
+
+  it("rejects stale timestamps and replayed nonces", async () => {
+    const stale = await deliver(signRequest(body, { secret: "new-secret", timestamp: Math.floor(Date.now() / 1000) - 1000 }));
+    assert.equal(stale.statusCode, 401);
+    assert.equal(stale.body.error, "signature_expired");
+
+    const headers = signRequest(body, { secret: "new-secret", nonce: "delivery-1" });
+    assert.equal((await deliver(headers)).statusCode, 200);
+    const replay = await deliver(headers);
+    assert.equal(replay.statusCode, 401);
+    assert.equal(replay.body.error, "signature_replayed");
+  });
+
+  it("still needs a valid API key", async () => {
+    const res = await call(ingest, { key: "gsk_nope_nope", body, headers: signRequest(body, { secret: "new-secret" }) });
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, "unauthorized");
+  });
+});
@@ -0,0 +1,53 @@
+import snowflake from "snowflake-sdk";
+import { getSnowflakePrivateKeyParam, computePrivateKeyFingerprint, detectKeySource } from "./keys.js";
+
+const {
+  SNOWFLAKE_ACCOUNT,
+  SNOWFLAKE_USER,
+  SNOWFLAKE_WAREHOUSE,
+  SNOWFLAKE_DATABASE,
+  SNOWFLAKE_SCHEMA,
+  SNOWFLAKE_ROLE,
+} = process.env;
+
+// ---- snowflake helpers ----
+export async function getConn() {
+  // Load and validate the private key
+  let privateKey;
+  try {
+    privateKey = getSnowflakePrivateKeyParam();
+    console.info("Snowflake key source:", detectKeySource());
+    try {
+      console.info("Snowflake key fingerprint (base64):", computePrivateKeyFingerprint(privateKey));
+    } catch (e) {
+      console.warn("Could not compute key fingerprint:", e?.message || e);
+    }
+  } catch (e) {
+    throw new Error(`Private key configuration error: ${e.message}`);
+  }
+
+  const conn = snowflake.createConnection({
+    account: SNOWFLAKE_ACCOUNT,
+    username: SNOWFLAKE_USER, // must match your Snowflake user exactly (case + @)
+    authenticator: "SNOWFLAKE_JWT",
+    privateKey,
+    warehouse: SNOWFLAKE_WAREHOUSE,
+    database: SNOWFLAKE_DATABASE,
+    schema: SNOWFLAKE_SCHEMA,
+    role: SNOWFLAKE_ROLE,
+  });
+  await new Promise((res, rej) =>
+    conn.connect((e) => (e ? rej(new Error(`Failed to connect to Snowflake: ${e.message}`)) : res()))
+  );
+  return conn;
+}
+
+export function exec(conn, sqlText, binds = []) {
+  return new Promise((resolve, reject) => {
+    conn.execute({
+      sqlText,
+      binds,
+      complete: (err, stmt, rows) => (err ? reject(err) : resolve(rows || [])),
+    });
+  });
+}
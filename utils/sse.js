@@ -0,0 +1,23 @@
+// Minimal Server-Sent Events writer for Vercel Node functions
+export function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  res.flushHeaders?.();
+
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      res.end();
+    },
+  };
+}
+
+// Clients opt in with { "stream": true } or an `Accept: text/event-stream` header
+export function wantsEventStream(req, body) {
+  return body?.stream === true || String(req.headers?.accept || "").includes("text/event-stream");
+}